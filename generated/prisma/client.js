@@ -1,4 +0,0 @@
-
-/* !!! This is code generated by Prisma. Do not edit directly. !!!
-/* eslint-disable */
-module.exports = { ...require('.') }
\ No newline at end of file
@@ -1 +0,0 @@
-export * from "./index"
\ No newline at end of file
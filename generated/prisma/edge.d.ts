@@ -1 +0,0 @@
-export * from "./default"
\ No newline at end of file
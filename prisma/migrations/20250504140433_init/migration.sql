@@ -1,10 +0,0 @@
--- CreateTable
-CREATE TABLE "Place" (
-    "id" SERIAL NOT NULL,
-    "name" TEXT NOT NULL,
-    "description" TEXT,
-    "longitude" DOUBLE PRECISION NOT NULL,
-    "latitude" DOUBLE PRECISION NOT NULL,
-
-    CONSTRAINT "Place_pkey" PRIMARY KEY ("id")
-);
@@ -0,0 +1,3 @@
+-- PostGIS for the geography columns, pg_trgm for fuzzy place search
+CREATE EXTENSION IF NOT EXISTS postgis;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
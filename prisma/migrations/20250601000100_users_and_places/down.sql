@@ -0,0 +1,4 @@
+DROP TABLE "Place";
+DROP TABLE "Category";
+DROP TABLE "User";
+DROP TYPE "Role";
@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('user', 'moderator', 'admin');
+
+-- CreateTable
+CREATE TABLE "User" (
+    "id" SERIAL NOT NULL,
+    "username" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "role" "Role" NOT NULL DEFAULT 'user',
+    "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "verificationEmailSentAt" TIMESTAMP(3),
+    "totpSecret" TEXT,
+    "totpEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "totpLastUsedStep" INTEGER,
+    "fullName" TEXT,
+    "avatarUrl" TEXT,
+    "bio" TEXT,
+    "website" TEXT,
+    "instagram" TEXT,
+    "twitter" TEXT,
+    "facebook" TEXT,
+    "city" TEXT,
+    "country" TEXT,
+    "coordinates" geography(Point, 4326),
+    "storyCount" INTEGER NOT NULL DEFAULT 0,
+    "likeCount" INTEGER NOT NULL DEFAULT 0,
+    "commentCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "User_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Category" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+
+    CONSTRAINT "Category_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Place" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "location" geography(Point, 4326) NOT NULL,
+    "categoryId" INTEGER,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "averageRating" DOUBLE PRECISION,
+    "reviewCount" INTEGER NOT NULL DEFAULT 0,
+    "createdById" INTEGER,
+
+    CONSTRAINT "Place_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_username_key" ON "User"("username");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+
+-- CreateIndex
+CREATE INDEX "User_coordinates_idx" ON "User" USING GIST ("coordinates");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_slug_key" ON "Category"("slug");
+
+-- CreateIndex
+CREATE INDEX "Place_createdById_idx" ON "Place"("createdById");
+
+-- CreateIndex
+CREATE INDEX "Place_categoryId_idx" ON "Place"("categoryId");
+
+-- CreateIndex
+CREATE INDEX "Place_location_idx" ON "Place" USING GIST ("location");
+
+-- AddForeignKey
+ALTER TABLE "Place" ADD CONSTRAINT "Place_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Place" ADD CONSTRAINT "Place_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Place category taxonomy
+INSERT INTO "Category" ("slug", "name") VALUES
+    ('cafe', 'Café'),
+    ('restaurant', 'Restaurant'),
+    ('bar', 'Bar'),
+    ('comedy-club', 'Comedy Club'),
+    ('theater', 'Theater'),
+    ('music-venue', 'Music Venue'),
+    ('park', 'Park'),
+    ('museum', 'Museum'),
+    ('landmark', 'Landmark'),
+    ('shopping', 'Shopping'),
+    ('other', 'Other');
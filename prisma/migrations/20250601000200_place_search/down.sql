@@ -0,0 +1,4 @@
+DROP INDEX "Place_description_idx";
+DROP INDEX "Place_name_idx";
+DROP INDEX "Place_tags_idx";
+ALTER TABLE "Place" DROP COLUMN "searchVector";
@@ -0,0 +1,17 @@
+-- Full-text search document; Prisma cannot express generated columns, so it is added by hand
+ALTER TABLE "Place" ADD COLUMN "searchVector" TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Place_tags_idx" ON "Place" USING GIN ("tags");
+
+-- CreateIndex
+CREATE INDEX "Place_searchVector_idx" ON "Place" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Place_name_idx" ON "Place" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Place_description_idx" ON "Place" USING GIN ("description" gin_trgm_ops);
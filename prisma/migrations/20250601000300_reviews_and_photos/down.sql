@@ -0,0 +1,2 @@
+DROP TABLE "PlacePhoto";
+DROP TABLE "Review";
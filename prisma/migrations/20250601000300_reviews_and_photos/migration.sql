@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "Review" (
+    "id" SERIAL NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "body" TEXT,
+    "userId" INTEGER NOT NULL,
+    "placeId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Review_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PlacePhoto" (
+    "id" SERIAL NOT NULL,
+    "placeId" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "publicId" TEXT NOT NULL,
+    "width" INTEGER,
+    "height" INTEGER,
+    "caption" TEXT,
+    "position" INTEGER NOT NULL,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "uploadedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PlacePhoto_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Review_placeId_idx" ON "Review"("placeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_userId_placeId_key" ON "Review"("userId", "placeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlacePhoto_publicId_key" ON "PlacePhoto"("publicId");
+
+-- CreateIndex
+CREATE INDEX "PlacePhoto_placeId_position_idx" ON "PlacePhoto"("placeId", "position");
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_placeId_fkey" FOREIGN KEY ("placeId") REFERENCES "Place"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlacePhoto" ADD CONSTRAINT "PlacePhoto_placeId_fkey" FOREIGN KEY ("placeId") REFERENCES "Place"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlacePhoto" ADD CONSTRAINT "PlacePhoto_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+DROP TABLE "Comment";
+DROP TABLE "Like";
+DROP TABLE "Story";
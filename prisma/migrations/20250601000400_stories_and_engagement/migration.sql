@@ -0,0 +1,109 @@
+-- CreateTable
+CREATE TABLE "Story" (
+    "id" SERIAL NOT NULL,
+    "authorId" INTEGER NOT NULL,
+    "text" TEXT,
+    "mediaUrl" TEXT,
+    "mediaPublicId" TEXT,
+    "placeId" INTEGER,
+    "location" geography(Point, 4326),
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Story_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Like" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "storyId" INTEGER,
+    "placeId" INTEGER,
+    "reviewId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Like_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Comment" (
+    "id" SERIAL NOT NULL,
+    "body" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "storyId" INTEGER,
+    "placeId" INTEGER,
+    "reviewId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Comment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Story_authorId_createdAt_idx" ON "Story"("authorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Story_placeId_idx" ON "Story"("placeId");
+
+-- CreateIndex
+CREATE INDEX "Story_location_idx" ON "Story" USING GIST ("location");
+
+-- CreateIndex
+CREATE INDEX "Like_storyId_idx" ON "Like"("storyId");
+
+-- CreateIndex
+CREATE INDEX "Like_placeId_idx" ON "Like"("placeId");
+
+-- CreateIndex
+CREATE INDEX "Like_reviewId_idx" ON "Like"("reviewId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Like_userId_storyId_key" ON "Like"("userId", "storyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Like_userId_placeId_key" ON "Like"("userId", "placeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Like_userId_reviewId_key" ON "Like"("userId", "reviewId");
+
+-- CreateIndex
+CREATE INDEX "Comment_storyId_idx" ON "Comment"("storyId");
+
+-- CreateIndex
+CREATE INDEX "Comment_placeId_idx" ON "Comment"("placeId");
+
+-- CreateIndex
+CREATE INDEX "Comment_reviewId_idx" ON "Comment"("reviewId");
+
+-- CreateIndex
+CREATE INDEX "Comment_userId_idx" ON "Comment"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Story" ADD CONSTRAINT "Story_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Story" ADD CONSTRAINT "Story_placeId_fkey" FOREIGN KEY ("placeId") REFERENCES "Place"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Like" ADD CONSTRAINT "Like_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Like" ADD CONSTRAINT "Like_storyId_fkey" FOREIGN KEY ("storyId") REFERENCES "Story"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Like" ADD CONSTRAINT "Like_placeId_fkey" FOREIGN KEY ("placeId") REFERENCES "Place"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Like" ADD CONSTRAINT "Like_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Comment" ADD CONSTRAINT "Comment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Comment" ADD CONSTRAINT "Comment_storyId_fkey" FOREIGN KEY ("storyId") REFERENCES "Story"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Comment" ADD CONSTRAINT "Comment_placeId_fkey" FOREIGN KEY ("placeId") REFERENCES "Place"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Comment" ADD CONSTRAINT "Comment_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+DROP TABLE "RecoveryCode";
+DROP TABLE "PasswordResetToken";
+DROP TABLE "Session";
@@ -0,0 +1,2 @@
+DROP TABLE "RateLimitTokenBucket";
+DROP TABLE "RateLimitBucket";
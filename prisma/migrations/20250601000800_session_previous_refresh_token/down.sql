@@ -0,0 +1 @@
+ALTER TABLE "Session" DROP COLUMN "previousRefreshTokenHash";
@@ -0,0 +1,67 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Roll back the most recently applied migrations
+ *
+ * Prisma only migrates forward, so each migration directory carries a `down.sql`
+ * that undoes it. This runs the `down.sql` of the last applied migration and
+ * removes it from `_prisma_migrations` in one transaction, so the next
+ * `prisma migrate deploy` applies it again.
+ *
+ * Usage: `npm run db:rollback` (one migration) or `npm run db:rollback -- 3`
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const psql = (...args) => execFileSync('psql', [process.env.DATABASE_URL, '-v', 'ON_ERROR_STOP=1', ...args], {
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'inherit']
+});
+
+/**
+ * Names of the applied migrations, newest first
+ * @param {number} count - How many to return
+ * @returns {Array} - Migration directory names
+ */
+const lastApplied = (count) => psql('-tA', '-c', `
+  SELECT migration_name FROM _prisma_migrations
+  WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+  ORDER BY migration_name DESC
+  LIMIT ${count}
+`).split('\n').filter(Boolean);
+
+const rollback = (name) => {
+  const down = path.join(MIGRATIONS_DIR, name, 'down.sql');
+  if (!fs.existsSync(down)) {
+    throw new Error(`${name} has no down.sql`);
+  }
+  psql('--single-transaction', '-q',
+    '-f', down,
+    '-c', `DELETE FROM _prisma_migrations WHERE migration_name = '${name.replace(/'/g, "''")}'`);
+  console.log(`Rolled back ${name}`);
+};
+
+const main = () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  const count = Number(process.argv[2] || 1);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Usage: npm run db:rollback -- [count]');
+  }
+
+  const names = lastApplied(count);
+  if (names.length === 0) {
+    console.log('No applied migrations to roll back');
+  }
+  names.forEach(rollback);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -2,27 +2,76 @@ const express = require('express');
 const dotenv = require('dotenv');
 const morgan = require('morgan');
 const cors = require('cors');
-const placeRoutes = require('./src/routes/place.routes.js');
-const userRoutes = require('./src/routes/user.routes.js');
-const setupSwagger = require('./src/swagger.js');
+const { mounts } = require('./src/routes/index.js');
+const { setupSwagger } = require('./src/swagger.js');
+const { apiRateLimit } = require('./src/middleware/rate-limit.middleware.js');
+const { notFoundHandler, errorHandler } = require('./src/middleware/error.middleware.js');
+const { assertMailTransport } = require('./src/services/mailer.service.js');
 
 dotenv.config();
 
 const app = express();
-app.use(cors());
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip, which rate limits use, is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors({
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 app.use(express.json({ limit: '10mb' })); // Increased limit for image uploads
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
 
 setupSwagger(app);
 
-app.use('/places', placeRoutes);
-app.use('/users', userRoutes);
+// Requests per minute: anonymous callers count by IP, signed-in users by account and API keys
+// (X-API-Key, from RATE_LIMIT_API_KEYS) by key. Route quotas apply on top of the default one.
+app.use(apiRateLimit({
+  default: { anonymous: 120, user: 600, apiKey: 3000 },
+  routes: [
+    {
+      // PostGIS queries whose cost grows with the radius or viewport
+      name: 'spatial',
+      match: [
+        'GET /places/nearby/search',
+        'GET /places/nearest',
+        'GET /places/within',
+        'GET /users/nearby',
+        'GET /feed'
+      ],
+      anonymous: 20,
+      user: 60,
+      apiKey: 600
+    },
+    {
+      name: 'search',
+      match: ['GET /places/search', 'GET /users/search'],
+      anonymous: 30,
+      user: 120,
+      apiKey: 600
+    }
+  ],
+  skip: ['GET /health']
+}));
+
+for (const { path, router } of mounts) {
+  app.use(path, router);
+}
 
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: Date.now() });
 });
 
+// After every route: unknown routes, then errors thrown anywhere, as `{ error, code }`
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Production must register a real mail transport (setMailTransport) before this point
+if (process.env.NODE_ENV === 'production') {
+  assertMailTransport();
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
@@ -0,0 +1,109 @@
+const {
+  likeService,
+  unlikeService,
+  getCommentsService,
+  createCommentService,
+  getCommentByIdService,
+  updateCommentService,
+  deleteCommentService
+} = require('../services/engagement.service.js');
+const { getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { NotFoundError } = require('../utils/errors.js');
+
+const formatComment = comment => ({
+  ...comment,
+  user: {
+    ...comment.user,
+    avatarUrl: comment.user.avatarUrl ? getOptimizedAvatarUrl(comment.user.avatarUrl, { width: 100, height: 100 }) : null
+  }
+});
+
+// `req.engagementTarget` is set by the engagement router for the content it is mounted under
+
+/**
+ * Like the target content (authenticated)
+ */
+const likeTarget = async (req, res) => {
+  const { type, ...target } = req.engagementTarget;
+  const result = await likeService(type, target, req.user.id);
+  res.json(result);
+};
+
+/**
+ * Remove own like from the target content (authenticated)
+ */
+const unlikeTarget = async (req, res) => {
+  const { type, ...target } = req.engagementTarget;
+  const result = await unlikeService(type, target, req.user.id);
+  res.json(result);
+};
+
+/**
+ * List comments on the target content, oldest first
+ */
+const getTargetComments = async (req, res) => {
+  const { type, ...target } = req.engagementTarget;
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const { items, nextCursor } = await getCommentsService(type, target, { limit, cursor: req.query.cursor });
+
+  res.json({
+    count: items.length,
+    comments: items.map(formatComment),
+    nextCursor
+  });
+};
+
+/**
+ * Comment on the target content (authenticated)
+ */
+const createTargetComment = async (req, res) => {
+  const { type, ...target } = req.engagementTarget;
+  const comment = await createCommentService(type, target, req.user.id, req.body.body.trim());
+  res.status(201).json({
+    message: 'Comment created successfully',
+    comment: formatComment(comment)
+  });
+};
+
+/**
+ * Get a single comment
+ */
+const getComment = async (req, res) => {
+  const comment = await getCommentByIdService(req.params.commentId);
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  const { userId, ...publicComment } = comment;
+  res.json(formatComment(publicComment));
+};
+
+/**
+ * Edit own comment (authenticated)
+ */
+const updateComment = async (req, res) => {
+  const comment = await updateCommentService(req.params.commentId, req.body.body.trim());
+  res.json({
+    message: 'Comment updated successfully',
+    comment: formatComment(comment)
+  });
+};
+
+/**
+ * Delete own comment (authenticated)
+ */
+const deleteComment = async (req, res) => {
+  await deleteCommentService(req.params.commentId);
+  res.json({ message: 'Comment deleted successfully' });
+};
+
+module.exports = {
+  likeTarget,
+  unlikeTarget,
+  getTargetComments,
+  createTargetComment,
+  getComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,40 @@
+const { getFeedService } = require('../services/feed.service.js');
+const { getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { GEOJSON_MEDIA_TYPE, resolveGeoFormat, toFeatureCollection } = require('../utils/geo.js');
+const { parseLimit } = require('../utils/pagination.js');
+
+const formatFeedStory = ({ distance, ...story }) => ({
+  ...story,
+  distance: story.source === 'nearby' ? Math.round(distance) : null,
+  author: {
+    ...story.author,
+    avatarUrl: story.author.avatarUrl ? getOptimizedAvatarUrl(story.author.avatarUrl, { width: 100, height: 100 }) : null
+  }
+});
+
+/**
+ * Home feed of the authenticated user
+ */
+const getFeed = async (req, res) => {
+  const format = resolveGeoFormat(req);
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const { items, nextCursor } = await getFeedService(req.user.id, {
+    limit,
+    cursor: req.query.cursor,
+    format
+  });
+  const stories = items.map(formatFeedStory);
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(stories, { nextCursor }));
+  }
+  res.json({
+    count: stories.length,
+    stories,
+    nextCursor
+  });
+};
+
+module.exports = {
+  getFeed
+};
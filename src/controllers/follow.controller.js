@@ -0,0 +1,106 @@
+const {
+  followUserService,
+  unfollowUserService,
+  getFollowersService,
+  getFollowingService,
+  blockUserService,
+  unblockUserService
+} = require('../services/follow.service.js');
+const { getUserProfileService } = require('../services/user.service.js');
+const { getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+const formatFollowUser = user => ({
+  ...user,
+  avatarUrl: user.avatarUrl ? getOptimizedAvatarUrl(user.avatarUrl, { width: 100, height: 100 }) : null
+});
+
+/**
+ * Follow a user (authenticated)
+ */
+const followUser = async (req, res) => {
+  const userId = req.params.id;
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot follow yourself');
+  }
+
+  const result = await followUserService(req.user.id, userId);
+  res.json(result);
+};
+
+/**
+ * Unfollow a user (authenticated)
+ */
+const unfollowUser = async (req, res) => {
+  const userId = req.params.id;
+
+  const result = await unfollowUserService(req.user.id, userId);
+  res.json(result);
+};
+
+/**
+ * Build a handler listing one side of the follow graph
+ * @param {Function} listService - getFollowersService or getFollowingService
+ * @param {string} key - Response key for the users
+ */
+const listFollowHandler = (listService, key) => async (req, res) => {
+  const userId = req.params.id;
+
+  const user = await getUserProfileService(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 100 });
+  const { items, nextCursor } = await listService(userId, { limit, cursor: req.query.cursor });
+
+  res.json({
+    userId,
+    count: items.length,
+    [key]: items.map(formatFollowUser),
+    nextCursor
+  });
+};
+
+/**
+ * List a user's followers
+ */
+const getFollowers = listFollowHandler(getFollowersService, 'followers');
+
+/**
+ * List the users a user follows
+ */
+const getFollowing = listFollowHandler(getFollowingService, 'following');
+
+/**
+ * Block a user (authenticated)
+ */
+const blockUser = async (req, res) => {
+  const userId = req.params.id;
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot block yourself');
+  }
+
+  const result = await blockUserService(req.user.id, userId);
+  res.json(result);
+};
+
+/**
+ * Unblock a user (authenticated)
+ */
+const unblockUser = async (req, res) => {
+  const userId = req.params.id;
+
+  const result = await unblockUserService(req.user.id, userId);
+  res.json(result);
+};
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser
+};
@@ -0,0 +1,40 @@
+const {
+  requestPasswordResetService,
+  resetPasswordService,
+  changePasswordService
+} = require('../services/password.service.js');
+
+/**
+ * Email a password reset token
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  await requestPasswordResetService(email);
+  res.json({ message: 'If an account uses this email, a reset link has been sent' });
+};
+
+/**
+ * Set a new password with a reset token
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  await resetPasswordService(token, password);
+  res.json({ message: 'Password reset successfully, please log in again' });
+};
+
+/**
+ * Change own password (authenticated)
+ */
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const revokedSessions = await changePasswordService(req.user.id, currentPassword, newPassword, {
+    sessionId: req.sessionId
+  });
+  res.json({ message: 'Password changed successfully', revokedSessions });
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword,
+  changePassword
+};
@@ -0,0 +1,125 @@
+const {
+  MAX_PHOTOS_PER_PLACE,
+  getPlacePhotosService,
+  countPlacePhotosService,
+  addPlacePhotosService,
+  updatePlacePhotoService,
+  reorderPlacePhotosService,
+  deletePlacePhotoService
+} = require('../services/photo.service.js');
+const { uploadPlacePhoto, deleteImage, getResponsiveImageUrls } = require('../services/cloudinary.service.js');
+const { getPlaceByIdService } = require('../services/place.service.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+const formatPhoto = photo => ({
+  ...photo,
+  urls: getResponsiveImageUrls(photo.url)
+});
+
+// Multipart sends one `captions` field per file; a single field arrives as a string
+const parseCaptions = value => (value === undefined ? [] : [].concat(value));
+
+/**
+ * List a place's photos in gallery order
+ */
+const getPlacePhotos = async (req, res) => {
+  const placeId = req.params.id;
+  const place = await getPlaceByIdService(placeId);
+  if (!place) {
+    throw new NotFoundError('Place not found');
+  }
+
+  const photos = await getPlacePhotosService(placeId);
+  res.json({
+    placeId,
+    count: photos.length,
+    photos: photos.map(formatPhoto)
+  });
+};
+
+/**
+ * Upload photos to a place's gallery (place owner only)
+ */
+const uploadPlacePhotos = async (req, res) => {
+  const placeId = req.params.id;
+  const files = req.files || [];
+  if (files.length === 0) {
+    throw new ValidationError('No image files provided');
+  }
+
+  const captions = parseCaptions(req.body.captions);
+
+  // Checked again inside the insert transaction; this avoids uploading files that would be rejected
+  const existingCount = await countPlacePhotosService(placeId);
+  if (existingCount + files.length > MAX_PHOTOS_PER_PLACE) {
+    throw new ValidationError(
+      `Photo limit reached: a place can have at most ${MAX_PHOTOS_PER_PLACE} photos`,
+      'PHOTO_LIMIT_REACHED'
+    );
+  }
+
+  const uploaded = [];
+  let photos;
+  try {
+    for (const file of files) {
+      uploaded.push(await uploadPlacePhoto(file.buffer, placeId));
+    }
+
+    photos = await addPlacePhotosService(
+      placeId,
+      req.user.id,
+      uploaded.map((photo, index) => ({ ...photo, caption: captions[index] }))
+    );
+  } catch (error) {
+    // Nothing references the assets uploaded so far
+    await Promise.all(uploaded.map(photo => deleteImage(photo.publicId)));
+    throw error;
+  }
+
+  res.status(201).json({
+    message: 'Photos uploaded successfully',
+    count: photos.length,
+    photos: photos.map(formatPhoto)
+  });
+};
+
+/**
+ * Reorder a place's gallery (place owner only)
+ */
+const reorderPlacePhotos = async (req, res) => {
+  const photos = await reorderPlacePhotosService(req.params.id, req.body.photoIds);
+  res.json({
+    message: 'Photos reordered successfully',
+    photos: photos.map(formatPhoto)
+  });
+};
+
+/**
+ * Update a photo's caption or make it the cover (place owner only)
+ */
+const updatePlacePhoto = async (req, res) => {
+  const { caption, isCover } = req.body;
+  const photo = await updatePlacePhotoService(req.params.id, req.params.photoId, { caption, isCover });
+  res.json({
+    message: 'Photo updated successfully',
+    photo: formatPhoto(photo)
+  });
+};
+
+/**
+ * Delete a photo and its Cloudinary asset (place owner only)
+ */
+const deletePlacePhoto = async (req, res) => {
+  const photo = await deletePlacePhotoService(req.params.id, req.params.photoId);
+  await deleteImage(photo.publicId);
+
+  res.json({ message: 'Photo deleted successfully' });
+};
+
+module.exports = {
+  getPlacePhotos,
+  uploadPlacePhotos,
+  reorderPlacePhotos,
+  updatePlacePhoto,
+  deletePlacePhoto
+};
@@ -1,74 +1,241 @@
-const { createPlaceService, getAllPlacesService, getPlaceByIdService, findNearbyPlacesService, getDistanceService, seedTestPlaces } = require('../services/place.service.js');
+const {
+  createPlaceService,
+  getAllPlacesService,
+  getPlaceByIdService,
+  updatePlaceService,
+  deletePlaceService,
+  findNearbyPlacesService,
+  findNearestPlacesService,
+  findPlacesWithinBoundsService,
+  searchPlacesService,
+  getCategoryCountsService,
+  normalizeTags,
+  getDistanceService,
+  seedTestPlaces
+} = require('../services/place.service.js');
+const { PLACES_WITHIN_MAX_RESULTS } = require('../schemas/place.schemas.js');
+const { getPlacePhotoPublicIdsService } = require('../services/photo.service.js');
+const { deleteImage } = require('../services/cloudinary.service.js');
+const { GEOJSON_MEDIA_TYPE, resolveGeoFormat, toFeature, toFeatureCollection } = require('../utils/geo.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+// `?category=cafe,bar` matches any category; `?tags=quiet,wifi` requires every tag
+const parseList = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Query and body are checked and coerced by the route schemas (src/schemas/place.schemas.js)
+const parsePlaceFilters = query => ({
+  categories: parseList(query.category).map(slug => slug.toLowerCase()),
+  tags: normalizeTags(parseList(query.tags)),
+  minRating: query.minRating
+});
 
 const createPlace = async (req, res) => {
-  try {
-    const result = await createPlaceService(req.body);
-    res.status(201).json(result);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to create place' });
-  }
+  const result = await createPlaceService({ ...req.body, createdById: req.user.id });
+  res.status(201).json(result);
 };
 
 const getAllPlaces = async (req, res) => {
-  try {
-    const result = await getAllPlacesService();
-    res.json(result);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to get places' });
+  const format = resolveGeoFormat(req);
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 100 });
+  const { items: places, nextCursor } = await getAllPlacesService({
+    cursor: req.query.cursor,
+    limit,
+    filters: parsePlaceFilters(req.query),
+    format
+  });
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(places, { nextCursor }));
   }
+
+  res.json({
+    count: places.length,
+    places,
+    nextCursor
+  });
 };
 
 const getPlaceById = async (req, res) => {
-  try {
-    const result = await getPlaceByIdService(parseInt(req.params.id));
-    res.json(result || {});
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to get place by ID' });
+  const placeId = req.params.id;
+  const format = resolveGeoFormat(req);
+  const place = await getPlaceByIdService(placeId, { format });
+  if (!place) {
+    throw new NotFoundError('Place not found');
   }
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeature(place));
+  }
+  res.json(place);
+};
+
+const updatePlace = async (req, res) => {
+  const placeId = req.params.id;
+  const { name, description, latitude, longitude, category, tags } = req.body;
+  const place = await updatePlaceService(placeId, { name, description, latitude, longitude, category, tags });
+  res.json({ message: 'Place updated successfully', place });
+};
+
+const deletePlace = async (req, res) => {
+  const placeId = req.params.id;
+  // Photos cascade with the place; their Cloudinary assets are removed once the row is gone
+  const photoPublicIds = await getPlacePhotoPublicIdsService(placeId);
+  await deletePlaceService(placeId);
+  await Promise.all(photoPublicIds.map(deleteImage));
+  res.json({ message: 'Place deleted successfully' });
 };
 
+// Distances come back from PostGIS as floats in meters
+const withRoundedDistance = places => places.map(place => ({
+  ...place,
+  distance: Math.round(parseFloat(place.distance))
+}));
+
 const findNearbyPlaces = async (req, res) => {
-  try {
-    const lat = parseFloat(req.query.lat);
-    const lng = parseFloat(req.query.lng);
-    const radius = parseFloat(req.query.radius || '5000');
-    const result = await findNearbyPlacesService(lat, lng, radius);
-    res.json(result);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to search nearby places' });
+  const { lat, lng, radius, sort } = req.query;
+  const limit = parseLimit(req.query, { defaultLimit: 50, maxLimit: 100 });
+  const format = resolveGeoFormat(req);
+  const { items, nextCursor } = await findNearbyPlacesService(lat, lng, radius, {
+    cursor: req.query.cursor,
+    limit,
+    sort,
+    filters: parsePlaceFilters(req.query),
+    format
+  });
+  const places = withRoundedDistance(items);
+  const center = { latitude: lat, longitude: lng };
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(places, { center, radius, nextCursor }));
   }
+
+  res.json({
+    center,
+    radius,
+    count: places.length,
+    places,
+    nextCursor
+  });
 };
 
-const getDistanceBetweenPlaces = async (req, res) => {
-  try {
-    const { fromLat, fromLng, toLat, toLng } = req.query;
-    const result = await getDistanceService(fromLat, fromLng, toLat, toLng);
-    res.json(result);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to calculate distance' });
+const findNearestPlaces = async (req, res) => {
+  const { lat, lng } = req.query;
+  const k = Math.min(req.query.k, 100);
+  const format = resolveGeoFormat(req);
+  const places = withRoundedDistance(await findNearestPlacesService(lat, lng, k, { format }));
+  const center = { latitude: lat, longitude: lng };
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(places, { center, k }));
   }
+
+  res.json({
+    center,
+    k,
+    count: places.length,
+    places
+  });
 };
 
-const seedTestData = async (req, res) => {
-  try {
-    await seedTestPlaces();
-    res.status(201).json({ message: 'Test data seeded successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to seed test data' });
+const findPlacesWithinBounds = async (req, res) => {
+  const bbox = req.query.bbox.split(',').map(value => parseFloat(value));
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  if ([minLng, maxLng].some(lng => lng < -180 || lng > 180) ||
+      [minLat, maxLat].some(lat => lat < -90 || lat > 90)) {
+    throw new ValidationError('bbox coordinates are out of range');
+  }
+  if (minLat > maxLat) {
+    throw new ValidationError('bbox minLat must not be greater than maxLat');
+  }
+
+  const limit = parseLimit(req.query, {
+    defaultLimit: PLACES_WITHIN_MAX_RESULTS,
+    maxLimit: PLACES_WITHIN_MAX_RESULTS
+  });
+
+  const format = resolveGeoFormat(req);
+  const { places, truncated, nextCursor } = await findPlacesWithinBoundsService(
+    { minLng, minLat, maxLng, maxLat },
+    { cursor: req.query.cursor, limit, filters: parsePlaceFilters(req.query), format }
+  );
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(places, { bbox, truncated, nextCursor }));
+  }
+
+  res.json({
+    bbox,
+    count: places.length,
+    truncated,
+    places,
+    nextCursor
+  });
+};
+
+const searchPlaces = async (req, res) => {
+  // The schema counts surrounding whitespace, so the trimmed query is checked again
+  const query = req.query.q.trim();
+  if (query.length < 2) {
+    throw new ValidationError('Search query must be at least 2 characters long');
+  }
+
+  // Proximity boost is optional; the schema requires both coordinates or neither
+  const { lat, lng } = req.query;
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const format = resolveGeoFormat(req);
+  const { items, nextCursor } = await searchPlacesService(query, {
+    lat,
+    lng,
+    cursor: req.query.cursor,
+    limit,
+    format
+  });
+  const places = items.map(place => ({ ...place, score: Math.round(place.score * 10000) / 10000 }));
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(places, { query, nextCursor }));
   }
+
+  res.json({
+    query,
+    count: places.length,
+    places,
+    nextCursor
+  });
+};
+
+const getCategoryCounts = async (req, res) => {
+  const { lat, lng, radius } = req.query;
+  const categories = await getCategoryCountsService(lat, lng, radius);
+  res.json({
+    center: { latitude: lat, longitude: lng },
+    radius,
+    categories
+  });
+};
+
+const getDistanceBetweenPlaces = async (req, res) => {
+  const { fromLat, fromLng, toLat, toLng } = req.query;
+  const result = await getDistanceService(fromLat, fromLng, toLat, toLng);
+  res.json(result);
+};
+
+const seedTestData = async (req, res) => {
+  await seedTestPlaces();
+  res.status(201).json({ message: 'Test data seeded successfully' });
 };
 
 module.exports = {
   createPlace,
   getAllPlaces,
   getPlaceById,
+  updatePlace,
+  deletePlace,
   findNearbyPlaces,
+  findNearestPlaces,
+  findPlacesWithinBounds,
+  searchPlaces,
+  getCategoryCounts,
   getDistanceBetweenPlaces,
   seedTestData
  };
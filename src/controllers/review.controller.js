@@ -0,0 +1,97 @@
+const {
+  getPlaceReviewsService,
+  getReviewByIdService,
+  createReviewService,
+  updateReviewService,
+  deleteReviewService
+} = require('../services/review.service.js');
+const { getPlaceByIdService } = require('../services/place.service.js');
+const { getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { NotFoundError } = require('../utils/errors.js');
+
+const formatReview = ({ _count, ...review }) => ({
+  ...review,
+  likeCount: _count.likes,
+  commentCount: _count.comments,
+  user: {
+    ...review.user,
+    avatarUrl: review.user.avatarUrl ? getOptimizedAvatarUrl(review.user.avatarUrl, { width: 100, height: 100 }) : null
+  }
+});
+
+/**
+ * List reviews for a place
+ */
+const getPlaceReviews = async (req, res) => {
+  const placeId = req.params.id;
+  const place = await getPlaceByIdService(placeId);
+  if (!place) {
+    throw new NotFoundError('Place not found');
+  }
+
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const { items, nextCursor } = await getPlaceReviewsService(placeId, { limit, cursor: req.query.cursor });
+
+  res.json({
+    placeId,
+    averageRating: place.averageRating,
+    reviewCount: place.reviewCount,
+    count: items.length,
+    reviews: items.map(formatReview),
+    nextCursor
+  });
+};
+
+/**
+ * Get a single review
+ */
+const getReview = async (req, res) => {
+  const review = await getReviewByIdService(req.params.reviewId);
+  if (!review || review.placeId !== req.params.id) {
+    throw new NotFoundError('Review not found');
+  }
+
+  const { userId, ...publicReview } = review;
+  res.json(formatReview(publicReview));
+};
+
+/**
+ * Review a place (authenticated, once per place)
+ */
+const createReview = async (req, res) => {
+  const { rating, body } = req.body;
+  const review = await createReviewService(req.params.id, req.user.id, { rating, body });
+  res.status(201).json({
+    message: 'Review created successfully',
+    review: formatReview(review)
+  });
+};
+
+/**
+ * Update own review (authenticated)
+ */
+const updateReview = async (req, res) => {
+  const { rating, body } = req.body;
+  const review = await updateReviewService(req.params.reviewId, { rating, body });
+  res.json({
+    message: 'Review updated successfully',
+    review: formatReview(review)
+  });
+};
+
+/**
+ * Delete own review (authenticated)
+ */
+const deleteReview = async (req, res) => {
+  await deleteReviewService(req.params.reviewId);
+  res.json({ message: 'Review deleted successfully' });
+};
+
+module.exports = {
+  getPlaceReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview
+};
@@ -0,0 +1,35 @@
+const {
+  refreshSessionService,
+  revokeSessionService,
+  revokeAllSessionsService
+} = require('../services/session.service.js');
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refreshSession = async (req, res) => {
+  const tokens = await refreshSessionService(req.body.refreshToken);
+  res.json(tokens);
+};
+
+/**
+ * Log out the current session (authenticated)
+ */
+const logout = async (req, res) => {
+  await revokeSessionService(req.sessionId);
+  res.json({ message: 'Logged out successfully' });
+};
+
+/**
+ * Log out every session of the current user (authenticated)
+ */
+const logoutAll = async (req, res) => {
+  const revokedSessions = await revokeAllSessionsService(req.user.id);
+  res.json({ message: 'Logged out of all sessions', revokedSessions });
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  logoutAll
+};
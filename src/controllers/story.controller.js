@@ -0,0 +1,163 @@
+const {
+  isStoryExpired,
+  getStoryByIdService,
+  getUserStoriesService,
+  createStoryService,
+  deleteStoryService
+} = require('../services/story.service.js');
+const { getUserProfileService } = require('../services/user.service.js');
+const { uploadStoryMedia, deleteImage, getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { GEOJSON_MEDIA_TYPE, resolveGeoFormat, toFeature, toFeatureCollection } = require('../utils/geo.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { MAX_STORY_LENGTH } = require('../schemas/story.schemas.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+const formatStory = story => ({
+  ...story,
+  author: {
+    ...story.author,
+    avatarUrl: story.author.avatarUrl ? getOptimizedAvatarUrl(story.author.avatarUrl, { width: 100, height: 100 }) : null
+  }
+});
+
+// Multipart fields arrive as strings, JSON bodies as numbers
+const parseOptionalNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Validate story input
+ * @returns {Object} Parsed fields
+ */
+const parseStoryInput = (body, file) => {
+  const text = typeof body.text === 'string' && body.text.trim() !== '' ? body.text.trim() : null;
+  if (body.text !== undefined && typeof body.text !== 'string') {
+    throw new ValidationError('Story text must be a string');
+  }
+  if (text && text.length > MAX_STORY_LENGTH) {
+    throw new ValidationError(`Story text must be at most ${MAX_STORY_LENGTH} characters`);
+  }
+  if (!text && !file) {
+    throw new ValidationError('A story needs text or media');
+  }
+
+  const placeId = parseOptionalNumber(body.placeId);
+  const latitude = parseOptionalNumber(body.latitude);
+  const longitude = parseOptionalNumber(body.longitude);
+
+  if (placeId !== undefined && !Number.isInteger(placeId)) {
+    throw new ValidationError('Invalid place ID');
+  }
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    throw new ValidationError('Latitude and longitude must be provided together');
+  }
+  if (latitude !== undefined && (isNaN(latitude) || isNaN(longitude) ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180)) {
+    throw new ValidationError('Invalid latitude or longitude');
+  }
+  if (placeId !== undefined && latitude !== undefined) {
+    throw new ValidationError('Tag a story with either a place or coordinates, not both');
+  }
+
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== null && body.expiresAt !== '') {
+    expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new ValidationError('expiresAt must be a date in the future');
+    }
+  }
+
+  return { text, placeId, latitude, longitude, expiresAt };
+};
+
+/**
+ * Post a story (authenticated)
+ */
+const createStory = async (req, res) => {
+  const story = parseStoryInput(req.body, req.file);
+  const media = req.file ? await uploadStoryMedia(req.file.buffer, req.user.id) : null;
+
+  let created;
+  try {
+    created = await createStoryService(req.user.id, {
+      ...story,
+      mediaUrl: media ? media.url : null,
+      mediaPublicId: media ? media.publicId : null
+    });
+  } catch (error) {
+    // Nothing references the uploaded media
+    if (media) {
+      await deleteImage(media.publicId);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    message: 'Story created successfully',
+    story: formatStory(created)
+  });
+};
+
+/**
+ * Get a story; expired stories are only visible to their author
+ */
+const getStory = async (req, res) => {
+  const format = resolveGeoFormat(req);
+  const story = await getStoryByIdService(req.params.id, { format });
+  const isAuthor = story && req.user && req.user.id === story.author.id;
+  if (!story || (isStoryExpired(story) && !isAuthor)) {
+    throw new NotFoundError('Story not found');
+  }
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeature(formatStory(story)));
+  }
+  res.json(formatStory(story));
+};
+
+/**
+ * List a user's stories, newest first; authors also see their expired stories
+ */
+const getUserStories = async (req, res) => {
+  const userId = req.params.id;
+  const user = await getUserProfileService(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const format = resolveGeoFormat(req);
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const { items, nextCursor } = await getUserStoriesService(userId, {
+    limit,
+    cursor: req.query.cursor,
+    includeExpired: Boolean(req.user && req.user.id === userId),
+    format
+  });
+  const stories = items.map(formatStory);
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(stories, { userId, nextCursor }));
+  }
+  res.json({
+    userId,
+    count: stories.length,
+    stories,
+    nextCursor
+  });
+};
+
+/**
+ * Delete own story and its media (authenticated)
+ */
+const deleteStory = async (req, res) => {
+  const { mediaPublicId } = await deleteStoryService(req.params.id);
+  if (mediaPublicId) {
+    await deleteImage(mediaPublicId);
+  }
+  res.json({ message: 'Story deleted successfully' });
+};
+
+module.exports = {
+  createStory,
+  getStory,
+  getUserStories,
+  deleteStory
+};
@@ -0,0 +1,51 @@
+const {
+  setupTwoFactorService,
+  confirmTwoFactorService,
+  regenerateRecoveryCodesService,
+  disableTwoFactorService
+} = require('../services/two-factor.service.js');
+
+/**
+ * Start TOTP enrollment (authenticated)
+ */
+const setupTwoFactor = async (req, res) => {
+  const result = await setupTwoFactorService(req.user.id);
+  res.json({
+    message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+    ...result
+  });
+};
+
+/**
+ * Confirm TOTP enrollment with a code and receive recovery codes (authenticated)
+ */
+const confirmTwoFactor = async (req, res) => {
+  const result = await confirmTwoFactorService(req.user.id, req.body.code);
+  res.json({
+    message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+    ...result
+  });
+};
+
+/**
+ * Replace the recovery codes (authenticated)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const result = await regenerateRecoveryCodesService(req.user.id, req.body.code);
+  res.json(result);
+};
+
+/**
+ * Turn off two-factor authentication (authenticated)
+ */
+const disableTwoFactor = async (req, res) => {
+  await disableTwoFactorService(req.user.id, req.body.password);
+  res.json({ message: 'Two-factor authentication disabled' });
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
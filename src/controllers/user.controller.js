@@ -1,356 +1,326 @@
 const { 
   createUserService, 
   loginUserService,
+  completeTwoFactorLoginService,
   getUserProfileService, 
   updateUserProfileService,
   searchUsersService,
   getNearbyUsersService,
-  updateUserStatsService,
+  recountUserStatsService,
+  setUserRoleService,
   deleteUserService,
   getUserEngagementService
 } = require('../services/user.service.js');
-const { uploadAvatar, deleteAvatar, getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { getUserStoryMediaIdsService } = require('../services/story.service.js');
+const { sendVerificationEmailService } = require('../services/verification.service.js');
+const { uploadAvatar, deleteAvatar, deleteImage, getOptimizedAvatarUrl } = require('../services/cloudinary.service.js');
+const { GEOJSON_MEDIA_TYPE, resolveGeoFormat, toFeatureCollection } = require('../utils/geo.js');
+const { parseLimit } = require('../utils/pagination.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+// Params, query and body are checked and coerced by the route schemas (src/schemas/user.schemas.js)
 
 /**
  * Register a new user
  */
 const registerUser = async (req, res) => {
-  try {
-    const { username, email, password, fullName } = req.body;
-
-    // Basic validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
+  const { username, email, password, fullName } = req.body;
+  const user = await createUserService({ username, email, password, fullName });
 
-    const user = await createUserService({ username, email, password, fullName });
-    res.status(201).json({ 
-      message: 'User created successfully', 
-      user 
-    });
+  try {
+    await sendVerificationEmailService(user);
   } catch (error) {
-    console.error('Registration error:', error);
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({ error: error.message });
-    }
-    res.status(500).json({ error: 'Failed to create user' });
+    // The account exists either way; POST /users/verify-email/resend sends another email
   }
+
+  res.status(201).json({ 
+    message: 'User created successfully', 
+    user 
+  });
 };
 
 /**
  * User login
  */
 const loginUser = async (req, res) => {
-  try {
-    const { emailOrUsername, password } = req.body;
-
-    if (!emailOrUsername || !password) {
-      return res.status(400).json({ error: 'Email/username and password are required' });
-    }
+  const { emailOrUsername, password } = req.body;
+  const result = await loginUserService(emailOrUsername, password, { userAgent: req.get('user-agent') });
+  res.json({
+    message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+    ...result
+  });
+};
 
-    const result = await loginUserService(emailOrUsername, password);
-    res.json({
-      message: 'Login successful',
-      ...result
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    if (error.message === 'Invalid credentials') {
-      return res.status(401).json({ error: 'Invalid email/username or password' });
-    }
-    res.status(500).json({ error: 'Login failed' });
-  }
+/**
+ * Second login step with a TOTP code or a recovery code
+ */
+const completeTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const result = await completeTwoFactorLoginService(
+    challengeToken,
+    { code, recoveryCode },
+    { userAgent: req.get('user-agent') }
+  );
+  res.json({
+    message: 'Login successful',
+    ...result
+  });
 };
 
 /**
  * Get user profile by ID (public endpoint)
  */
 const getUserProfile = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-
-    const user = await getUserProfileService(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Optimize avatar URL for response
-    if (user.avatarUrl) {
-      user.avatarUrl = getOptimizedAvatarUrl(user.avatarUrl, { width: 200, height: 200 });
-    }
+  const userId = req.params.id;
+  const user = await getUserProfileService(userId, { viewerId: req.user && req.user.id });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    res.json(user);
-  } catch (error) {
-    console.error('Error getting user profile:', error);
-    res.status(500).json({ error: 'Failed to get user profile' });
+  // Optimize avatar URL for response
+  if (user.avatarUrl) {
+    user.avatarUrl = getOptimizedAvatarUrl(user.avatarUrl, { width: 200, height: 200 });
   }
+
+  res.json(user);
 };
 
 /**
  * Update user profile (authenticated endpoint)
  */
 const updateUserProfile = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    const {
-      fullName, bio, website, instagram, twitter, facebook,
-      city, country, latitude, longitude
-    } = req.body;
-
-    const updateData = {
-      fullName, bio, website, instagram, twitter, facebook,
-      city, country, latitude, longitude
-    };
-
-    // Remove undefined values
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] === undefined) {
-        delete updateData[key];
-      }
-    });
-
-    const updatedUser = await updateUserProfileService(userId, updateData);
-    
-    // Optimize avatar URL for response
-    if (updatedUser.avatarUrl) {
-      updatedUser.avatarUrl = getOptimizedAvatarUrl(updatedUser.avatarUrl, { width: 200, height: 200 });
+  const userId = req.params.id;
+  const {
+    fullName, bio, website, instagram, twitter, facebook,
+    city, country, latitude, longitude
+  } = req.body;
+
+  const updateData = {
+    fullName, bio, website, instagram, twitter, facebook,
+    city, country, latitude, longitude
+  };
+
+  // Remove undefined values
+  Object.keys(updateData).forEach(key => {
+    if (updateData[key] === undefined) {
+      delete updateData[key];
     }
+  });
 
-    res.json({
-      message: 'Profile updated successfully',
-      user: updatedUser
-    });
-  } catch (error) {
-    console.error('Error updating user profile:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+  const updatedUser = await updateUserProfileService(userId, updateData);
+  
+  // Optimize avatar URL for response
+  if (updatedUser.avatarUrl) {
+    updatedUser.avatarUrl = getOptimizedAvatarUrl(updatedUser.avatarUrl, { width: 200, height: 200 });
   }
+
+  res.json({
+    message: 'Profile updated successfully',
+    user: updatedUser
+  });
 };
 
 /**
  * Upload user avatar
  */
 const uploadUserAvatar = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
-    }
-
-    // Get current user to check for existing avatar
-    const currentUser = await getUserProfileService(userId);
-    
-    // Upload new avatar to Cloudinary
-    const avatarUrl = await uploadAvatar(req.file.buffer, userId);
-    
-    // Delete old avatar if it exists
-    if (currentUser && currentUser.avatarUrl) {
-      await deleteAvatar(currentUser.avatarUrl);
-    }
-    
-    // Update user profile with new avatar URL
-    const updatedUser = await updateUserProfileService(userId, { avatarUrl });
-    
-    // Optimize avatar URL for response
-    updatedUser.avatarUrl = getOptimizedAvatarUrl(updatedUser.avatarUrl, { width: 200, height: 200 });
+  const userId = req.params.id;
+  
+  if (!req.file) {
+    throw new ValidationError('No image file provided');
+  }
 
-    res.json({
-      message: 'Avatar uploaded successfully',
-      user: updatedUser,
-      avatarUrl: updatedUser.avatarUrl
-    });
-  } catch (error) {
-    console.error('Error uploading avatar:', error);
-    if (error.message.includes('Only image files')) {
-      return res.status(400).json({ error: 'Only image files are allowed' });
-    }
-    res.status(500).json({ error: 'Failed to upload avatar' });
+  // Get current user to check for existing avatar
+  const currentUser = await getUserProfileService(userId);
+  
+  // Upload new avatar to Cloudinary
+  const avatarUrl = await uploadAvatar(req.file.buffer, userId);
+  
+  // Delete old avatar if it exists
+  if (currentUser && currentUser.avatarUrl) {
+    await deleteAvatar(currentUser.avatarUrl);
   }
+  
+  // Update user profile with new avatar URL
+  const updatedUser = await updateUserProfileService(userId, { avatarUrl });
+  
+  // Optimize avatar URL for response
+  updatedUser.avatarUrl = getOptimizedAvatarUrl(updatedUser.avatarUrl, { width: 200, height: 200 });
+
+  res.json({
+    message: 'Avatar uploaded successfully',
+    user: updatedUser,
+    avatarUrl: updatedUser.avatarUrl
+  });
 };
 
 /**
  * Search users by username or full name
  */
 const searchUsers = async (req, res) => {
-  try {
-    const { q: query, limit = 20 } = req.query;
+  const { cursor } = req.query;
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({ error: 'Search query must be at least 2 characters long' });
-    }
-
-    const users = await searchUsersService(query.trim(), parseInt(limit));
-    
-    // Optimize avatar URLs for response
-    const optimizedUsers = users.map(user => ({
-      ...user,
-      avatarUrl: user.avatarUrl ? getOptimizedAvatarUrl(user.avatarUrl, { width: 100, height: 100 }) : null
-    }));
-
-    res.json({
-      query: query.trim(),
-      count: optimizedUsers.length,
-      users: optimizedUsers
-    });
-  } catch (error) {
-    console.error('Error searching users:', error);
-    res.status(500).json({ error: 'Failed to search users' });
+  // The schema counts surrounding whitespace, so the trimmed query is checked again
+  const query = req.query.q.trim();
+  if (query.length < 2) {
+    throw new ValidationError('Search query must be at least 2 characters long');
   }
+
+  const limit = parseLimit(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const { items: users, nextCursor } = await searchUsersService(query, { limit, cursor });
+  
+  // Optimize avatar URLs for response
+  const optimizedUsers = users.map(user => ({
+    ...user,
+    avatarUrl: user.avatarUrl ? getOptimizedAvatarUrl(user.avatarUrl, { width: 100, height: 100 }) : null
+  }));
+
+  res.json({
+    query,
+    count: optimizedUsers.length,
+    users: optimizedUsers,
+    nextCursor
+  });
 };
 
 /**
  * Get nearby users based on coordinates
  */
 const getNearbyUsers = async (req, res) => {
-  try {
-    const { lat, lng, radius = 10000, limit = 50 } = req.query;
-
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const searchRadius = parseFloat(radius);
-    const searchLimit = parseInt(limit);
-
-    if (isNaN(latitude) || isNaN(longitude)) {
-      return res.status(400).json({ error: 'Invalid latitude or longitude' });
-    }
-
-    const users = await getNearbyUsersService(latitude, longitude, searchRadius, searchLimit);
-    
-    // Optimize avatar URLs and format distance
-    const optimizedUsers = users.map(user => ({
-      ...user,
-      avatarUrl: user.avatarUrl ? getOptimizedAvatarUrl(user.avatarUrl, { width: 100, height: 100 }) : null,
-      distance: Math.round(parseFloat(user.distance))
-    }));
-
-    res.json({
+  const { lat: latitude, lng: longitude, radius: searchRadius, cursor } = req.query;
+  const searchLimit = parseLimit(req.query, { defaultLimit: 50, maxLimit: 100 });
+  const format = resolveGeoFormat(req);
+  const { items: users, nextCursor } = await getNearbyUsersService(latitude, longitude, searchRadius, {
+    limit: searchLimit,
+    cursor,
+    format
+  });
+  
+  // Optimize avatar URLs and format distance
+  const optimizedUsers = users.map(user => ({
+    ...user,
+    avatarUrl: user.avatarUrl ? getOptimizedAvatarUrl(user.avatarUrl, { width: 100, height: 100 }) : null,
+    distance: Math.round(parseFloat(user.distance))
+  }));
+
+  if (format === 'geojson') {
+    return res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(optimizedUsers, {
       center: { latitude, longitude },
       radius: searchRadius,
-      count: optimizedUsers.length,
-      users: optimizedUsers
-    });
-  } catch (error) {
-    console.error('Error finding nearby users:', error);
-    res.status(500).json({ error: 'Failed to find nearby users' });
+      nextCursor
+    }));
   }
+
+  res.json({
+    center: { latitude, longitude },
+    radius: searchRadius,
+    count: optimizedUsers.length,
+    users: optimizedUsers,
+    nextCursor
+  });
 };
 
 /**
  * Get current user's own profile (authenticated)
  */
 const getCurrentUserProfile = async (req, res) => {
-  try {
-    // req.user is set by auth middleware
-    const user = req.user;
-    
-    // Get fresh data from database with coordinates
-    const fullProfile = await getUserProfileService(user.id);
-    
-    // Include private information for own profile
-    res.json({
-      ...fullProfile,
-      email: user.email, // Include email for own profile
-      avatarUrl: fullProfile.avatarUrl ? getOptimizedAvatarUrl(fullProfile.avatarUrl, { width: 200, height: 200 }) : null
-    });
-  } catch (error) {
-    console.error('Error getting current user profile:', error);
-    res.status(500).json({ error: 'Failed to get profile' });
+  // req.user is set by auth middleware
+  const user = req.user;
+  
+  // Get fresh data from database with coordinates
+  const fullProfile = await getUserProfileService(user.id);
+  
+  // Include private information for own profile
+  res.json({
+    ...fullProfile,
+    email: user.email, // Include email for own profile
+    emailVerified: user.emailVerified,
+    role: user.role,
+    avatarUrl: fullProfile.avatarUrl ? getOptimizedAvatarUrl(fullProfile.avatarUrl, { width: 200, height: 200 }) : null
+  });
+};
+
+/**
+ * Recompute user engagement stats from stories, likes and comments (admin only)
+ */
+const recountUserStats = async (req, res) => {
+  const userId = req.params.id;
+  const updatedUser = await recountUserStatsService(userId);
+  if (!updatedUser) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({
+    message: 'User stats recalculated successfully',
+    user: updatedUser
+  });
 };
 
 /**
- * Update user engagement stats (internal endpoint)
+ * Change a user's role (admin only)
  */
-const updateUserStats = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    const { statType, increment = 1 } = req.body;
+const setUserRole = async (req, res) => {
+  const userId = req.params.id;
+  const { role } = req.body;
 
-    if (!statType) {
-      return res.status(400).json({ error: 'Stat type is required' });
-    }
+  // Keeps an admin from locking themselves out
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot change your own role');
+  }
 
-    const updatedUser = await updateUserStatsService(userId, statType, parseInt(increment));
-    res.json({
-      message: 'User stats updated successfully',
-      user: updatedUser
-    });
-  } catch (error) {
-    console.error('Error updating user stats:', error);
-    if (error.message.includes('Invalid stat type')) {
-      return res.status(400).json({ error: error.message });
-    }
-    res.status(500).json({ error: 'Failed to update user stats' });
+  const user = await setUserRoleService(userId, role);
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({ message: 'User role updated successfully', user });
 };
 
 /**
  * Get user engagement summary
  */
 const getUserEngagement = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-
-    const engagement = await getUserEngagementService(userId);
-    res.json(engagement);
-  } catch (error) {
-    console.error('Error getting user engagement:', error);
-    if (error.message === 'User not found') {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    res.status(500).json({ error: 'Failed to get user engagement' });
-  }
+  const userId = req.params.id;
+  const engagement = await getUserEngagementService(userId);
+  res.json(engagement);
 };
 
 /**
  * Delete user account (authenticated)
  */
 const deleteUser = async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
-    
-    // Get user profile to check for avatar
-    const user = await getUserProfileService(userId);
-    
-    // Delete avatar from Cloudinary if exists
-    if (user && user.avatarUrl) {
-      await deleteAvatar(user.avatarUrl);
-    }
-    
-    // Delete user from database
-    await deleteUserService(userId);
-    
-    res.json({ message: 'User account deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Failed to delete user account' });
+  const userId = req.params.id;
+  
+  // Get user profile to check for avatar
+  const user = await getUserProfileService(userId);
+  
+  // Delete avatar from Cloudinary if exists
+  if (user && user.avatarUrl) {
+    await deleteAvatar(user.avatarUrl);
   }
+  
+  // Stories cascade with the user, so collect their media first
+  const storyMediaIds = await getUserStoryMediaIdsService(userId);
+
+  // Delete user from database
+  await deleteUserService(userId);
+  await Promise.all(storyMediaIds.map(deleteImage));
+  
+  res.json({ message: 'User account deleted successfully' });
 };
 
 module.exports = {
   registerUser,
   loginUser,
+  completeTwoFactorLogin,
   getUserProfile,
   updateUserProfile,
   uploadUserAvatar,
   searchUsers,
   getNearbyUsers,
   getCurrentUserProfile,
-  updateUserStats,
+  recountUserStats,
+  setUserRole,
   getUserEngagement,
   deleteUser
 }; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+const {
+  verifyEmailService,
+  resendVerificationEmailService
+} = require('../services/verification.service.js');
+
+/**
+ * Verify an email address from the emailed link
+ */
+const verifyEmail = async (req, res) => {
+  const user = await verifyEmailService(req.query.token);
+  res.json({ message: 'Email verified successfully', user });
+};
+
+/**
+ * Send another verification email (authenticated, throttled)
+ */
+const resendVerificationEmail = async (req, res) => {
+  await resendVerificationEmailService(req.user.id);
+  res.json({ message: 'Verification email sent' });
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerificationEmail
+};
@@ -1,59 +1,89 @@
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('../../generated/prisma');
+const { getPlaceByIdService } = require('../services/place.service.js');
+const { getReviewByIdService } = require('../services/review.service.js');
+const { getStoryByIdService } = require('../services/story.service.js');
+const { getCommentByIdService } = require('../services/engagement.service.js');
+const { verifyAccessToken, getSessionUserService } = require('../services/session.service.js');
+const { getUnverifiedEmailBlocks } = require('../services/verification.service.js');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors.js');
 
-const prisma = new PrismaClient();
+// Fields of `req.user` for authenticated requests
+const authUserSelect = {
+  id: true,
+  username: true,
+  email: true,
+  emailVerified: true,
+  role: true,
+  fullName: true,
+  avatarUrl: true,
+  bio: true,
+  website: true,
+  instagram: true,
+  twitter: true,
+  facebook: true,
+  city: true,
+  country: true,
+  storyCount: true,
+  likeCount: true,
+  commentCount: true,
+  createdAt: true,
+  updatedAt: true
+};
 
 const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // Get user from database to ensure they still exist
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        fullName: true,
-        avatarUrl: true,
-        bio: true,
-        website: true,
-        instagram: true,
-        twitter: true,
-        facebook: true,
-        city: true,
-        country: true,
-        storyCount: true,
-        likeCount: true,
-        commentCount: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+  if (!token) {
+    throw new UnauthorizedError('Access token required', 'TOKEN_REQUIRED');
+  }
 
-    req.user = user;
-    next();
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
     }
-    return res.status(500).json({ error: 'Authentication error' });
+    throw new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
   }
+  if (!Number.isInteger(decoded.sid)) {
+    throw new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
+  }
+
+  // Load the user through the session, so logged-out, revoked and deleted sessions stop working immediately
+  const user = await getSessionUserService(decoded.sid, authUserSelect);
+
+  if (!user) {
+    throw new UnauthorizedError('Session expired or revoked', 'SESSION_REVOKED');
+  }
+
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
+};
+
+// Like authenticateToken, but anonymous requests pass through without `req.user`
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Reject unverified users when UNVERIFIED_EMAIL_BLOCKS lists the action (e.g. 'story:create')
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!req.user.emailVerified && getUnverifiedEmailBlocks().has(action)) {
+    throw new ForbiddenError('Email verification required', 'EMAIL_NOT_VERIFIED');
+  }
+  next();
+};
+
+// Allow only users with one of the given roles, e.g. authorizeRole('admin', 'moderator')
+const authorizeRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    throw new ForbiddenError(`Access denied: requires role ${roles.join(' or ')}`);
+  }
+  next();
 };
 
 // Middleware to check if user can only access their own resources
@@ -62,7 +92,84 @@ const authorizeOwner = (req, res, next) => {
   const currentUserId = req.user.id;
 
   if (requestedUserId !== currentUserId) {
-    return res.status(403).json({ error: 'Access denied: You can only access your own profile' });
+    throw new ForbiddenError('Access denied: You can only access your own profile');
+  }
+
+  next();
+};
+
+// Middleware to check if user can only modify places they created
+const authorizePlaceOwner = async (req, res, next) => {
+  const placeId = parseInt(req.params.id);
+  if (isNaN(placeId)) {
+    throw new ValidationError('Invalid place ID');
+  }
+
+  const place = await getPlaceByIdService(placeId);
+  if (!place) {
+    throw new NotFoundError('Place not found');
+  }
+
+  if (place.createdById !== req.user.id) {
+    throw new ForbiddenError('Access denied: You can only modify places you created');
+  }
+
+  next();
+};
+
+// Middleware to check if user can only modify reviews they wrote
+const authorizeReviewAuthor = async (req, res, next) => {
+  const placeId = parseInt(req.params.id);
+  const reviewId = parseInt(req.params.reviewId);
+  if (isNaN(placeId) || isNaN(reviewId)) {
+    throw new ValidationError('Invalid place or review ID');
+  }
+
+  const review = await getReviewByIdService(reviewId);
+  if (!review || review.placeId !== placeId) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (review.userId !== req.user.id) {
+    throw new ForbiddenError('Access denied: You can only modify your own reviews');
+  }
+
+  next();
+};
+
+// Middleware to check if user can only delete stories they posted
+const authorizeStoryAuthor = async (req, res, next) => {
+  const storyId = parseInt(req.params.id);
+  if (isNaN(storyId)) {
+    throw new ValidationError('Invalid story ID');
+  }
+
+  const story = await getStoryByIdService(storyId);
+  if (!story) {
+    throw new NotFoundError('Story not found');
+  }
+
+  if (story.author.id !== req.user.id) {
+    throw new ForbiddenError('Access denied: You can only modify your own stories');
+  }
+
+  next();
+};
+
+// Middleware to check if user can only modify comments they wrote
+const authorizeCommentAuthor = async (req, res, next) => {
+  const commentId = parseInt(req.params.commentId);
+  if (isNaN(commentId)) {
+    throw new ValidationError('Invalid comment ID');
+  }
+
+  const comment = await getCommentByIdService(commentId);
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  if (comment.userId !== req.user.id) {
+    throw new ForbiddenError('Access denied: You can only modify your own comments');
   }
 
   next();
@@ -70,5 +177,12 @@ const authorizeOwner = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  authorizeOwner
+  optionalAuthenticate,
+  requireVerifiedEmail,
+  authorizeRole,
+  authorizeOwner,
+  authorizePlaceOwner,
+  authorizeReviewAuthor,
+  authorizeStoryAuthor,
+  authorizeCommentAuthor
 }; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { Prisma } = require('../../generated/prisma');
+const { AppError, NotFoundError } = require('../utils/errors.js');
+
+// Upload limits hit by multer, by its error code
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, code: 'FILE_TOO_LARGE', message: 'File is too large' },
+  LIMIT_FILE_COUNT: { status: 400, code: 'TOO_MANY_FILES', message: 'Too many files' },
+  LIMIT_UNEXPECTED_FILE: { status: 400, code: 'UNEXPECTED_FILE', message: 'Unexpected file field' }
+};
+
+// Prisma errors that mean the request, not the server, is at fault
+const PRISMA_ERRORS = {
+  P2002: { status: 409, code: 'CONFLICT', message: 'Resource already exists' },
+  P2025: { status: 404, code: 'NOT_FOUND', message: 'Resource not found' }
+};
+
+/**
+ * Status and response body for an error
+ * @param {Error} err - Error thrown by a route
+ * @returns {Object} `{ status, body, retryAfter }`
+ */
+const toErrorResponse = (err) => {
+  if (err instanceof AppError) {
+    return {
+      status: err.status,
+      body: { error: err.message, code: err.code, ...(err.details && { details: err.details }) },
+      retryAfter: err.retryAfter
+    };
+  }
+
+  if (err.name === 'MulterError') {
+    const known = MULTER_ERRORS[err.code] || { status: 400, code: 'UPLOAD_ERROR', message: err.message };
+    return { status: known.status, body: { error: known.message, code: known.code } };
+  }
+
+  if (err instanceof Prisma.PrismaClientKnownRequestError && PRISMA_ERRORS[err.code]) {
+    const known = PRISMA_ERRORS[err.code];
+    return { status: known.status, body: { error: known.message, code: known.code } };
+  }
+
+  // body-parser: malformed JSON, oversized bodies
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: { error: 'Malformed JSON body', code: 'INVALID_JSON' } };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, body: { error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' } };
+  }
+
+  return { status: 500, body: { error: 'Internal server error', code: 'INTERNAL_ERROR' } };
+};
+
+// Requests no route matched
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
+};
+
+/**
+ * Send every error as `{ error, code }`; mounted after all routes
+ * Express 5 forwards errors thrown in async handlers here, so routes do not catch them.
+ */
+const errorHandler = (err, req, res, next) => {
+  const { status, body, retryAfter } = toErrorResponse(err);
+
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+  // Too late for an error response; Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.status(status).json(body);
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
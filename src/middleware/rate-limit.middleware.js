@@ -0,0 +1,211 @@
+const { consumeRateLimit, consumeTokenBucket } = require('../services/rate-limit.service.js');
+const { verifyAccessToken } = require('../services/session.service.js');
+const { hashToken } = require('../utils/token.js');
+const { TooManyRequestsError } = require('../utils/errors.js');
+
+const MINUTE = 60 * 1000;
+
+// Per-account limits count attempts on an identifier however it is capitalised
+const accountKey = field => req => {
+  const value = req.body && req.body[field];
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+};
+
+/**
+ * Reject requests over `max` per `windowMs` with a TooManyRequestsError (429 and Retry-After)
+ * Requests without a key (see `key`) are not counted. If the store fails the
+ * request goes through: an outage should not lock everyone out.
+ * @param {Object} options - `name` of the limit, `max`, `windowMs`, `key(req)` (client IP by default) and `message`
+ */
+const rateLimit = ({ name, max, windowMs, key = req => req.ip, message = 'Too many requests, try again later' }) =>
+  async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await consumeRateLimit(`${name}:${id}`, { max, windowMs });
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      return next();
+    }
+
+    if (!result.allowed) {
+      throw new TooManyRequestsError(message, result.retryAfter);
+    }
+    next();
+  };
+
+// Password guessing: per IP, and per account however many IPs an attacker has
+const loginRateLimit = [
+  rateLimit({ name: 'login:ip', max: 30, windowMs: 15 * MINUTE, message: 'Too many login attempts, try again later' }),
+  rateLimit({
+    name: 'login:account',
+    max: 10,
+    windowMs: 15 * MINUTE,
+    key: accountKey('emailOrUsername'),
+    message: 'Too many login attempts, try again later'
+  })
+];
+
+// Guessing two-factor codes for a stolen password
+const twoFactorLoginRateLimit = rateLimit({
+  name: 'login-2fa:ip',
+  max: 10,
+  windowMs: 15 * MINUTE,
+  message: 'Too many login attempts, try again later'
+});
+
+// Refresh tokens start with a guessable session id, so guesses are bounded per IP
+const refreshRateLimit = rateLimit({
+  name: 'refresh:ip',
+  max: 60,
+  windowMs: 15 * MINUTE,
+  message: 'Too many refresh attempts, try again later'
+});
+
+// Flooding an inbox with reset emails: per IP, and per address however many IPs send them
+const forgotPasswordRateLimit = [
+  rateLimit({ name: 'password-forgot:ip', max: 10, windowMs: 60 * MINUTE, message: 'Too many password reset requests, try again later' }),
+  rateLimit({
+    name: 'password-forgot:email',
+    max: 3,
+    windowMs: 60 * MINUTE,
+    key: accountKey('email'),
+    message: 'Too many password reset requests, try again later'
+  })
+];
+
+// Mass account creation
+const registerRateLimit = rateLimit({
+  name: 'register:ip',
+  max: 20,
+  windowMs: 60 * MINUTE,
+  message: 'Too many accounts created from this address, try again later'
+});
+
+let apiKeysSource = null;
+let apiKeyHashes = new Set();
+
+// Hashes of the keys in RATE_LIMIT_API_KEYS, recomputed when the variable changes
+const getApiKeyHashes = () => {
+  const source = process.env.RATE_LIMIT_API_KEYS || '';
+  if (source !== apiKeysSource) {
+    apiKeysSource = source;
+    apiKeyHashes = new Set(source.split(',').map(key => key.trim()).filter(Boolean).map(hashToken));
+  }
+  return apiKeyHashes;
+};
+
+/**
+ * Who a request counts against: an API key, a signed-in user or an IP address
+ * Only the token signature is checked, without a database lookup; unknown keys and
+ * bad tokens count as anonymous, and the route itself still rejects them.
+ * @returns {Object} `{ tier, id }` with tier `apiKey`, `user` or `anonymous`
+ */
+const identifyCaller = (req) => {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    const hash = hashToken(apiKey);
+    if (getApiKeyHashes().has(hash)) {
+      return { tier: 'apiKey', id: `key:${hash.slice(0, 16)}` };
+    }
+  }
+
+  const authHeader = req.get('authorization');
+  const token = authHeader && authHeader.split(' ')[1];
+  if (token) {
+    try {
+      const decoded = verifyAccessToken(token);
+      if (Number.isInteger(decoded.sid)) {
+        return { tier: 'user', id: `user:${decoded.userId}` };
+      }
+    } catch (error) {
+      // Counted as anonymous
+    }
+  }
+
+  return { tier: 'anonymous', id: `ip:${req.ip}` };
+};
+
+// 'GET /users/:id/stories' -> matcher for that method and path
+const compileRoute = (route) => {
+  const [method, path] = route.split(' ');
+  const pattern = new RegExp(`^${path.replace(/:[^/]+/g, '[^/]+')}/?$`);
+  return req => req.method === method && pattern.test(req.path);
+};
+
+/**
+ * Token-bucket quotas for the whole API, with RateLimit-* headers
+ *
+ * A quota is requests per minute for each tier, e.g. `{ anonymous: 60, user: 300, apiKey: 1200 }`:
+ * a caller may burst that many requests, and gets them back evenly over a minute. Every
+ * request takes from the `default` quota, and from each entry of `routes` whose `match`
+ * list (e.g. `['GET /places/nearby/search']`) includes it; a tier left out of a route
+ * quota is not limited by it. Requests in `skip` are not counted.
+ * The headers describe the quota closest to running out. As with rateLimit, a failing
+ * store lets requests through.
+ * @param {Object} options - `default`, `routes` and `skip`
+ */
+const apiRateLimit = ({ default: defaultQuota, routes = [], skip = [] }) => {
+  const quotas = [
+    { name: 'default', ...defaultQuota, matches: () => true },
+    ...routes.map(({ match, ...quota }) => {
+      const matchers = match.map(compileRoute);
+      return { ...quota, matches: req => matchers.some(matches => matches(req)) };
+    })
+  ];
+  const skipped = skip.map(compileRoute);
+
+  return async (req, res, next) => {
+    if (skipped.some(matches => matches(req))) {
+      return next();
+    }
+
+    const caller = identifyCaller(req);
+    const applicable = quotas.filter(quota => quota.matches(req) && quota[caller.tier]);
+
+    let results;
+    try {
+      results = await Promise.all(applicable.map(quota => consumeTokenBucket(
+        `api:${quota.name}:${caller.id}`,
+        { capacity: quota[caller.tier], refillPerSecond: quota[caller.tier] / 60 }
+      )));
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      return next();
+    }
+    if (results.length === 0) {
+      return next();
+    }
+
+    const denied = results.filter(result => !result.allowed);
+    const reported = denied.length > 0
+      ? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+      : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    res.set({
+      'RateLimit-Limit': String(reported.limit),
+      'RateLimit-Remaining': String(reported.remaining),
+      'RateLimit-Reset': String(reported.resetAfter),
+      'RateLimit-Policy': results.map(result => `${result.limit};w=60`).join(', ')
+    });
+
+    if (denied.length > 0) {
+      throw new TooManyRequestsError('Too many requests, try again later', reported.retryAfter);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  apiRateLimit,
+  loginRateLimit,
+  twoFactorLoginRateLimit,
+  refreshRateLimit,
+  forgotPasswordRateLimit,
+  registerRateLimit
+};
@@ -0,0 +1,97 @@
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const addErrors = require('ajv-errors');
+const { ValidationError } = require('../utils/errors.js');
+
+// JSON Schema 2020-12, the dialect of OpenAPI 3.1. Query strings and path params are always
+// strings, so types are coerced before they are checked. `allErrors` reports every bad field
+// at once and is required by ajv-errors' `errorMessage`.
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  removeAdditional: true,
+  allowUnionTypes: true
+});
+addFormats(ajv);
+addErrors(ajv);
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// `/lat` -> `lat`, `/tags/0` -> `tags.0`
+const toField = path => path.split('/').filter(Boolean).join('.');
+
+/**
+ * Turn an Ajv error into a field-level error
+ * @param {string} location - 'params', 'query' or 'body'
+ * @param {Object} error - Ajv error
+ * @returns {Object} `{ in, field, message }`
+ */
+const toFieldError = (location, error) => {
+  // A custom `errorMessage` wraps the errors it replaced; they still name the field
+  const original = error.keyword === 'errorMessage' ? error.params.errors[0] : error;
+  const missing = original.params.missingProperty;
+  const field = toField(missing ? `${original.instancePath}/${missing}` : original.instancePath) || location;
+
+  let message = `${field} ${error.message}`;
+  if (error.keyword === 'errorMessage') {
+    message = error.message;
+  } else if (error.keyword === 'required') {
+    message = `${field} is required`;
+  }
+  return { in: location, field, message };
+};
+
+/**
+ * Validate and coerce a request against JSON Schemas
+ *
+ * Each of `params`, `query` and `body` is an object schema. Valid input replaces the
+ * original with its coerced copy (numbers are numbers, defaults are filled in, and
+ * body properties the schema does not declare are dropped). Invalid input is a 400
+ * whose `details` list every bad field; `error` is the first of them.
+ *
+ * The schemas stay attached to the middleware, so src/swagger.js can document the
+ * route from them along with its `summary` and `responses`. Routes without input
+ * still pass their docs through here.
+ * @param {Object} schemas - `{ params, query, body }`, each optional
+ * @returns {Function} - Express middleware
+ */
+const validate = (schemas) => {
+  const validators = LOCATIONS
+    .filter(location => schemas[location])
+    .map(location => ({ location, check: ajv.compile(schemas[location]) }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+    const values = {};
+
+    for (const { location, check } of validators) {
+      // Copies, so a failed request is left as it came in
+      const value = { ...req[location] };
+      if (check(value)) {
+        values[location] = value;
+      } else {
+        details.push(...check.errors
+          // anyOf reports its own error as well as one per failed branch; the branches only add noise
+          .filter(error => !/\/(anyOf|oneOf)\/\d+\//.test(error.schemaPath))
+          .map(error => toFieldError(location, error)));
+      }
+    }
+
+    if (details.length > 0) {
+      throw new ValidationError(details[0].message, 'VALIDATION_ERROR', details);
+    }
+
+    for (const [location, value] of Object.entries(values)) {
+      // Express 5 defines `req.query` as a getter that re-parses the URL
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
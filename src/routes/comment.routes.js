@@ -0,0 +1,16 @@
+const express = require('express');
+const { getComment, updateComment, deleteComment } = require('../controllers/engagement.controller.js');
+const { authenticateToken, authorizeCommentAuthor } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const schemas = require('../schemas/engagement.schemas.js');
+
+// Each route is documented from the schemas it passes to validate (src/schemas/engagement.schemas.js)
+const router = express.Router();
+
+router.get('/:commentId', validate(schemas.getComment), getComment);
+
+router.patch('/:commentId', authenticateToken, authorizeCommentAuthor, validate(schemas.updateComment), updateComment);
+
+router.delete('/:commentId', authenticateToken, authorizeCommentAuthor, validate(schemas.deleteComment), deleteComment);
+
+module.exports = router;
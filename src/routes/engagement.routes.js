@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  likeTarget,
+  unlikeTarget,
+  getTargetComments,
+  createTargetComment
+} = require('../controllers/engagement.controller.js');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const { targetSchemas } = require('../schemas/engagement.schemas.js');
+
+/**
+ * Like and comment routes for one kind of content
+ * Mount under the content's own path, e.g. `mountRouter(router, '/:id', engagementRoutes('story', ...), 'Engagement')`.
+ * Each route is documented from the schemas it passes to validate (src/schemas/engagement.schemas.js).
+ * @param {string} type - 'story', 'place' or 'review'
+ * @param {Function} resolveTarget - Maps the validated `req.params` to the target, e.g. `{ id }`
+ * @returns {express.Router}
+ */
+const engagementRoutes = (type, resolveTarget) => {
+  const router = express.Router({ mergeParams: true });
+  const schemas = targetSchemas(type);
+
+  // Runs after validate, so the ids it reads are numbers
+  const setTarget = (req, res, next) => {
+    req.engagementTarget = { type, ...resolveTarget(req.params) };
+    next();
+  };
+
+  router.post('/like', authenticateToken, validate(schemas.likeTarget), setTarget, likeTarget);
+  router.delete('/like', authenticateToken, validate(schemas.unlikeTarget), setTarget, unlikeTarget);
+  router.get('/comments', validate(schemas.getTargetComments), setTarget, getTargetComments);
+  router.post('/comments', authenticateToken, requireVerifiedEmail('comment:create'), validate(schemas.createTargetComment), setTarget, createTargetComment);
+
+  return router;
+};
+
+module.exports = engagementRoutes;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getFeed } = require('../controllers/feed.controller.js');
+const { authenticateToken } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const schemas = require('../schemas/feed.schemas.js');
+
+// Documented from the schemas it passes to validate (src/schemas/feed.schemas.js)
+const router = express.Router();
+
+router.get('/', authenticateToken, validate(schemas.getFeed), getFeed);
+
+module.exports = router;
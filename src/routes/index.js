@@ -0,0 +1,18 @@
+const placeRoutes = require('./place.routes.js');
+const userRoutes = require('./user.routes.js');
+const storyRoutes = require('./story.routes.js');
+const commentRoutes = require('./comment.routes.js');
+const feedRoutes = require('./feed.routes.js');
+
+// Every router with the path server.js mounts it at; src/swagger.js documents them from this table
+const mounts = [
+  { path: '/places', router: placeRoutes, tag: 'Places' },
+  { path: '/users', router: userRoutes, tag: 'Users' },
+  { path: '/stories', router: storyRoutes, tag: 'Stories' },
+  { path: '/comments', router: commentRoutes, tag: 'Engagement' },
+  { path: '/feed', router: feedRoutes, tag: 'Feed' }
+];
+
+module.exports = {
+  mounts
+};
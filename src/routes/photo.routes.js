@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getPlacePhotos,
+  uploadPlacePhotos,
+  reorderPlacePhotos,
+  updatePlacePhoto,
+  deletePlacePhoto
+} = require('../controllers/photo.controller.js');
+const { authenticateToken, requireVerifiedEmail, authorizePlaceOwner } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const { upload } = require('../services/cloudinary.service.js');
+const schemas = require('../schemas/photo.schemas.js');
+
+// Maximum files accepted in a single upload request
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Mounted under /places/:id/photos. Each route is documented from the schemas it passes
+// to validate (src/schemas/photo.schemas.js)
+const router = express.Router({ mergeParams: true });
+
+router.get('/', validate(schemas.getPlacePhotos), getPlacePhotos);
+
+router.post('/', authenticateToken, requireVerifiedEmail('photo:upload'), authorizePlaceOwner, upload.array('photos', MAX_FILES_PER_UPLOAD), validate(schemas.uploadPlacePhotos), uploadPlacePhotos);
+
+router.put('/order', authenticateToken, authorizePlaceOwner, validate(schemas.reorderPlacePhotos), reorderPlacePhotos);
+
+router.patch('/:photoId', authenticateToken, authorizePlaceOwner, validate(schemas.updatePlacePhoto), updatePlacePhoto);
+
+router.delete('/:photoId', authenticateToken, authorizePlaceOwner, validate(schemas.deletePlacePhoto), deletePlacePhoto);
+
+module.exports = router;
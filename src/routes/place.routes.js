@@ -3,137 +3,60 @@ const {
   createPlace,
   getAllPlaces,
   getPlaceById,
+  updatePlace,
+  deletePlace,
   findNearbyPlaces,
+  findNearestPlaces,
+  findPlacesWithinBounds,
+  searchPlaces,
+  getCategoryCounts,
   getDistanceBetweenPlaces,
   seedTestData
 } = require('../controllers/place.controller.js');
-
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  authorizeRole,
+  authorizePlaceOwner
+} = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const { mountRouter } = require('../utils/openapi.js');
+const schemas = require('../schemas/place.schemas.js');
+const reviewRoutes = require('./review.routes.js');
+const photoRoutes = require('./photo.routes.js');
+const engagementRoutes = require('./engagement.routes.js');
+
+// Each route is documented from the schemas it passes to validate (src/schemas/place.schemas.js)
 const router = express.Router();
 
-/**
- * @swagger
- * /places:
- *   post:
- *     summary: Create a new place
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               latitude:
- *                 type: number
- *               longitude:
- *                 type: number
- *     responses:
- *       201:
- *         description: Place created successfully
- */
-router.post('/', createPlace);
-
-/**
- * @swagger
- * /places:
- *   get:
- *     summary: Get all places
- *     responses:
- *       200:
- *         description: A list of places
- */
-router.get('/', getAllPlaces);
-
-/**
- * @swagger
- * /places/{id}:
- *   get:
- *     summary: Get place by ID
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: ID of the place
- *     responses:
- *       200:
- *         description: A single place
- */
-router.get('/:id', getPlaceById);
-
-/**
- * @swagger
- * /places/nearby/search:
- *   get:
- *     summary: Find nearby places
- *     parameters:
- *       - in: query
- *         name: lat
- *         schema:
- *           type: number
- *         required: true
- *       - in: query
- *         name: lng
- *         schema:
- *           type: number
- *         required: true
- *       - in: query
- *         name: radius
- *         schema:
- *           type: number
- *         required: false
- *         description: Search radius in meters
- *     responses:
- *       200:
- *         description: List of nearby places
- */
-router.get('/nearby/search', findNearbyPlaces);
-
-/**
- * @swagger
- * /places/route/distance:
- *   get:
- *     summary: Get distance between two points
- *     parameters:
- *       - in: query
- *         name: fromLat
- *         schema:
- *           type: number
- *         required: true
- *       - in: query
- *         name: fromLng
- *         schema:
- *           type: number
- *         required: true
- *       - in: query
- *         name: toLat
- *         schema:
- *           type: number
- *         required: true
- *       - in: query
- *         name: toLng
- *         schema:
- *           type: number
- *         required: true
- *     responses:
- *       200:
- *         description: Distance in meters
- */
-router.get('/route/distance', getDistanceBetweenPlaces);
-
-/**
- * @swagger
- * /places/seed:
- *   post:
- *     summary: Seed test places
- *     responses:
- *       201:
- *         description: Test data seeded
- */
-router.post('/seed', seedTestData);
+router.post('/', authenticateToken, requireVerifiedEmail('place:create'), validate(schemas.createPlace), createPlace);
+
+router.get('/', validate(schemas.getAllPlaces), getAllPlaces);
+
+router.get('/within', validate(schemas.findPlacesWithinBounds), findPlacesWithinBounds);
+
+router.get('/nearest', validate(schemas.findNearestPlaces), findNearestPlaces);
+
+router.get('/categories', validate(schemas.getCategoryCounts), getCategoryCounts);
+
+router.get('/search', validate(schemas.searchPlaces), searchPlaces);
+
+router.get('/:id', validate(schemas.getPlaceById), getPlaceById);
+
+router.patch('/:id', authenticateToken, authorizePlaceOwner, validate(schemas.updatePlace), updatePlace);
+
+router.delete('/:id', authenticateToken, authorizePlaceOwner, validate(schemas.deletePlace), deletePlace);
+
+mountRouter(router, '/:id/reviews', reviewRoutes, 'Reviews');
+mountRouter(router, '/:id/photos', photoRoutes, 'Photos');
+
+router.get('/nearby/search', validate(schemas.findNearbyPlaces), findNearbyPlaces);
+
+router.get('/route/distance', validate(schemas.getDistanceBetweenPlaces), getDistanceBetweenPlaces);
+
+router.post('/seed', authenticateToken, authorizeRole('admin'), validate(schemas.seedTestData), seedTestData);
+
+// Likes and comments; mounted last so it never shadows the fixed paths above
+mountRouter(router, '/:id', engagementRoutes('place', params => ({ id: params.id })), 'Engagement');
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getPlaceReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../controllers/review.controller.js');
+const { authenticateToken, requireVerifiedEmail, authorizeReviewAuthor } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const { mountRouter } = require('../utils/openapi.js');
+const schemas = require('../schemas/review.schemas.js');
+const engagementRoutes = require('./engagement.routes.js');
+
+// Mounted under /places/:id/reviews. Each route is documented from the schemas it passes
+// to validate (src/schemas/review.schemas.js)
+const router = express.Router({ mergeParams: true });
+
+router.get('/', validate(schemas.getPlaceReviews), getPlaceReviews);
+
+router.post('/', authenticateToken, requireVerifiedEmail('review:create'), validate(schemas.createReview), createReview);
+
+router.get('/:reviewId', validate(schemas.getReview), getReview);
+
+router.patch('/:reviewId', authenticateToken, authorizeReviewAuthor, validate(schemas.updateReview), updateReview);
+
+router.delete('/:reviewId', authenticateToken, authorizeReviewAuthor, validate(schemas.deleteReview), deleteReview);
+
+mountRouter(router, '/:reviewId', engagementRoutes('review', params => ({ id: params.reviewId, placeId: params.id })), 'Engagement');
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { createStory, getStory, deleteStory } = require('../controllers/story.controller.js');
+const { authenticateToken, requireVerifiedEmail, optionalAuthenticate, authorizeStoryAuthor } = require('../middleware/auth.middleware.js');
+const { validate } = require('../middleware/validate.middleware.js');
+const { upload } = require('../services/cloudinary.service.js');
+const { mountRouter } = require('../utils/openapi.js');
+const schemas = require('../schemas/story.schemas.js');
+const engagementRoutes = require('./engagement.routes.js');
+
+// Each route is documented from the schemas it passes to validate (src/schemas/story.schemas.js)
+const router = express.Router();
+
+router.post('/', authenticateToken, requireVerifiedEmail('story:create'), validate(schemas.createStory), upload.single('media'), createStory);
+
+router.get('/:id', validate(schemas.getStory), optionalAuthenticate, getStory);
+
+router.delete('/:id', authenticateToken, authorizeStoryAuthor, validate(schemas.deleteStory), deleteStory);
+
+mountRouter(router, '/:id', engagementRoutes('story', params => ({ id: params.id })), 'Engagement');
+
+module.exports = router;
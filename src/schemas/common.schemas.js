@@ -0,0 +1,183 @@
+/**
+ * JSON Schema pieces shared by the route schemas
+ *
+ * Route schemas describe `params`, `query` and `body` for the validate middleware,
+ * and the `summary` and `responses` that src/swagger.js turns into the OpenAPI
+ * document. `errorMessage` (ajv-errors) replaces Ajv's generic message where clients
+ * already rely on a specific one.
+ */
+
+const COORDINATES_MESSAGE = 'Invalid latitude or longitude';
+const COORDINATES_PAIR_MESSAGE = 'Latitude and longitude must be provided together';
+const SEARCH_QUERY_MESSAGE = 'Search query must be at least 2 characters long';
+
+const latitude = { type: 'number', minimum: -90, maximum: 90, errorMessage: COORDINATES_MESSAGE };
+const longitude = { type: 'number', minimum: -180, maximum: 180, errorMessage: COORDINATES_MESSAGE };
+
+// Meters; large enough for a city, small enough to keep spatial queries cheap
+const radius = (defaultRadius) => ({
+  type: 'number',
+  exclusiveMinimum: 0,
+  maximum: 100000,
+  default: defaultRadius,
+  errorMessage: 'radius must be between 0 and 100000 meters',
+  description: 'Search radius in meters'
+});
+
+// `maxLimit` is not enforced here: larger limits are clamped by parseLimit, as documented
+const limit = { type: 'integer', minimum: 1, errorMessage: 'Invalid limit' };
+const cursor = { type: 'string', description: 'Opaque `nextCursor` from the previous page. Omit for the first page' };
+const format = {
+  type: 'string',
+  enum: ['json', 'geojson'],
+  description: 'Response representation, `json` by default. `geojson` is equivalent to sending `Accept: application/geo+json`'
+};
+
+/**
+ * `limit` with the default and cap its controller passes to parseLimit, for the docs
+ * @param {number} defaultLimit - Page size when omitted
+ * @param {number} maxLimit - Larger values are clamped to this
+ * @returns {Object} - Query property schema
+ */
+const pageLimit = (defaultLimit, maxLimit) => ({
+  ...limit,
+  description: `Page size, ${defaultLimit} by default; larger values are clamped to ${maxLimit}`
+});
+
+const searchQuery = { type: 'string', minLength: 2, maxLength: 200, errorMessage: SEARCH_QUERY_MESSAGE };
+
+/**
+ * Path params with a numeric `:id`
+ * @param {string} message - Error for a missing or malformed id
+ * @returns {Object} - Params schema
+ */
+const idParams = (message) => ({
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'integer', minimum: 1, errorMessage: message }
+  }
+});
+
+// `?category=cafe,bar&tags=quiet,wifi&minRating=4` on place listings
+const placeFilterQuery = {
+  category: {
+    type: 'string',
+    maxLength: 500,
+    examples: ['cafe,comedy-club'],
+    description: 'Comma-separated category slugs; places in any of them match'
+  },
+  tags: {
+    type: 'string',
+    maxLength: 500,
+    examples: ['wifi,quiet'],
+    description: 'Comma-separated tags; places must carry all of them'
+  },
+  minRating: {
+    type: 'number',
+    minimum: 1,
+    maximum: 5,
+    errorMessage: 'Invalid minRating: must be between 1 and 5',
+    description: 'Only places whose average review rating is at least this value'
+  }
+};
+
+/**
+ * Object schema with exactly these properties
+ * Response schemas use it so a field added to or dropped from a response shows up as drift.
+ * @param {Object} properties - Property schemas, all of them present
+ * @param {Object} optional - Property schemas of fields that are sometimes left out
+ * @returns {Object} - Object schema
+ */
+const exactObject = (properties, optional = {}) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties: { ...properties, ...optional },
+  additionalProperties: false
+});
+
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+const id = { type: 'integer' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const nextCursor = { type: ['string', 'null'], description: 'Cursor of the next page, null on the last page' };
+
+const latLng = exactObject({ lat: number, lng: number });
+
+// Author of a story, review or comment
+const author = exactObject({ id, username: string, fullName: nullableString, avatarUrl: nullableString });
+
+// `{ message }` on its own, for actions that return nothing else
+const message = exactObject({ message: string });
+
+// Search center echoed back by the spatial endpoints
+const center = exactObject({ latitude: number, longitude: number });
+
+// `ST_AsGeoJSON` output for a point
+const point = {
+  type: 'object',
+  required: ['type', 'coordinates'],
+  properties: {
+    type: { const: 'Point' },
+    coordinates: { type: 'array', items: number, minItems: 2, maxItems: 2, description: '[lng, lat]' }
+  }
+};
+
+/**
+ * GeoJSON Feature of a row; `properties` are the row's fields minus its point
+ * @param {Object} properties - Property schemas of the row
+ * @returns {Object} - Feature schema
+ */
+const feature = (properties) => exactObject({
+  type: { const: 'Feature' },
+  id,
+  geometry: nullable(point),
+  properties: exactObject(properties)
+});
+
+/**
+ * GeoJSON FeatureCollection, with the endpoint's extra top-level members
+ * @param {Object} featureSchema - Schema of each feature
+ * @param {Object} members - Member schemas, e.g. `{ nextCursor }`
+ * @returns {Object} - FeatureCollection schema
+ */
+const featureCollection = (featureSchema, members = {}) => exactObject({
+  type: { const: 'FeatureCollection' },
+  ...members,
+  features: { type: 'array', items: featureSchema }
+});
+
+module.exports = {
+  COORDINATES_MESSAGE,
+  COORDINATES_PAIR_MESSAGE,
+  SEARCH_QUERY_MESSAGE,
+  latitude,
+  longitude,
+  radius,
+  limit,
+  pageLimit,
+  cursor,
+  format,
+  searchQuery,
+  idParams,
+  placeFilterQuery,
+  exactObject,
+  nullable,
+  id,
+  integer,
+  number,
+  string,
+  nullableString,
+  dateTime,
+  nextCursor,
+  latLng,
+  author,
+  message,
+  center,
+  feature,
+  featureCollection
+};
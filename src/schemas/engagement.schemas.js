@@ -0,0 +1,165 @@
+const {
+  pageLimit,
+  cursor,
+  idParams,
+  exactObject,
+  id,
+  integer,
+  string,
+  dateTime,
+  nextCursor,
+  author,
+  message
+} = require('./common.schemas.js');
+const { reviewParams } = require('./review.schemas.js');
+
+/**
+ * Request and response schemas for the like and comment routes, keyed by controller
+ *
+ * The like and comment routes of stories, places and reviews share controllers, so
+ * their schemas come from targetSchemas for the kind of content they are mounted under.
+ */
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Path params, and the 404, of the content each engagement router is mounted under
+const TARGETS = {
+  story: { params: idParams('Invalid story ID'), notFound: 'Story not found or expired' },
+  place: { params: idParams('Invalid place ID'), notFound: 'Place not found' },
+  review: { params: reviewParams, notFound: 'Review not found' }
+};
+
+const commentIdParams = {
+  type: 'object',
+  required: ['commentId'],
+  properties: {
+    commentId: { type: 'integer', minimum: 1, errorMessage: 'Invalid comment ID' }
+  }
+};
+
+// The text is trimmed before it is stored, so whitespace alone is no comment
+const commentBody = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    body: {
+      type: 'string',
+      maxLength: MAX_COMMENT_LENGTH,
+      pattern: '\\S',
+      errorMessage: {
+        type: 'Comment text is required',
+        pattern: 'Comment text is required',
+        maxLength: `Comment text must be at most ${MAX_COMMENT_LENGTH} characters`
+      }
+    }
+  },
+  additionalProperties: false,
+  errorMessage: { required: { body: 'Comment text is required' } }
+};
+
+// Exactly one of storyId, placeId and reviewId is set
+const nullableId = { type: ['integer', 'null'] };
+
+const Comment = exactObject({
+  id,
+  body: string,
+  storyId: nullableId,
+  placeId: nullableId,
+  reviewId: nullableId,
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  user: author
+});
+
+const commentWithMessage = exactObject({ message: string, comment: Comment });
+const commentNotFound = 'Comment not found';
+
+/**
+ * Schemas of the like and comment routes of one kind of content
+ * @param {string} type - 'story', 'place' or 'review'
+ * @returns {Object} - Route schemas keyed by controller
+ */
+const targetSchemas = (type) => {
+  const { params, notFound } = TARGETS[type];
+  return {
+    likeTarget: {
+      summary: `Like a ${type} (liking twice is a no-op)`,
+      responses: {
+        200: { description: '`liked: true` and the new like count', schema: exactObject({ liked: { const: true }, likeCount: integer }) },
+        404: notFound
+      },
+      params
+    },
+    unlikeTarget: {
+      summary: `Remove own like from a ${type}`,
+      responses: {
+        200: { description: '`liked: false` and the new like count', schema: exactObject({ liked: { const: false }, likeCount: integer }) },
+        404: notFound
+      },
+      params
+    },
+    getTargetComments: {
+      summary: `List comments on a ${type}, oldest first`,
+      responses: {
+        200: {
+          description: 'Page of comments with a `nextCursor`',
+          schema: exactObject({ count: integer, comments: { type: 'array', items: Comment }, nextCursor })
+        },
+        404: notFound
+      },
+      params,
+      query: {
+        type: 'object',
+        properties: { limit: pageLimit(20, 50), cursor }
+      }
+    },
+    createTargetComment: {
+      summary: `Comment on a ${type}`,
+      responses: {
+        201: { description: 'Comment created', schema: commentWithMessage },
+        403: 'Email verification required',
+        404: notFound
+      },
+      params,
+      body: commentBody
+    }
+  };
+};
+
+const getComment = {
+  summary: 'Get a single comment',
+  responses: {
+    200: { description: 'A single comment', schema: Comment },
+    404: commentNotFound
+  },
+  params: commentIdParams
+};
+
+const updateComment = {
+  summary: 'Edit own comment',
+  responses: {
+    200: { description: 'Comment updated', schema: commentWithMessage },
+    403: 'Can only edit own comments',
+    404: commentNotFound
+  },
+  params: commentIdParams,
+  body: commentBody
+};
+
+const deleteComment = {
+  summary: 'Delete own comment',
+  responses: {
+    200: { description: 'Comment deleted', schema: message },
+    403: 'Can only delete own comments',
+    404: commentNotFound
+  },
+  params: commentIdParams
+};
+
+module.exports = {
+  Comment,
+  targetSchemas,
+  getComment,
+  updateComment,
+  deleteComment
+};
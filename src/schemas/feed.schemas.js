@@ -0,0 +1,51 @@
+const {
+  pageLimit,
+  cursor,
+  format,
+  exactObject,
+  nullable,
+  integer,
+  nextCursor,
+  latLng,
+  featureCollection,
+  feature
+} = require('./common.schemas.js');
+const { storyProperties } = require('./story.schemas.js');
+
+/**
+ * Request and response schemas for the feed route, keyed by controller
+ */
+
+// Why a story is in the feed
+const feedProperties = {
+  ...storyProperties,
+  source: { type: 'string', enum: ['following', 'nearby'] },
+  distance: { type: ['integer', 'null'], description: 'Meters from your stored coordinates, rounded; null for followed stories' }
+};
+
+const FeedStory = exactObject({ ...feedProperties, location: nullable(latLng) });
+const FeedStoryFeature = feature(feedProperties);
+
+const getFeed = {
+  summary: 'Home feed of stories from followed users and nearby',
+  description: 'Merges active stories from followed users (and your own) with stories geotagged within 25 km of your ' +
+    'stored coordinates, from the last 30 days. Ranked by recency, with nearby stories losing 10 minutes of recency ' +
+    'per kilometre of distance. Stories by users you blocked, or who blocked you, are never shown.',
+  responses: {
+    200: {
+      description: 'Page of stories, each with `source` and `distance`, and a `nextCursor`',
+      schema: exactObject({ count: integer, stories: { type: 'array', items: FeedStory }, nextCursor }),
+      geojson: featureCollection(FeedStoryFeature, { nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    properties: { limit: pageLimit(20, 50), cursor, format }
+  }
+};
+
+module.exports = {
+  FeedStory,
+  FeedStoryFeature,
+  getFeed
+};
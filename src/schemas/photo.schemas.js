@@ -0,0 +1,174 @@
+const {
+  idParams,
+  exactObject,
+  id,
+  integer,
+  string,
+  nullableString,
+  dateTime,
+  message
+} = require('./common.schemas.js');
+
+/**
+ * Request and response schemas for the photos routes (/places/:id/photos), keyed by controller
+ */
+
+const MAX_CAPTION_LENGTH = 500;
+
+const placeIdParams = idParams('Invalid place ID');
+
+const photoParams = {
+  type: 'object',
+  required: ['id', 'photoId'],
+  properties: {
+    id: { type: 'integer', minimum: 1, errorMessage: 'Invalid place ID' },
+    photoId: { type: 'integer', minimum: 1, errorMessage: 'Invalid photo ID' }
+  }
+};
+
+const nullableInteger = { type: ['integer', 'null'] };
+
+const Photo = exactObject({
+  id,
+  placeId: id,
+  url: string,
+  width: nullableInteger,
+  height: nullableInteger,
+  caption: nullableString,
+  position: { type: 'integer', description: 'Place in the gallery, from 0' },
+  isCover: { type: 'boolean' },
+  uploadedById: { type: ['integer', 'null'], description: 'Null once the uploader deletes their account' },
+  createdAt: dateTime,
+  urls: exactObject({ thumbnail: string, small: string, medium: string, large: string })
+});
+
+const photoList = { type: 'array', items: Photo };
+
+const getPlacePhotos = {
+  summary: "List a place's photos in gallery order",
+  responses: {
+    200: {
+      description: 'Photos with caption, position, isCover and responsive `urls`',
+      schema: exactObject({ placeId: id, count: integer, photos: photoList })
+    },
+    404: 'Place not found'
+  },
+  params: placeIdParams
+};
+
+const uploadPlacePhotos = {
+  summary: 'Upload photos to a place (owner only)',
+  description: 'Photos are appended to the gallery; the first photo of an empty gallery becomes the cover.',
+  // Multer reads the files; the captions that come with them are validated once it has
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: ['photos'],
+          properties: {
+            photos: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } },
+            captions: {
+              type: 'array',
+              description: 'One caption per photo, in the same order',
+              items: { type: 'string', maxLength: MAX_CAPTION_LENGTH }
+            }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    201: { description: 'Photos uploaded', schema: exactObject({ message: string, count: integer, photos: photoList }) },
+    400: 'No image files, invalid file type, too many files or photo limit reached',
+    403: 'Can only add photos to own places, or email verification required',
+    404: 'Place not found',
+    413: 'A file is over 10MB'
+  },
+  params: placeIdParams,
+  // Multipart sends one `captions` field per file; a single field arrives as a string
+  body: {
+    type: 'object',
+    properties: {
+      captions: {
+        type: ['string', 'array'],
+        maxLength: MAX_CAPTION_LENGTH,
+        items: { type: 'string', maxLength: MAX_CAPTION_LENGTH },
+        errorMessage: `Captions must be at most ${MAX_CAPTION_LENGTH} characters`
+      }
+    }
+  }
+};
+
+const reorderPlacePhotos = {
+  summary: "Reorder a place's photos (owner only)",
+  description: 'A `photoIds` that does not list every photo of the place exactly once is a 400.',
+  responses: {
+    200: { description: 'Photos in their new order', schema: exactObject({ message: string, photos: photoList }) },
+    403: 'Can only reorder photos of own places',
+    404: 'Place not found'
+  },
+  params: placeIdParams,
+  body: {
+    type: 'object',
+    required: ['photoIds'],
+    properties: {
+      photoIds: {
+        type: 'array',
+        items: { type: 'integer' },
+        description: 'Every photo ID of the place, in the new order',
+        errorMessage: 'photoIds must be an array of photo IDs'
+      }
+    },
+    errorMessage: { required: { photoIds: 'photoIds must be an array of photo IDs' } }
+  }
+};
+
+const updatePlacePhoto = {
+  summary: "Update a photo's caption or make it the cover (owner only)",
+  responses: {
+    200: { description: 'Photo updated', schema: exactObject({ message: string, photo: Photo }) },
+    403: 'Can only update photos of own places',
+    404: 'Place or photo not found'
+  },
+  params: photoParams,
+  body: {
+    type: 'object',
+    properties: {
+      caption: {
+        type: ['string', 'null'],
+        maxLength: MAX_CAPTION_LENGTH,
+        errorMessage: `Caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`
+      },
+      // A cover is replaced by choosing another photo, never unset directly
+      isCover: {
+        type: 'boolean',
+        const: true,
+        errorMessage: 'isCover can only be set to true',
+        description: 'Makes this photo the cover, replacing the current one'
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+const deletePlacePhoto = {
+  summary: 'Delete a photo and its Cloudinary asset (owner only)',
+  description: 'A new cover is picked when the cover is deleted.',
+  responses: {
+    200: { description: 'Photo deleted', schema: message },
+    403: 'Can only delete photos of own places',
+    404: 'Place or photo not found'
+  },
+  params: photoParams
+};
+
+module.exports = {
+  Photo,
+  getPlacePhotos,
+  uploadPlacePhotos,
+  reorderPlacePhotos,
+  updatePlacePhoto,
+  deletePlacePhoto
+};
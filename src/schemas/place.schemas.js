@@ -0,0 +1,361 @@
+const {
+  COORDINATES_PAIR_MESSAGE,
+  latitude,
+  longitude,
+  radius,
+  pageLimit,
+  cursor,
+  format,
+  searchQuery,
+  idParams,
+  placeFilterQuery,
+  exactObject,
+  id,
+  integer,
+  number,
+  string,
+  nullableString,
+  nextCursor,
+  latLng,
+  message,
+  center,
+  feature,
+  featureCollection
+} = require('./common.schemas.js');
+
+/**
+ * Request and response schemas for the places routes, keyed by controller
+ */
+
+// Hard cap for viewport queries, regardless of the requested limit; place.service.js enforces it
+const PLACES_WITHIN_MAX_RESULTS = 500;
+
+const placeIdParams = idParams('Invalid place ID');
+
+// Tag count and length limits apply after normalization, so the service checks those
+const tags = {
+  type: 'array',
+  items: { type: 'string' },
+  errorMessage: { type: 'Invalid tags: tags must be an array of strings' }
+};
+
+const placeFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S', errorMessage: 'Name cannot be empty' },
+  description: { type: ['string', 'null'], maxLength: 5000 },
+  latitude,
+  longitude,
+  category: { type: ['string', 'null'], description: 'Category slug, see GET /places/categories' },
+  tags
+};
+
+// Fields of a place in every response; GeoJSON Features carry them as `properties`
+const placeProperties = {
+  id,
+  name: string,
+  description: nullableString,
+  createdById: { type: ['integer', 'null'], description: 'Owner, null for sample places' },
+  category: { type: ['string', 'null'], description: 'Category slug' },
+  tags: { type: 'array', items: string },
+  averageRating: { type: ['number', 'null'], description: 'Null until the place is reviewed' },
+  reviewCount: integer,
+  likeCount: integer,
+  commentCount: integer,
+  coverPhotoUrl: nullableString
+};
+
+const distance = { type: 'integer', description: 'Meters from the search center, rounded' };
+
+const searchProperties = {
+  ...placeProperties,
+  score: { type: 'number', description: 'Relevance, higher is better' },
+  highlights: exactObject({
+    name: { type: 'string', description: 'Name with matched terms wrapped in `<mark>`' },
+    description: nullableString
+  })
+};
+
+const Place = exactObject({ ...placeProperties, location: latLng });
+const PlaceWithDistance = exactObject({ ...placeProperties, location: latLng, distance });
+const PlaceSearchResult = exactObject({ ...searchProperties, location: latLng });
+const PlaceFeature = feature(placeProperties);
+const PlaceWithDistanceFeature = feature({ ...placeProperties, distance });
+const PlaceSearchResultFeature = feature(searchProperties);
+
+const placeList = items => ({ type: 'array', items });
+const bbox = { type: 'array', items: number, minItems: 4, maxItems: 4, description: 'minLng, minLat, maxLng, maxLat' };
+
+const placeNotFound = 'Place not found';
+
+const createPlace = {
+  summary: 'Create a new place',
+  responses: {
+    201: {
+      description: 'Place created',
+      schema: exactObject({ message: string, place: Place })
+    },
+    403: 'Email verification required'
+  },
+  body: {
+    type: 'object',
+    required: ['name', 'latitude', 'longitude'],
+    properties: placeFields,
+    additionalProperties: false
+  }
+};
+
+const updatePlace = {
+  summary: 'Update a place (owner only)',
+  description: 'Only the fields sent change. `tags` replaces the existing tags, and a null `category` clears it.',
+  responses: {
+    200: {
+      description: 'Place updated',
+      schema: exactObject({ message: string, place: Place })
+    },
+    403: 'Can only update own places',
+    404: placeNotFound
+  },
+  params: placeIdParams,
+  body: {
+    type: 'object',
+    properties: placeFields,
+    // Moving a place needs both coordinates
+    dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] },
+    additionalProperties: false,
+    errorMessage: { dependentRequired: COORDINATES_PAIR_MESSAGE }
+  }
+};
+
+const getAllPlaces = {
+  summary: 'Get all places',
+  responses: {
+    200: {
+      description: 'A page of places ordered by ID, and a `nextCursor`',
+      schema: exactObject({ count: integer, places: placeList(Place), nextCursor }),
+      geojson: featureCollection(PlaceFeature, { nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    properties: { limit: pageLimit(20, 100), cursor, format, ...placeFilterQuery }
+  }
+};
+
+const getPlaceById = {
+  summary: 'Get place by ID',
+  responses: {
+    200: { description: 'A single place', schema: Place, geojson: PlaceFeature },
+    404: placeNotFound
+  },
+  params: placeIdParams,
+  query: {
+    type: 'object',
+    properties: { format }
+  }
+};
+
+const deletePlace = {
+  summary: 'Delete a place (owner only)',
+  description: 'Reviews, photos, likes and comments of the place are deleted with it.',
+  responses: {
+    200: { description: 'Place deleted', schema: message },
+    403: 'Can only delete own places',
+    404: placeNotFound
+  },
+  params: placeIdParams
+};
+
+const findNearbyPlaces = {
+  summary: 'Find nearby places',
+  responses: {
+    200: {
+      description: 'Places inside the radius, each with `distance`, and a `nextCursor`',
+      schema: exactObject({ center, radius: number, count: integer, places: placeList(PlaceWithDistance), nextCursor }),
+      geojson: featureCollection(PlaceWithDistanceFeature, { center, radius: number, nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      radius: radius(5000),
+      limit: pageLimit(50, 100),
+      cursor,
+      sort: {
+        type: 'string',
+        enum: ['distance', 'rating'],
+        default: 'distance',
+        errorMessage: 'Invalid sort: must be distance or rating',
+        description: 'Order by distance, or by average rating (unrated last, ties by distance)'
+      },
+      format,
+      ...placeFilterQuery
+    }
+  }
+};
+
+const findNearestPlaces = {
+  summary: 'Find the k nearest places, however far away they are',
+  responses: {
+    200: {
+      description: 'The k closest places ordered by distance, each with `distance`',
+      schema: exactObject({ center, k: integer, count: integer, places: placeList(PlaceWithDistance) }),
+      geojson: featureCollection(PlaceWithDistanceFeature, { center, k: integer })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      k: {
+        type: 'integer',
+        minimum: 1,
+        default: 10,
+        errorMessage: 'k must be a positive integer',
+        description: 'Number of places to return; larger values are clamped to 100'
+      },
+      format
+    }
+  }
+};
+
+const findPlacesWithinBounds = {
+  summary: 'Find places inside a map viewport',
+  responses: {
+    200: {
+      description: 'Places in the viewport ordered by ID, with `truncated` set when there are more than one page holds',
+      schema: exactObject({ bbox, count: integer, truncated: { type: 'boolean' }, places: placeList(Place), nextCursor }),
+      geojson: featureCollection(PlaceFeature, { bbox, truncated: { type: 'boolean' }, nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['bbox'],
+    properties: {
+      // Ranges and ordering are checked once the numbers are parsed
+      bbox: {
+        type: 'string',
+        pattern: '^\\s*-?\\d+(\\.\\d+)?(\\s*,\\s*-?\\d+(\\.\\d+)?){3}\\s*$',
+        errorMessage: 'bbox must be minLng,minLat,maxLng,maxLat',
+        examples: ['31.2,30.0,31.3,30.1'],
+        description: 'minLng,minLat,maxLng,maxLat. A minLng greater than maxLng crosses the antimeridian'
+      },
+      limit: pageLimit(PLACES_WITHIN_MAX_RESULTS, PLACES_WITHIN_MAX_RESULTS),
+      cursor,
+      format,
+      ...placeFilterQuery
+    },
+    errorMessage: { required: { bbox: 'bbox must be minLng,minLat,maxLng,maxLat' } }
+  }
+};
+
+const searchPlaces = {
+  summary: 'Search places by name and description',
+  description: 'Full-text search with typo-tolerant trigram matching. Matched terms are wrapped in `<mark>` in `highlights`.',
+  responses: {
+    200: {
+      description: 'Places ordered by relevance, each with `score` and `highlights`, and a `nextCursor`',
+      schema: exactObject({ query: string, count: integer, places: placeList(PlaceSearchResult), nextCursor }),
+      geojson: featureCollection(PlaceSearchResultFeature, { query: string, nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: searchQuery,
+      lat: { ...latitude, description: 'Boosts places near this point; requires lng' },
+      lng: { ...longitude, description: 'Boosts places near this point; requires lat' },
+      limit: pageLimit(20, 50),
+      cursor,
+      format
+    },
+    // The proximity boost is optional, but needs both coordinates
+    dependentRequired: { lat: ['lng'], lng: ['lat'] },
+    errorMessage: {
+      required: { q: searchQuery.errorMessage },
+      dependentRequired: COORDINATES_PAIR_MESSAGE
+    }
+  }
+};
+
+const getCategoryCounts = {
+  summary: 'List place categories with counts inside a radius',
+  responses: {
+    200: {
+      description: 'Every category, including empty ones, by descending count',
+      schema: exactObject({
+        center,
+        radius: number,
+        categories: {
+          type: 'array',
+          items: exactObject({ slug: string, name: string, count: integer })
+        }
+      })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      radius: radius(5000)
+    }
+  }
+};
+
+const getDistanceBetweenPlaces = {
+  summary: 'Get distance between two points',
+  responses: {
+    200: {
+      description: 'Geodesic distance',
+      schema: exactObject({ distance: { type: 'number', description: 'Meters' } })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['fromLat', 'fromLng', 'toLat', 'toLng'],
+    properties: {
+      fromLat: latitude,
+      fromLng: longitude,
+      toLat: latitude,
+      toLng: longitude
+    }
+  }
+};
+
+const seedTestData = {
+  summary: 'Insert sample places (admin only)',
+  description: 'Inserts three fixed places around central Cairo (City Square, Library Park and Food Plaza) with no owner. ' +
+    'It is not idempotent: every call inserts them again, and nothing is deleted or deduplicated.',
+  responses: {
+    201: { description: 'Sample places inserted', schema: message },
+    403: 'Requires the admin role'
+  }
+};
+
+module.exports = {
+  PLACES_WITHIN_MAX_RESULTS,
+  Place,
+  PlaceWithDistance,
+  PlaceSearchResult,
+  PlaceFeature,
+  PlaceWithDistanceFeature,
+  PlaceSearchResultFeature,
+  createPlace,
+  updatePlace,
+  getAllPlaces,
+  getPlaceById,
+  deletePlace,
+  findNearbyPlaces,
+  findNearestPlaces,
+  findPlacesWithinBounds,
+  searchPlaces,
+  getCategoryCounts,
+  getDistanceBetweenPlaces,
+  seedTestData
+};
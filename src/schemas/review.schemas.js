@@ -0,0 +1,141 @@
+const {
+  pageLimit,
+  cursor,
+  idParams,
+  exactObject,
+  id,
+  integer,
+  string,
+  nullableString,
+  dateTime,
+  nextCursor,
+  author,
+  message
+} = require('./common.schemas.js');
+
+/**
+ * Request and response schemas for the reviews routes (/places/:id/reviews), keyed by controller
+ */
+
+const MAX_REVIEW_LENGTH = 2000;
+
+const placeIdParams = idParams('Invalid place ID');
+
+// `:reviewId` under its place's `:id`; likes and comments on a review take the same params
+const reviewParams = {
+  type: 'object',
+  required: ['id', 'reviewId'],
+  properties: {
+    id: { type: 'integer', minimum: 1, errorMessage: 'Invalid place ID' },
+    reviewId: { type: 'integer', minimum: 1, errorMessage: 'Invalid review ID' }
+  }
+};
+
+const reviewFields = {
+  rating: { type: 'integer', minimum: 1, maximum: 5, errorMessage: 'Rating must be an integer between 1 and 5' },
+  body: {
+    type: ['string', 'null'],
+    maxLength: MAX_REVIEW_LENGTH,
+    errorMessage: `Review text must be at most ${MAX_REVIEW_LENGTH} characters`
+  }
+};
+
+const Review = exactObject({
+  id,
+  placeId: id,
+  rating: integer,
+  body: nullableString,
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  likeCount: integer,
+  commentCount: integer,
+  user: author
+});
+
+const reviewNotFound = 'Review not found';
+
+const getPlaceReviews = {
+  summary: 'List reviews for a place, newest first',
+  responses: {
+    200: {
+      description: "Page of reviews with the place's `averageRating` and `reviewCount`, and a `nextCursor`",
+      schema: exactObject({
+        placeId: id,
+        averageRating: { type: ['number', 'null'], description: 'Null until the place is reviewed' },
+        reviewCount: integer,
+        count: integer,
+        reviews: { type: 'array', items: Review },
+        nextCursor
+      })
+    },
+    404: 'Place not found'
+  },
+  params: placeIdParams,
+  query: {
+    type: 'object',
+    properties: { limit: pageLimit(20, 50), cursor }
+  }
+};
+
+const getReview = {
+  summary: 'Get a single review',
+  responses: {
+    200: { description: 'A single review', schema: Review },
+    404: reviewNotFound
+  },
+  params: reviewParams
+};
+
+const createReview = {
+  summary: 'Review a place (one review per user per place)',
+  responses: {
+    201: { description: 'Review created', schema: exactObject({ message: string, review: Review }) },
+    403: 'Email verification required',
+    404: 'Place not found',
+    409: 'Place already reviewed by this user'
+  },
+  params: placeIdParams,
+  body: {
+    type: 'object',
+    required: ['rating'],
+    properties: reviewFields,
+    additionalProperties: false,
+    errorMessage: { required: { rating: 'Rating is required' } }
+  }
+};
+
+const updateReview = {
+  summary: 'Update own review',
+  responses: {
+    200: { description: 'Review updated', schema: exactObject({ message: string, review: Review }) },
+    403: 'Can only update own reviews',
+    404: reviewNotFound
+  },
+  params: reviewParams,
+  body: {
+    type: 'object',
+    properties: reviewFields,
+    additionalProperties: false
+  }
+};
+
+const deleteReview = {
+  summary: 'Delete own review',
+  description: 'Likes and comments on the review are deleted with it.',
+  responses: {
+    200: { description: 'Review deleted', schema: message },
+    403: 'Can only delete own reviews',
+    404: reviewNotFound
+  },
+  params: reviewParams
+};
+
+module.exports = {
+  Review,
+  reviewParams,
+  getPlaceReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview
+};
@@ -0,0 +1,110 @@
+const {
+  format,
+  idParams,
+  exactObject,
+  nullable,
+  id,
+  integer,
+  string,
+  nullableString,
+  dateTime,
+  latLng,
+  author,
+  message,
+  feature
+} = require('./common.schemas.js');
+
+/**
+ * Request and response schemas for the stories routes, keyed by controller
+ */
+
+const MAX_STORY_LENGTH = 2200;
+
+const storyIdParams = idParams('Invalid story ID');
+
+// Fields of a story in every response; GeoJSON Features carry them as `properties`
+const storyProperties = {
+  id,
+  text: nullableString,
+  mediaUrl: nullableString,
+  expiresAt: { type: ['string', 'null'], format: 'date-time', description: 'Null for stories that never expire' },
+  createdAt: dateTime,
+  likeCount: integer,
+  commentCount: integer,
+  place: nullable(exactObject({ id, name: string })),
+  author
+};
+
+const Story = exactObject({ ...storyProperties, location: nullable(latLng) });
+const StoryFeature = feature(storyProperties);
+
+// Fields of a story, shared by both upload forms
+const storyFields = {
+  text: { type: 'string', maxLength: MAX_STORY_LENGTH },
+  placeId: { type: 'integer', description: "Tag a place; the story takes the place's location" },
+  latitude: { type: 'number', minimum: -90, maximum: 90, description: 'Tag a raw point (with longitude) instead of a place' },
+  longitude: { type: 'number', minimum: -180, maximum: 180 },
+  expiresAt: { type: 'string', format: 'date-time', description: 'After this the story is only visible to its author' }
+};
+
+const createStory = {
+  summary: 'Post a story, optionally geotagged and expiring',
+  description: 'A story needs text, media or both. Tag it with either a place or coordinates.',
+  // Multer reads the media file, and the controller checks the fields that come with it
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: { ...storyFields, media: { type: 'string', format: 'binary' } }
+        }
+      },
+      'application/json': {
+        schema: { type: 'object', properties: storyFields }
+      }
+    }
+  },
+  responses: {
+    201: { description: 'Story created', schema: exactObject({ message: string, story: Story }) },
+    400: 'Missing text and media, or an invalid geotag or expiry',
+    403: 'Email verification required',
+    404: 'Place not found',
+    413: 'The media file is over 10MB'
+  }
+};
+
+const getStory = {
+  summary: 'Get a story',
+  description: 'Expired stories are only visible to their author.',
+  responses: {
+    200: { description: 'A single story', schema: Story, geojson: StoryFeature },
+    404: 'Story not found or expired'
+  },
+  params: storyIdParams,
+  query: {
+    type: 'object',
+    properties: { format }
+  }
+};
+
+const deleteStory = {
+  summary: 'Delete own story',
+  description: 'Its media, likes and comments are deleted with it.',
+  responses: {
+    200: { description: 'Story deleted', schema: message },
+    403: 'Can only delete own stories',
+    404: 'Story not found'
+  },
+  params: storyIdParams
+};
+
+module.exports = {
+  MAX_STORY_LENGTH,
+  storyProperties,
+  Story,
+  StoryFeature,
+  createStory,
+  getStory,
+  deleteStory
+};
@@ -0,0 +1,671 @@
+const {
+  COORDINATES_PAIR_MESSAGE,
+  latitude,
+  longitude,
+  radius,
+  pageLimit,
+  cursor,
+  format,
+  searchQuery,
+  idParams,
+  exactObject,
+  nullable,
+  id,
+  integer,
+  number,
+  string,
+  nullableString,
+  dateTime,
+  nextCursor,
+  latLng,
+  message,
+  center,
+  feature,
+  featureCollection
+} = require('./common.schemas.js');
+const { Story, StoryFeature } = require('./story.schemas.js');
+
+/**
+ * Request and response schemas for the users routes, keyed by controller
+ */
+
+const ROLES = ['user', 'moderator', 'admin'];
+const MIN_PASSWORD_LENGTH = 6;
+
+const userIdParams = idParams('Invalid user ID');
+
+const password = {
+  type: 'string',
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 200,
+  errorMessage: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+};
+
+// Strings the user typed, checked for presence only
+const requiredString = { type: 'string', minLength: 1 };
+
+// Empty strings clear a profile field, as does null
+const profileText = maxLength => ({ type: ['string', 'null'], maxLength });
+
+const role = { type: 'string', enum: ROLES };
+
+// Profile fields shown to everyone
+const profileProperties = {
+  id,
+  username: string,
+  fullName: nullableString,
+  avatarUrl: nullableString,
+  bio: nullableString,
+  website: nullableString,
+  instagram: nullableString,
+  twitter: nullableString,
+  facebook: nullableString,
+  city: nullableString,
+  country: nullableString,
+  storyCount: integer,
+  likeCount: integer,
+  commentCount: integer,
+  followerCount: integer,
+  followingCount: integer,
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  coordinates: nullable(latLng)
+};
+
+// The account row, without credentials, as the user themselves sees it
+const accountProperties = {
+  id,
+  username: string,
+  email: string,
+  emailVerified: { type: 'boolean' },
+  role,
+  fullName: nullableString,
+  avatarUrl: nullableString,
+  bio: nullableString,
+  website: nullableString,
+  instagram: nullableString,
+  twitter: nullableString,
+  facebook: nullableString,
+  city: nullableString,
+  country: nullableString,
+  storyCount: integer,
+  likeCount: integer,
+  commentCount: integer,
+  createdAt: dateTime,
+  updatedAt: dateTime
+};
+
+// Search and nearby results; GeoJSON Features carry them as `properties`, minus `coordinates`
+const summaryProperties = {
+  id,
+  username: string,
+  fullName: nullableString,
+  avatarUrl: nullableString,
+  bio: nullableString,
+  city: nullableString,
+  country: nullableString,
+  storyCount: integer,
+  likeCount: integer,
+  commentCount: integer
+};
+
+const distance = { type: 'integer', description: 'Meters from the search center, rounded' };
+
+const PublicUser = exactObject(profileProperties, {
+  isFollowedByMe: { type: 'boolean', description: 'Only for signed-in requests' }
+});
+const CurrentUser = exactObject({ ...profileProperties, email: string, emailVerified: { type: 'boolean' }, role });
+const Account = exactObject({ ...accountProperties, totpEnabled: { type: 'boolean' } });
+const UserSummary = exactObject({ ...summaryProperties, coordinates: nullable(latLng) });
+const NearbyUser = exactObject({ ...summaryProperties, coordinates: latLng, distance });
+const NearbyUserFeature = feature({ ...summaryProperties, distance });
+const FollowUser = exactObject({
+  id,
+  username: string,
+  fullName: nullableString,
+  avatarUrl: nullableString,
+  bio: nullableString,
+  city: nullableString,
+  country: nullableString,
+  followedAt: dateTime
+});
+
+const tokenProperties = {
+  token: { type: 'string', description: 'Access token' },
+  refreshToken: string,
+  expiresIn: { type: 'string', description: 'Lifetime of the access token, e.g. `15m`' }
+};
+
+const signedIn = exactObject({ message: string, user: Account, ...tokenProperties });
+const messageWithRevokedSessions = exactObject({ message: string, revokedSessions: integer });
+const recoveryCodes = { type: 'array', items: string, description: 'Single-use codes, shown only once' };
+const followList = key => exactObject({ userId: id, count: integer, [key]: { type: 'array', items: FollowUser }, nextCursor });
+
+const userNotFound = 'User not found';
+const tooManyRequests = detail => `${detail}; see the Retry-After header`;
+
+const registerUser = {
+  summary: 'Register a new user',
+  responses: {
+    201: {
+      description: 'User created; a verification email is sent',
+      schema: exactObject({ message: string, user: exactObject(accountProperties) })
+    },
+    409: 'Username or email is already taken',
+    429: tooManyRequests('Too many registrations from this IP address')
+  },
+  body: {
+    type: 'object',
+    required: ['username', 'email', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 3, maxLength: 30 },
+      email: { type: 'string', format: 'email', maxLength: 254, errorMessage: 'Invalid email address' },
+      password,
+      fullName: { type: 'string', maxLength: 100 }
+    },
+    additionalProperties: false
+  }
+};
+
+const verifyEmail = {
+  summary: 'Verify an email address',
+  description: 'Target of the link in the verification email; the token is valid for 24 hours.',
+  responses: {
+    200: {
+      description: 'Email verified',
+      schema: exactObject({ message: string, user: exactObject({ id, email: string, emailVerified: { type: 'boolean' } }) })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { ...requiredString, description: 'Signed verification token' } },
+    errorMessage: { required: { token: 'Verification token is required' } }
+  }
+};
+
+const resendVerificationEmail = {
+  summary: 'Send another verification email',
+  description: 'At most one email per minute.',
+  responses: {
+    200: { description: 'Verification email sent', schema: message },
+    409: 'Email is already verified',
+    429: tooManyRequests('Sent too recently')
+  }
+};
+
+const loginUser = {
+  summary: 'User login',
+  responses: {
+    200: {
+      description: 'Login successful; returns the user, a short-lived access `token`, a `refreshToken` and ' +
+        '`expiresIn` for the access token. Users with two-factor authentication instead get ' +
+        '`twoFactorRequired: true` and a `challengeToken` for POST /users/login/2fa.',
+      schema: {
+        anyOf: [
+          signedIn,
+          exactObject({ message: string, twoFactorRequired: { const: true }, challengeToken: string })
+        ]
+      }
+    },
+    401: 'Invalid credentials',
+    429: tooManyRequests('Too many attempts from this IP address or for this account, or the account is locked after repeated wrong passwords')
+  },
+  body: {
+    type: 'object',
+    required: ['emailOrUsername', 'password'],
+    properties: {
+      emailOrUsername: requiredString,
+      password: requiredString
+    }
+  }
+};
+
+const completeTwoFactorLogin = {
+  summary: 'Complete a login with a TOTP code or a recovery code',
+  description: 'A challenge can be completed once and allows 3 attempts; after that, log in again. ' +
+    'Wrong codes count as failed logins of the account, which locks it like wrong passwords do.',
+  responses: {
+    200: { description: 'Login successful; same response as a login without two-factor authentication', schema: signedIn },
+    401: 'Invalid, expired or used up challenge, or invalid code',
+    429: tooManyRequests('Too many attempts from this IP address, or the account is locked after repeated wrong codes')
+  },
+  body: {
+    type: 'object',
+    required: ['challengeToken'],
+    properties: {
+      challengeToken: { ...requiredString, description: 'From POST /users/login, valid for 5 minutes' },
+      code: { ...requiredString, description: '6-digit code from the authenticator app' },
+      recoveryCode: { ...requiredString, description: 'Unused recovery code, instead of `code`' }
+    },
+    anyOf: [{ required: ['code'] }, { required: ['recoveryCode'] }],
+    errorMessage: { anyOf: 'A code or recovery code is required' }
+  }
+};
+
+const refreshSession = {
+  summary: 'Exchange a refresh token for a new token pair',
+  description: 'The refresh token rotates on every use. Reusing the refresh token it just replaced revokes its session; any other wrong token is only rejected.',
+  responses: {
+    200: { description: 'New token pair', schema: exactObject(tokenProperties) },
+    401: 'Invalid, expired or revoked refresh token',
+    429: tooManyRequests('Too many attempts from this IP address')
+  },
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: { refreshToken: requiredString },
+    errorMessage: { required: { refreshToken: 'Refresh token is required' } }
+  }
+};
+
+const logout = {
+  summary: 'Log out the current session',
+  responses: {
+    200: { description: "Logged out; the session's access and refresh tokens stop working", schema: message }
+  }
+};
+
+const logoutAll = {
+  summary: 'Log out every session of the current user',
+  responses: {
+    200: { description: 'All sessions revoked', schema: messageWithRevokedSessions }
+  }
+};
+
+const forgotPassword = {
+  summary: 'Email a password reset token',
+  description: 'Always answers 200, whether or not an account uses the email. The token expires ' +
+    'after an hour and works once; requesting a new one invalidates the previous token.',
+  responses: {
+    200: { description: 'Reset email sent if the account exists', schema: message },
+    429: tooManyRequests('Too many requests from this IP address or for this email')
+  },
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: { email: requiredString },
+    errorMessage: { required: { email: 'Email is required' } }
+  }
+};
+
+const resetPassword = {
+  summary: 'Set a new password with a reset token',
+  description: 'Signs the user out of every session. An invalid, used or expired token is a 400.',
+  responses: {
+    200: { description: 'Password reset', schema: message }
+  },
+  body: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: { token: requiredString, password },
+    errorMessage: { required: { token: 'Reset token is required' } }
+  }
+};
+
+const changePassword = {
+  summary: 'Change own password',
+  description: 'Requires the current password and signs out every other session.',
+  responses: {
+    200: { description: 'Password changed', schema: messageWithRevokedSessions },
+    403: 'Current password is incorrect'
+  },
+  body: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: { currentPassword: requiredString, newPassword: password },
+    errorMessage: { required: { currentPassword: 'Current password is required' } }
+  }
+};
+
+const setupTwoFactor = {
+  summary: 'Start two-factor enrollment',
+  description: 'Returns a new TOTP `secret` and its `otpauthUri`, the payload to render as a QR code. ' +
+    'Two-factor authentication stays off until confirmed with a code.',
+  responses: {
+    200: { description: 'Enrollment started', schema: exactObject({ message: string, secret: string, otpauthUri: string }) },
+    409: 'Two-factor authentication is already enabled'
+  }
+};
+
+// Confirming enrollment and replacing recovery codes both take a TOTP code
+const totpCodeBody = {
+  type: 'object',
+  required: ['code'],
+  properties: {
+    code: { ...requiredString, description: 'Current code from the authenticator app' }
+  },
+  errorMessage: { required: { code: 'Code is required' } }
+};
+
+const confirmTwoFactor = {
+  summary: 'Confirm two-factor enrollment',
+  description: 'Enables two-factor authentication and returns 10 single-use recovery codes, shown only once.',
+  responses: {
+    200: { description: 'Two-factor authentication enabled', schema: exactObject({ message: string, recoveryCodes }) },
+    409: 'Already enabled, or setup not started'
+  },
+  body: totpCodeBody
+};
+
+const regenerateRecoveryCodes = {
+  summary: 'Replace the recovery codes',
+  description: 'Invalidates all previous recovery codes. A wrong code is a 400.',
+  responses: {
+    200: { description: 'New recovery codes', schema: exactObject({ recoveryCodes }) },
+    409: 'Two-factor authentication is not enabled'
+  },
+  body: totpCodeBody
+};
+
+const disableTwoFactor = {
+  summary: 'Turn off two-factor authentication',
+  responses: {
+    200: { description: 'Two-factor authentication disabled', schema: message },
+    403: 'Current password is incorrect'
+  },
+  body: {
+    type: 'object',
+    required: ['password'],
+    properties: { password: requiredString },
+    errorMessage: { required: { password: 'Password is required' } }
+  }
+};
+
+const getCurrentUserProfile = {
+  summary: "Get current user's profile",
+  responses: {
+    200: { description: 'Current user profile with private information', schema: CurrentUser }
+  }
+};
+
+const searchUsers = {
+  summary: 'Search users by username or full name',
+  responses: {
+    200: {
+      description: 'Page of matching users with a `nextCursor`',
+      schema: exactObject({ query: string, count: integer, users: { type: 'array', items: UserSummary }, nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['q'],
+    properties: { q: searchQuery, limit: pageLimit(20, 50), cursor },
+    errorMessage: { required: { q: searchQuery.errorMessage } }
+  }
+};
+
+const getNearbyUsers = {
+  summary: 'Find nearby users based on coordinates',
+  responses: {
+    200: {
+      description: 'Users inside the radius, nearest first, each with `distance`, and a `nextCursor`',
+      schema: exactObject({ center, radius: number, count: integer, users: { type: 'array', items: NearbyUser }, nextCursor }),
+      geojson: featureCollection(NearbyUserFeature, { center, radius: number, nextCursor })
+    }
+  },
+  query: {
+    type: 'object',
+    required: ['lat', 'lng'],
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      radius: radius(10000),
+      limit: pageLimit(50, 100),
+      cursor,
+      format
+    },
+    errorMessage: {
+      required: {
+        lat: 'Latitude and longitude are required',
+        lng: 'Latitude and longitude are required'
+      }
+    }
+  }
+};
+
+const getUserProfile = {
+  summary: 'Get user profile by ID',
+  responses: {
+    200: { description: 'Public user profile, with `isFollowedByMe` when signed in', schema: PublicUser },
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const updateUserProfile = {
+  summary: 'Update user profile',
+  responses: {
+    200: { description: 'Profile updated', schema: exactObject({ message: string, user: PublicUser }) },
+    403: 'Can only update own profile'
+  },
+  params: userIdParams,
+  body: {
+    type: 'object',
+    properties: {
+      fullName: profileText(100),
+      bio: profileText(500),
+      website: {
+        type: ['string', 'null'],
+        maxLength: 200,
+        // `maxLength` and `format` only apply to strings, so null passes the first branch
+        anyOf: [{ maxLength: 0 }, { format: 'uri', pattern: '^https?://' }],
+        errorMessage: 'website must be an http(s) URL'
+      },
+      instagram: profileText(100),
+      twitter: profileText(100),
+      facebook: profileText(100),
+      city: profileText(100),
+      country: profileText(100),
+      latitude,
+      longitude
+    },
+    // Moving a user needs both coordinates
+    dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] },
+    additionalProperties: false,
+    errorMessage: { dependentRequired: COORDINATES_PAIR_MESSAGE }
+  }
+};
+
+const uploadUserAvatar = {
+  summary: 'Upload user avatar',
+  // Multer reads the file, so the body is documented rather than validated
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: ['avatar'],
+          properties: { avatar: { type: 'string', format: 'binary' } }
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Avatar uploaded',
+      schema: exactObject({ message: string, user: PublicUser, avatarUrl: string })
+    },
+    400: 'No image file provided or invalid file type',
+    403: 'Can only update own avatar'
+  },
+  params: userIdParams
+};
+
+const getUserEngagement = {
+  summary: 'Get user engagement stats',
+  responses: {
+    200: {
+      description: 'User engagement statistics',
+      schema: exactObject({ id, username: string, storyCount: integer, likeCount: integer, commentCount: integer, createdAt: dateTime })
+    },
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const getUserStories = {
+  summary: "List a user's stories, newest first",
+  description: 'Expired stories are included only when the user requests their own list.',
+  responses: {
+    200: {
+      description: 'Page of stories with a `nextCursor`',
+      schema: exactObject({ userId: id, count: integer, stories: { type: 'array', items: Story }, nextCursor }),
+      geojson: featureCollection(StoryFeature, { userId: id, nextCursor })
+    },
+    404: userNotFound
+  },
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: { limit: pageLimit(20, 50), cursor, format }
+  }
+};
+
+const followUser = {
+  summary: 'Follow a user (following twice is a no-op)',
+  description: 'Following yourself is a 400.',
+  responses: {
+    200: { description: '`following: true` and the new follower count', schema: exactObject({ following: { const: true }, followerCount: integer }) },
+    403: 'One of the users has blocked the other',
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const unfollowUser = {
+  summary: 'Unfollow a user',
+  responses: {
+    200: { description: '`following: false` and the new follower count', schema: exactObject({ following: { const: false }, followerCount: integer }) },
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const followListQuery = {
+  type: 'object',
+  properties: { limit: pageLimit(20, 100), cursor }
+};
+
+const getFollowers = {
+  summary: "List a user's followers, most recent first",
+  responses: {
+    200: { description: 'Page of users, each with `followedAt`, and a `nextCursor`', schema: followList('followers') },
+    404: userNotFound
+  },
+  params: userIdParams,
+  query: followListQuery
+};
+
+const getFollowing = {
+  summary: 'List the users a user follows, most recent first',
+  responses: {
+    200: { description: 'Page of users, each with `followedAt`, and a `nextCursor`', schema: followList('following') },
+    404: userNotFound
+  },
+  params: userIdParams,
+  query: followListQuery
+};
+
+const blockUser = {
+  summary: 'Block a user',
+  description: "Removes follows in both directions and hides each user's stories from the other's feed. Blocking yourself is a 400.",
+  responses: {
+    200: { description: 'User blocked', schema: exactObject({ blocked: { const: true } }) },
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const unblockUser = {
+  summary: 'Unblock a user',
+  responses: {
+    200: { description: 'User unblocked', schema: exactObject({ blocked: { const: false } }) }
+  },
+  params: userIdParams
+};
+
+const recountUserStats = {
+  summary: 'Recalculate user engagement stats (admin only)',
+  description: "storyCount, likeCount and commentCount are derived from stories and from likes and comments received on the user's " +
+    'stories, places and reviews. They are kept up to date automatically; this endpoint only recomputes them.',
+  responses: {
+    200: { description: 'Stats recalculated', schema: exactObject({ message: string, user: PublicUser }) },
+    403: 'Requires the admin role',
+    404: userNotFound
+  },
+  params: userIdParams
+};
+
+const setUserRole = {
+  summary: "Change a user's role (admin only)",
+  description: 'Admins cannot change their own role.',
+  responses: {
+    200: {
+      description: 'Role changed',
+      schema: exactObject({ message: string, user: exactObject({ id, username: string, role }) })
+    },
+    403: 'Requires the admin role',
+    404: userNotFound
+  },
+  params: userIdParams,
+  body: {
+    type: 'object',
+    required: ['role'],
+    properties: { role },
+    errorMessage: `Role must be one of: ${ROLES.join(', ')}`
+  }
+};
+
+const deleteUser = {
+  summary: 'Delete user account',
+  responses: {
+    200: { description: 'User account deleted', schema: message },
+    403: 'Can only delete own account'
+  },
+  params: userIdParams
+};
+
+module.exports = {
+  ROLES,
+  PublicUser,
+  CurrentUser,
+  Account,
+  UserSummary,
+  NearbyUser,
+  NearbyUserFeature,
+  FollowUser,
+  registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  loginUser,
+  completeTwoFactorLogin,
+  refreshSession,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getCurrentUserProfile,
+  searchUsers,
+  getNearbyUsers,
+  getUserProfile,
+  updateUserProfile,
+  uploadUserAvatar,
+  getUserEngagement,
+  getUserStories,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser,
+  recountUserStats,
+  setUserRole,
+  deleteUser
+};
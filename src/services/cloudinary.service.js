@@ -1,5 +1,6 @@
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
+const { ValidationError } = require('../utils/errors.js');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -20,107 +21,216 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new ValidationError('Only image files are allowed', 'UNSUPPORTED_FILE_TYPE'), false);
     }
   },
 });
 
+// Width-bounded variants returned for every place photo
+const PHOTO_VARIANTS = {
+  thumbnail: { width: 150, height: 150, crop: 'fill', gravity: 'auto' },
+  small: { width: 400 },
+  medium: { width: 800 },
+  large: { width: 1600 },
+};
+
 /**
- * Upload avatar image to Cloudinary
+ * Upload an image buffer to Cloudinary
  * @param {Buffer} fileBuffer - Image file buffer
- * @param {string} userId - User ID for organizing uploads
- * @returns {Promise<string>} - Cloudinary URL
+ * @param {Object} options - `folder`, `publicId` and an optional incoming `transformation`
+ * @returns {Promise<Object>} - `{ url, publicId, width, height }`
  */
-const uploadAvatar = async (fileBuffer, userId) => {
-  try {
-    return new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          folder: `gigglemap/avatars`,
-          public_id: `user_${userId}_avatar_${Date.now()}`,
-          transformation: [
-            { width: 400, height: 400, crop: 'fill', gravity: 'face' },
-            { quality: 'auto', fetch_format: 'auto' }
-          ],
-          overwrite: true,
-        },
-        (error, result) => {
-          if (error) {
-            console.error('Cloudinary upload error:', error);
-            reject(new Error(`Failed to upload image: ${error.message}`));
-          } else {
-            resolve(result.secure_url);
-          }
-        }
-      );
-      
-      uploadStream.end(fileBuffer);
-    });
-  } catch (error) {
-    console.error('Avatar upload error:', error);
-    throw new Error('Failed to upload avatar image');
-  }
-};
+const uploadImage = (fileBuffer, { folder, publicId, transformation }) => new Promise((resolve, reject) => {
+  const uploadStream = cloudinary.uploader.upload_stream(
+    {
+      resource_type: 'image',
+      folder,
+      public_id: publicId,
+      transformation,
+      overwrite: true,
+    },
+    (error, result) => {
+      if (error) {
+        console.error('Cloudinary upload error:', error);
+        reject(new Error(`Failed to upload image: ${error.message}`));
+      } else {
+        resolve({
+          url: result.secure_url,
+          publicId: result.public_id,
+          width: result.width,
+          height: result.height,
+        });
+      }
+    }
+  );
+
+  uploadStream.end(fileBuffer);
+});
 
 /**
- * Delete avatar image from Cloudinary
- * @param {string} imageUrl - Cloudinary URL to delete
+ * Delete an image from Cloudinary
+ * @param {string} publicId - Cloudinary public_id, including its folder
  * @returns {Promise<boolean>} - Success status
  */
-const deleteAvatar = async (imageUrl) => {
+const deleteImage = async (publicId) => {
   try {
-    if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
-      return true; // Nothing to delete or not a Cloudinary URL
+    if (!publicId) {
+      return true;
     }
 
-    // Extract public_id from Cloudinary URL
-    const urlParts = imageUrl.split('/');
-    const fileName = urlParts[urlParts.length - 1];
-    const publicId = `gigglemap/avatars/${fileName.split('.')[0]}`;
-
     const result = await cloudinary.uploader.destroy(publicId);
     return result.result === 'ok';
   } catch (error) {
-    console.error('Error deleting avatar from Cloudinary:', error);
+    console.error('Error deleting image from Cloudinary:', error);
     return false; // Don't throw error, just log it
   }
 };
 
 /**
- * Get optimized avatar URL with transformations
- * @param {string} avatarUrl - Original Cloudinary URL
- * @param {Object} options - Transformation options
- * @returns {string} - Optimized URL
+ * Insert a transformation segment into a Cloudinary delivery URL
+ * @param {string} imageUrl - Original Cloudinary URL
+ * @param {Object} options - `width`, `height`, `crop`, `gravity` and `quality`
+ * @returns {string} - Transformed URL, or the input when it is not a Cloudinary URL
  */
-const getOptimizedAvatarUrl = (avatarUrl, options = {}) => {
-  if (!avatarUrl || !avatarUrl.includes('cloudinary.com')) {
-    return avatarUrl;
+const getOptimizedImageUrl = (imageUrl, options = {}) => {
+  if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
+    return imageUrl;
   }
 
-  const { width = 200, height = 200, quality = 'auto' } = options;
+  const { width, height, crop = 'limit', gravity, quality = 'auto' } = options;
 
   try {
-    const url = new URL(avatarUrl);
+    const url = new URL(imageUrl);
     const pathParts = url.pathname.split('/');
     const uploadIndex = pathParts.indexOf('upload');
-    
+
     if (uploadIndex !== -1) {
-      const transformations = `w_${width},h_${height},c_fill,g_face,q_${quality},f_auto`;
+      const transformations = [
+        width && `w_${width}`,
+        height && `h_${height}`,
+        `c_${crop}`,
+        gravity && `g_${gravity}`,
+        `q_${quality}`,
+        'f_auto',
+      ].filter(Boolean).join(',');
       pathParts.splice(uploadIndex + 1, 0, transformations);
       url.pathname = pathParts.join('/');
     }
-    
+
     return url.toString();
   } catch (error) {
-    console.error('Error optimizing avatar URL:', error);
-    return avatarUrl;
+    console.error('Error optimizing image URL:', error);
+    return imageUrl;
   }
 };
 
+/**
+ * Build the responsive URL set for an image
+ * @param {string} imageUrl - Original Cloudinary URL
+ * @returns {Object} - One URL per entry in PHOTO_VARIANTS
+ */
+const getResponsiveImageUrls = (imageUrl) => Object.fromEntries(
+  Object.entries(PHOTO_VARIANTS).map(([name, options]) => [name, getOptimizedImageUrl(imageUrl, options)])
+);
+
+/**
+ * Upload avatar image to Cloudinary
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @param {string} userId - User ID for organizing uploads
+ * @returns {Promise<string>} - Cloudinary URL
+ */
+const uploadAvatar = async (fileBuffer, userId) => {
+  try {
+    const { url } = await uploadImage(fileBuffer, {
+      folder: 'gigglemap/avatars',
+      publicId: `user_${userId}_avatar_${Date.now()}`,
+      transformation: [
+        { width: 400, height: 400, crop: 'fill', gravity: 'face' },
+        { quality: 'auto', fetch_format: 'auto' }
+      ],
+    });
+    return url;
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    throw new Error('Failed to upload avatar image');
+  }
+};
+
+/**
+ * Upload a place photo to Cloudinary, into the place's own folder
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @param {number} placeId - Place ID for organizing uploads
+ * @returns {Promise<Object>} - `{ url, publicId, width, height }`
+ */
+const uploadPlacePhoto = async (fileBuffer, placeId) => {
+  try {
+    return await uploadImage(fileBuffer, {
+      folder: `gigglemap/places/${placeId}`,
+      publicId: `photo_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      // Originals are capped so the largest variant never upscales from a huge file
+      transformation: [{ width: 2400, height: 2400, crop: 'limit' }],
+    });
+  } catch (error) {
+    console.error('Place photo upload error:', error);
+    throw new Error('Failed to upload place photo');
+  }
+};
+
+/**
+ * Upload story media to Cloudinary, into the author's folder
+ * @param {Buffer} fileBuffer - Image file buffer
+ * @param {number} userId - Author ID for organizing uploads
+ * @returns {Promise<Object>} - `{ url, publicId, width, height }`
+ */
+const uploadStoryMedia = async (fileBuffer, userId) => {
+  try {
+    return await uploadImage(fileBuffer, {
+      folder: `gigglemap/stories/${userId}`,
+      publicId: `story_${Date.now()}`,
+      transformation: [{ width: 1080, height: 1920, crop: 'limit' }],
+    });
+  } catch (error) {
+    console.error('Story media upload error:', error);
+    throw new Error('Failed to upload story media');
+  }
+};
+
+/**
+ * Delete avatar image from Cloudinary
+ * @param {string} imageUrl - Cloudinary URL to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+const deleteAvatar = async (imageUrl) => {
+  if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
+    return true; // Nothing to delete or not a Cloudinary URL
+  }
+
+  // Extract public_id from Cloudinary URL
+  const urlParts = imageUrl.split('/');
+  const fileName = urlParts[urlParts.length - 1];
+  return deleteImage(`gigglemap/avatars/${fileName.split('.')[0]}`);
+};
+
+/**
+ * Get optimized avatar URL with transformations
+ * @param {string} avatarUrl - Original Cloudinary URL
+ * @param {Object} options - Transformation options
+ * @returns {string} - Optimized URL
+ */
+const getOptimizedAvatarUrl = (avatarUrl, options = {}) => {
+  const { width = 200, height = 200, quality = 'auto' } = options;
+  return getOptimizedImageUrl(avatarUrl, { width, height, crop: 'fill', gravity: 'face', quality });
+};
+
 module.exports = {
   upload,
+  uploadImage,
+  deleteImage,
+  getOptimizedImageUrl,
+  getResponsiveImageUrls,
   uploadAvatar,
+  uploadPlacePhoto,
+  uploadStoryMedia,
   deleteAvatar,
   getOptimizedAvatarUrl,
-}; 
\ No newline at end of file
+};
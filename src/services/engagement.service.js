@@ -0,0 +1,338 @@
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { NotFoundError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const commentSelect = {
+  id: true,
+  body: true,
+  storyId: true,
+  placeId: true,
+  reviewId: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: {
+      id: true,
+      username: true,
+      fullName: true,
+      avatarUrl: true
+    }
+  }
+};
+
+/**
+ * Likeable/commentable content
+ * `column` is the Like/Comment foreign key; `findOwner` resolves the target (or null when it
+ * does not exist or is not visible) to the user whose counters it feeds, which may be null.
+ */
+const TARGETS = {
+  story: {
+    column: 'storyId',
+    notFound: 'Story not found',
+    findOwner: async (tx, { id }) => {
+      const story = await tx.story.findFirst({
+        where: { id, OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] },
+        select: { authorId: true }
+      });
+      return story && { ownerId: story.authorId };
+    }
+  },
+  place: {
+    column: 'placeId',
+    notFound: 'Place not found',
+    findOwner: async (tx, { id }) => {
+      const place = await tx.place.findUnique({ where: { id }, select: { createdById: true } });
+      return place && { ownerId: place.createdById };
+    }
+  },
+  review: {
+    column: 'reviewId',
+    notFound: 'Review not found',
+    findOwner: async (tx, { id, placeId }) => {
+      const review = await tx.review.findFirst({ where: { id, placeId }, select: { userId: true } });
+      return review && { ownerId: review.userId };
+    }
+  }
+};
+
+const resolveTarget = async (tx, type, target) => {
+  const config = TARGETS[type];
+  const found = await config.findOwner(tx, target);
+  if (!found) {
+    throw new NotFoundError(config.notFound);
+  }
+  return { config, ownerId: found.ownerId };
+};
+
+/**
+ * Lock user rows (in id order, to avoid deadlocks) before their counters are recomputed
+ * Concurrent writes for the same owner then recount one after another and never miss a row.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<number|null>} userIds - Users to lock; nulls are ignored
+ */
+const lockUsers = async (tx, userIds) => {
+  const ids = [...new Set(userIds.filter(id => id !== null && id !== undefined))].sort((a, b) => a - b);
+  if (ids.length > 0) {
+    await tx.$queryRaw`SELECT id FROM "User" WHERE id = ANY(${ids}) ORDER BY id FOR UPDATE`;
+  }
+};
+
+/**
+ * Lock a place row so concurrent writes to its reviews or gallery apply one at a time
+ * Transactions that also lock users take those first, with lockUsers, so locks are
+ * always acquired in the same order.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} placeId - Place ID
+ */
+const lockPlace = async (tx, placeId) => {
+  const place = await tx.$queryRaw`
+    SELECT id FROM "Place" WHERE id = ${placeId} FOR UPDATE
+  `;
+  if (place.length === 0) {
+    throw new NotFoundError('Place not found');
+  }
+};
+
+// Rows of `table` attached to content owned by "User".id
+const receivedCountSql = (table) => {
+  const t = Prisma.raw(`"${table}"`);
+  return Prisma.sql`(
+    (SELECT COUNT(*) FROM ${t} x JOIN "Story" s ON s.id = x."storyId" WHERE s."authorId" = "User".id) +
+    (SELECT COUNT(*) FROM ${t} x JOIN "Place" p ON p.id = x."placeId" WHERE p."createdById" = "User".id) +
+    (SELECT COUNT(*) FROM ${t} x JOIN "Review" r ON r.id = x."reviewId" WHERE r."userId" = "User".id)
+  )::int`;
+};
+
+/**
+ * Recompute likeCount and commentCount from the Like and Comment rows
+ * Callers run this in the same transaction as the write that changed them.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<number|null>} userIds - Content owners whose counters changed; nulls are ignored
+ */
+const refreshEngagementCounts = async (tx, userIds) => {
+  const ids = [...new Set(userIds.filter(id => id !== null && id !== undefined))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  await tx.$executeRaw`
+    UPDATE "User"
+    SET "likeCount" = ${receivedCountSql('Like')},
+        "commentCount" = ${receivedCountSql('Comment')}
+    WHERE id = ANY(${ids})
+  `;
+};
+
+/**
+ * Owners of the content a user has liked or commented on
+ * Used before deleting that user, whose likes and comments cascade away.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId - User ID
+ * @returns {Array<number>} Owner IDs
+ */
+const getEngagedOwnerIds = async (tx, userId) => {
+  const rows = await tx.$queryRaw`
+    SELECT DISTINCT COALESCE(s."authorId", p."createdById", r."userId") AS "ownerId"
+    FROM (
+      SELECT "storyId", "placeId", "reviewId" FROM "Like" WHERE "userId" = ${userId}
+      UNION
+      SELECT "storyId", "placeId", "reviewId" FROM "Comment" WHERE "userId" = ${userId}
+    ) x
+    LEFT JOIN "Story" s ON s.id = x."storyId"
+    LEFT JOIN "Place" p ON p.id = x."placeId"
+    LEFT JOIN "Review" r ON r.id = x."reviewId"
+  `;
+  return rows.map(row => row.ownerId).filter(id => id !== null);
+};
+
+const countLikes = (tx, config, id) => tx.like.count({ where: { [config.column]: id } });
+
+/**
+ * Like a story, place or review; liking twice is a no-op
+ * @param {string} type - 'story', 'place' or 'review'
+ * @param {Object} target - `{ id }`, plus `placeId` for reviews
+ * @param {number} userId - User liking the content
+ * @returns {Object} `{ liked: true, likeCount }`
+ */
+const likeService = async (type, target, userId) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { config, ownerId } = await resolveTarget(tx, type, target);
+      await lockUsers(tx, [ownerId]);
+
+      await tx.like.createMany({
+        data: [{ userId, [config.column]: target.id }],
+        skipDuplicates: true
+      });
+
+      await refreshEngagementCounts(tx, [ownerId]);
+      return { liked: true, likeCount: await countLikes(tx, config, target.id) };
+    });
+  } catch (error) {
+    console.error('Error liking content:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a like; unliking content that was not liked is a no-op
+ * @param {string} type - 'story', 'place' or 'review'
+ * @param {Object} target - `{ id }`, plus `placeId` for reviews
+ * @param {number} userId - User removing the like
+ * @returns {Object} `{ liked: false, likeCount }`
+ */
+const unlikeService = async (type, target, userId) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { config, ownerId } = await resolveTarget(tx, type, target);
+      await lockUsers(tx, [ownerId]);
+
+      await tx.like.deleteMany({ where: { userId, [config.column]: target.id } });
+
+      await refreshEngagementCounts(tx, [ownerId]);
+      return { liked: false, likeCount: await countLikes(tx, config, target.id) };
+    });
+  } catch (error) {
+    console.error('Error unliking content:', error);
+    throw error;
+  }
+};
+
+/**
+ * List comments on a story, place or review, oldest first
+ * @param {string} type - 'story', 'place' or 'review'
+ * @param {Object} target - `{ id }`, plus `placeId` for reviews
+ * @param {Object} options - `limit` and `cursor`
+ * @returns {Object} Page of comments with `nextCursor`
+ */
+const getCommentsService = async (type, target, { limit = 20, cursor } = {}) => {
+  try {
+    const { config } = await resolveTarget(prisma, type, target);
+    const after = decodeCursor(cursor, ['id']);
+
+    const comments = await prisma.comment.findMany({
+      where: {
+        [config.column]: target.id,
+        ...(after && { id: { gt: after.id } })
+      },
+      select: commentSelect,
+      orderBy: { id: 'asc' },
+      take: limit + 1
+    });
+
+    return toPage(comments, limit, comment => ({ id: comment.id }));
+  } catch (error) {
+    console.error('Error getting comments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Comment on a story, place or review
+ * @param {string} type - 'story', 'place' or 'review'
+ * @param {Object} target - `{ id }`, plus `placeId` for reviews
+ * @param {number} userId - Comment author
+ * @param {string} body - Comment text
+ * @returns {Object} Created comment
+ */
+const createCommentService = async (type, target, userId, body) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { config, ownerId } = await resolveTarget(tx, type, target);
+      await lockUsers(tx, [ownerId]);
+
+      const comment = await tx.comment.create({
+        data: { userId, body, [config.column]: target.id },
+        select: commentSelect
+      });
+
+      await refreshEngagementCounts(tx, [ownerId]);
+      return comment;
+    });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single comment
+ * @param {number} commentId - Comment ID
+ * @returns {Object|null} Comment (with `userId`) or null when it does not exist
+ */
+const getCommentByIdService = async (commentId) => {
+  try {
+    return await prisma.comment.findUnique({
+      where: { id: commentId },
+      select: { ...commentSelect, userId: true }
+    });
+  } catch (error) {
+    console.error('Error getting comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edit a comment's text
+ * @param {number} commentId - Comment ID
+ * @param {string} body - New text
+ * @returns {Object} Updated comment
+ */
+const updateCommentService = async (commentId, body) => {
+  try {
+    return await prisma.comment.update({
+      where: { id: commentId },
+      data: { body },
+      select: commentSelect
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a comment and recount its target owner's commentCount
+ * @param {number} commentId - Comment ID
+ * @returns {boolean} Success status
+ */
+const deleteCommentService = async (commentId) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const comment = await tx.comment.findUniqueOrThrow({
+        where: { id: commentId },
+        select: {
+          story: { select: { authorId: true } },
+          place: { select: { createdById: true } },
+          review: { select: { userId: true } }
+        }
+      });
+      const ownerId = comment.story?.authorId ?? comment.place?.createdById ?? comment.review?.userId ?? null;
+      await lockUsers(tx, [ownerId]);
+
+      await tx.comment.delete({ where: { id: commentId } });
+      await refreshEngagementCounts(tx, [ownerId]);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  TARGETS,
+  lockUsers,
+  lockPlace,
+  refreshEngagementCounts,
+  getEngagedOwnerIds,
+  likeService,
+  unlikeService,
+  getCommentsService,
+  createCommentService,
+  getCommentByIdService,
+  updateCommentService,
+  deleteCommentService
+};
@@ -0,0 +1,91 @@
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { storyColumnsSql, activeStorySql, formatStoryRow } = require('./story.service.js');
+
+const prisma = new PrismaClient();
+
+// Stories older than this never reach the feed; bounds the candidate set
+const FEED_WINDOW_DAYS = 30;
+// Radius around the viewer's stored coordinates for nearby stories
+const FEED_NEARBY_RADIUS_METERS = 25000;
+// Each kilometre away costs a nearby story as much rank as being 10 minutes older
+const DECAY_SECONDS_PER_KM = 600;
+
+/**
+ * Home feed: stories from followed users (and the viewer's own) merged with
+ * stories geotagged near the viewer's stored coordinates
+ *
+ * Ranking is recency with a distance decay: score = createdAt (epoch seconds)
+ * minus DECAY_SECONDS_PER_KM per kilometre. Followed stories count as distance 0.
+ * Both candidate branches are bounded by FEED_WINDOW_DAYS and served by indexes
+ * (Story authorId+createdAt and the GiST index on location), so only a window of
+ * recent stories is ever scored. Stories by users the viewer blocked, or who
+ * blocked the viewer, are excluded.
+ *
+ * @param {number} viewerId - Authenticated user ID
+ * @param {Object} options - `limit`, `cursor` and `format`
+ * @returns {Object} Page of stories (each with `source` and `distance`) and `nextCursor`
+ */
+const getFeedService = async (viewerId, { limit = 20, cursor, format = 'json' } = {}) => {
+  try {
+    const after = decodeCursor(cursor, ['score', 'id']);
+    const windowStartSql = Prisma.sql`NOW() - make_interval(days => ${FEED_WINDOW_DAYS}::int)`;
+
+    const rows = await prisma.$queryRaw`
+      WITH viewer AS (
+        SELECT coordinates FROM "User" WHERE id = ${viewerId}
+      ),
+      candidates AS (
+        SELECT s.id, 0::float8 AS distance, 'following' AS source
+        FROM (
+          SELECT ${viewerId}::int AS id
+          UNION ALL
+          SELECT "followingId" FROM "Follow" WHERE "followerId" = ${viewerId}
+        ) followed
+        JOIN "Story" s ON s."authorId" = followed.id AND s."createdAt" >= ${windowStartSql}
+        UNION ALL
+        SELECT s.id, ST_Distance(s.location, viewer.coordinates) AS distance, 'nearby' AS source
+        FROM "Story" s, viewer
+        WHERE viewer.coordinates IS NOT NULL
+          AND s."createdAt" >= ${windowStartSql}
+          AND ST_DWithin(s.location, viewer.coordinates, ${FEED_NEARBY_RADIUS_METERS})
+      ),
+      feed AS (
+        -- A followed story that is also nearby is kept once, as 'following'
+        SELECT DISTINCT ON (id) id, distance, source
+        FROM candidates
+        ORDER BY id, distance, source
+      ),
+      ranked AS (
+        SELECT ${storyColumnsSql(format)}, feed.source, feed.distance,
+          (EXTRACT(EPOCH FROM s."createdAt") - feed.distance / 1000 * ${DECAY_SECONDS_PER_KM})::float8 AS score
+        FROM feed
+        JOIN "Story" s ON s.id = feed.id
+        JOIN "User" author ON author.id = s."authorId"
+        WHERE ${activeStorySql}
+          AND NOT EXISTS (
+            SELECT 1 FROM "Block" b
+            WHERE (b."blockerId" = ${viewerId} AND b."blockedId" = s."authorId")
+               OR (b."blockerId" = s."authorId" AND b."blockedId" = ${viewerId})
+          )
+      )
+      SELECT * FROM ranked
+      ${after ? Prisma.sql`WHERE (score, id) < (${after.score}::float8, ${after.id})` : Prisma.empty}
+      ORDER BY score DESC, id DESC
+      LIMIT ${limit + 1}
+    `;
+
+    const page = toPage(rows, limit, story => ({ score: story.score, id: story.id }));
+    return {
+      ...page,
+      items: page.items.map(({ score, ...story }) => formatStoryRow(story))
+    };
+  } catch (error) {
+    console.error('Error getting feed:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getFeedService
+};
@@ -0,0 +1,215 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { ForbiddenError, NotFoundError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const followUserSelect = {
+  id: true,
+  username: true,
+  fullName: true,
+  avatarUrl: true,
+  bio: true,
+  city: true,
+  country: true
+};
+
+/**
+ * Whether either user has blocked the other
+ * @param {number} userId - One user
+ * @param {number} otherId - The other user
+ * @returns {boolean}
+ */
+const isBlockedEitherWay = async (userId, otherId) => {
+  const blocks = await prisma.block.count({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: otherId },
+        { blockerId: otherId, blockedId: userId }
+      ]
+    }
+  });
+  return blocks > 0;
+};
+
+/**
+ * Follow a user; following twice is a no-op
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User being followed
+ * @returns {Object} `{ following: true, followerCount }` for the followed user
+ */
+const followUserService = async (followerId, followingId) => {
+  try {
+    const target = await prisma.user.findUnique({ where: { id: followingId }, select: { id: true } });
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (await isBlockedEitherWay(followerId, followingId)) {
+      throw new ForbiddenError('You cannot follow this user', 'USER_BLOCKED');
+    }
+
+    await prisma.follow.createMany({
+      data: [{ followerId, followingId }],
+      skipDuplicates: true
+    });
+
+    return {
+      following: true,
+      followerCount: await prisma.follow.count({ where: { followingId } })
+    };
+  } catch (error) {
+    console.error('Error following user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unfollow a user; unfollowing a user who is not followed is a no-op
+ * @param {number} followerId - User who unfollows
+ * @param {number} followingId - User being unfollowed
+ * @returns {Object} `{ following: false, followerCount }` for the unfollowed user
+ */
+const unfollowUserService = async (followerId, followingId) => {
+  try {
+    const target = await prisma.user.findUnique({ where: { id: followingId }, select: { id: true } });
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    await prisma.follow.deleteMany({ where: { followerId, followingId } });
+
+    return {
+      following: false,
+      followerCount: await prisma.follow.count({ where: { followingId } })
+    };
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    throw error;
+  }
+};
+
+/**
+ * List one side of a user's follow graph, most recent first
+ * The cursor is the Follow row id, so pages stay stable while the graph changes.
+ * @param {string} side - 'followers' or 'following'
+ * @param {number} userId - User ID
+ * @param {Object} options - `limit` and `cursor`
+ * @returns {Object} Page of users (each with `followedAt`) and `nextCursor`
+ */
+const listFollows = async (side, userId, { limit = 20, cursor } = {}) => {
+  const after = decodeCursor(cursor, ['id']);
+  const [ownColumn, otherRelation] = side === 'followers'
+    ? ['followingId', 'follower']
+    : ['followerId', 'following'];
+
+  const follows = await prisma.follow.findMany({
+    where: {
+      [ownColumn]: userId,
+      ...(after && { id: { lt: after.id } })
+    },
+    select: {
+      id: true,
+      createdAt: true,
+      [otherRelation]: { select: followUserSelect }
+    },
+    orderBy: { id: 'desc' },
+    take: limit + 1
+  });
+
+  const page = toPage(follows, limit, follow => ({ id: follow.id }));
+  return {
+    ...page,
+    items: page.items.map(follow => ({ ...follow[otherRelation], followedAt: follow.createdAt }))
+  };
+};
+
+/**
+ * List a user's followers, most recent first
+ * @param {number} userId - User ID
+ * @param {Object} options - `limit` and `cursor`
+ * @returns {Object} Page of users with `nextCursor`
+ */
+const getFollowersService = async (userId, options) => {
+  try {
+    return await listFollows('followers', userId, options);
+  } catch (error) {
+    console.error('Error getting followers:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the users a user follows, most recent first
+ * @param {number} userId - User ID
+ * @param {Object} options - `limit` and `cursor`
+ * @returns {Object} Page of users with `nextCursor`
+ */
+const getFollowingService = async (userId, options) => {
+  try {
+    return await listFollows('following', userId, options);
+  } catch (error) {
+    console.error('Error getting followed users:', error);
+    throw error;
+  }
+};
+
+/**
+ * Block a user and remove follows in both directions; blocking twice is a no-op
+ * @param {number} blockerId - User who blocks
+ * @param {number} blockedId - User being blocked
+ * @returns {Object} `{ blocked: true }`
+ */
+const blockUserService = async (blockerId, blockedId) => {
+  try {
+    const target = await prisma.user.findUnique({ where: { id: blockedId }, select: { id: true } });
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    await prisma.$transaction([
+      prisma.block.createMany({
+        data: [{ blockerId, blockedId }],
+        skipDuplicates: true
+      }),
+      prisma.follow.deleteMany({
+        where: {
+          OR: [
+            { followerId: blockerId, followingId: blockedId },
+            { followerId: blockedId, followingId: blockerId }
+          ]
+        }
+      })
+    ]);
+
+    return { blocked: true };
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unblock a user; unblocking a user who is not blocked is a no-op
+ * @param {number} blockerId - User who unblocks
+ * @param {number} blockedId - User being unblocked
+ * @returns {Object} `{ blocked: false }`
+ */
+const unblockUserService = async (blockerId, blockedId) => {
+  try {
+    await prisma.block.deleteMany({ where: { blockerId, blockedId } });
+    return { blocked: false };
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  followUserService,
+  unfollowUserService,
+  getFollowersService,
+  getFollowingService,
+  blockUserService,
+  unblockUserService
+};
@@ -0,0 +1,114 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing mail
+ *
+ * Messages go through a transport, an object with `send(message)`. The built-in
+ * transports are for local use and have to be picked with MAIL_TRANSPORT: `console`
+ * logs each message and `file` writes it as JSON into MAIL_OUTBOX_DIR. Both expose
+ * reset tokens and verification links, so they are refused when NODE_ENV is
+ * production. A production transport (SMTP, an email API) is plugged in with
+ * setMailTransport at startup; without one, sending fails.
+ */
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Log messages to the console
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+/**
+ * Write each message to `<dir>/<timestamp>-<random>.json`
+ * @param {string} dir - Outbox directory, created when missing
+ * @returns {Object} Transport
+ */
+const createFileTransport = (dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+  }
+});
+
+let customTransport = null;
+
+/**
+ * Replace the transport chosen from the environment
+ * @param {Object|null} transport - Object with `send(message)`, or null to go back to MAIL_TRANSPORT
+ */
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+// MAIL_TRANSPORT is read on every send, so tests can switch it per file
+const resolveTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    throw new Error('No mail transport configured: register one with setMailTransport, or set MAIL_TRANSPORT=console or file outside production');
+  }
+  if (!LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}": use console or file, or register a transport with setMailTransport`);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`MAIL_TRANSPORT=${name} would expose reset tokens and verification links; register a real transport with setMailTransport in production`);
+  }
+
+  if (name === 'file') {
+    return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'gigglemap-mail'));
+  }
+  return createConsoleTransport();
+};
+
+/**
+ * Throw unless mail can be sent, so a misconfigured server fails at startup instead of on the first email
+ */
+const assertMailTransport = () => {
+  resolveTransport();
+};
+
+/**
+ * Send an email
+ * @param {Object} message - `to`, `subject` and plain-text `text`
+ */
+const sendMail = async ({ to, subject, text }) => {
+  try {
+    await resolveTransport().send({
+      from: process.env.MAIL_FROM || 'GiggleMap <no-reply@gigglemap.local>',
+      to,
+      subject,
+      text
+    });
+  } catch (error) {
+    console.error('Error sending mail:', error);
+    throw error;
+  }
+};
+
+/**
+ * Absolute URL of an API path, for links in emails
+ * @param {string} pathAndQuery - Path starting with `/`
+ * @returns {string}
+ */
+const apiUrl = (pathAndQuery) => `${(process.env.API_BASE_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathAndQuery}`;
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setMailTransport,
+  assertMailTransport,
+  sendMail,
+  apiUrl
+};
@@ -0,0 +1,130 @@
+const bcrypt = require('bcrypt');
+const { PrismaClient } = require('../../generated/prisma');
+const { generateToken, hashToken } = require('../utils/token.js');
+const { sendMail } = require('./mailer.service.js');
+const { revokeAllSessionsService } = require('./session.service.js');
+const { ValidationError, ForbiddenError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const SALT_ROUNDS = 12;
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Email a password reset token, if an account uses this address
+ * Callers always get the same answer, so the endpoint cannot be used to probe for accounts.
+ * Requesting a new token invalidates the previous unused ones.
+ * @param {string} email - Account email
+ */
+const requestPasswordResetService = async (email) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, username: true }
+    });
+    if (!user) {
+      return;
+    }
+
+    const token = generateToken();
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({ where: { userId: user.id } }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+        }
+      })
+    ]);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your GiggleMap password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `Someone asked to reset your password. Use this token in the app within ${RESET_TOKEN_TTL_MINUTES} minutes;`,
+        'it works once:',
+        '',
+        token,
+        '',
+        'If it was not you, ignore this email; your password stays the same.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set a new password with a reset token and sign the user out everywhere
+ * The token is consumed with a conditional update, so it works at most once even under concurrent requests.
+ * @param {string} token - Reset token from the email
+ * @param {string} newPassword - Plain text password
+ */
+const resetPasswordService = async (token, newPassword) => {
+  try {
+    const password = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    const userId = await prisma.$transaction(async (tx) => {
+      const resetToken = await tx.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        select: { id: true, userId: true }
+      });
+      if (!resetToken) {
+        throw new ValidationError('Invalid or expired reset token', 'INVALID_RESET_TOKEN');
+      }
+
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null, expiresAt: { gt: new Date() } },
+        data: { usedAt: new Date() }
+      });
+      if (count === 0) {
+        throw new ValidationError('Invalid or expired reset token', 'INVALID_RESET_TOKEN');
+      }
+
+      await tx.user.update({ where: { id: resetToken.userId }, data: { password } });
+      return resetToken.userId;
+    });
+
+    await revokeAllSessionsService(userId);
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the password of a signed-in user and end their other sessions
+ * @param {number} userId - User ID
+ * @param {string} currentPassword - Plain text current password
+ * @param {string} newPassword - Plain text new password
+ * @param {Object} options - `sessionId` of the caller, which stays signed in
+ * @returns {number} Number of other sessions revoked
+ */
+const changePasswordService = async (userId, currentPassword, newPassword, { sessionId } = {}) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { password: true } });
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      throw new ForbiddenError('Current password is incorrect', 'INVALID_PASSWORD');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: await bcrypt.hash(newPassword, SALT_ROUNDS) }
+    });
+
+    return await revokeAllSessionsService(userId, { exceptSessionId: sessionId });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  requestPasswordResetService,
+  resetPasswordService,
+  changePasswordService
+};
@@ -0,0 +1,259 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { lockPlace } = require('./engagement.service.js');
+const { ValidationError, NotFoundError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const MAX_PHOTOS_PER_PLACE = 50;
+
+const photoSelect = {
+  id: true,
+  placeId: true,
+  url: true,
+  width: true,
+  height: true,
+  caption: true,
+  position: true,
+  isCover: true,
+  uploadedById: true,
+  createdAt: true
+};
+
+const findPhotoOrThrow = async (tx, placeId, photoId) => {
+  const photo = await tx.placePhoto.findFirst({
+    where: { id: photoId, placeId },
+    select: photoSelect
+  });
+  if (!photo) {
+    throw new NotFoundError('Photo not found');
+  }
+  return photo;
+};
+
+/**
+ * Rewrite positions as 0..n-1 in the given order
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<number>} photoIds - Photo IDs in their new order
+ */
+const writePositions = async (tx, photoIds) => {
+  for (const [position, id] of photoIds.entries()) {
+    await tx.placePhoto.update({ where: { id }, data: { position } });
+  }
+};
+
+/**
+ * List a place's photos in gallery order
+ * @param {number} placeId - Place ID
+ * @returns {Array} Photos ordered by position
+ */
+const getPlacePhotosService = async (placeId) => {
+  try {
+    return await prisma.placePhoto.findMany({
+      where: { placeId },
+      select: photoSelect,
+      orderBy: [{ position: 'asc' }, { id: 'asc' }]
+    });
+  } catch (error) {
+    console.error('Error getting place photos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count a place's photos
+ * @param {number} placeId - Place ID
+ * @returns {number} Photo count
+ */
+const countPlacePhotosService = async (placeId) => {
+  try {
+    return await prisma.placePhoto.count({ where: { placeId } });
+  } catch (error) {
+    console.error('Error counting place photos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Append uploaded photos to the end of a place's gallery
+ * The first photo of an empty gallery becomes its cover.
+ * @param {number} placeId - Place ID
+ * @param {number} uploadedById - Uploader ID
+ * @param {Array<Object>} photos - `{ url, publicId, width, height, caption }` per uploaded image
+ * @returns {Array} Created photos
+ */
+const addPlacePhotosService = async (placeId, uploadedById, photos) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockPlace(tx, placeId);
+
+      const existing = await tx.placePhoto.aggregate({
+        where: { placeId },
+        _count: true,
+        _max: { position: true }
+      });
+      if (existing._count + photos.length > MAX_PHOTOS_PER_PLACE) {
+        throw new ValidationError(
+          `Photo limit reached: a place can have at most ${MAX_PHOTOS_PER_PLACE} photos`,
+          'PHOTO_LIMIT_REACHED'
+        );
+      }
+
+      const hasCover = await tx.placePhoto.count({ where: { placeId, isCover: true } }) > 0;
+      const firstPosition = existing._max.position === null ? 0 : existing._max.position + 1;
+
+      const created = [];
+      for (const [index, photo] of photos.entries()) {
+        created.push(await tx.placePhoto.create({
+          data: {
+            placeId,
+            uploadedById,
+            url: photo.url,
+            publicId: photo.publicId,
+            width: photo.width,
+            height: photo.height,
+            caption: photo.caption || null,
+            position: firstPosition + index,
+            isCover: !hasCover && index === 0
+          },
+          select: photoSelect
+        }));
+      }
+      return created;
+    });
+  } catch (error) {
+    console.error('Error adding place photos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a photo's caption or make it the cover
+ * @param {number} placeId - Place ID
+ * @param {number} photoId - Photo ID
+ * @param {Object} photoData - `caption` and/or `isCover: true`
+ * @returns {Object} Updated photo
+ */
+const updatePlacePhotoService = async (placeId, photoId, { caption, isCover }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockPlace(tx, placeId);
+      await findPhotoOrThrow(tx, placeId, photoId);
+
+      if (isCover) {
+        await tx.placePhoto.updateMany({
+          where: { placeId, isCover: true, NOT: { id: photoId } },
+          data: { isCover: false }
+        });
+      }
+
+      return await tx.placePhoto.update({
+        where: { id: photoId },
+        data: {
+          ...(caption !== undefined && { caption }),
+          ...(isCover && { isCover: true })
+        },
+        select: photoSelect
+      });
+    });
+  } catch (error) {
+    console.error('Error updating place photo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reorder a place's gallery
+ * @param {number} placeId - Place ID
+ * @param {Array<number>} photoIds - Every photo ID of the place, in the new order
+ * @returns {Array} Photos in their new order
+ */
+const reorderPlacePhotosService = async (placeId, photoIds) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockPlace(tx, placeId);
+
+      const current = await tx.placePhoto.findMany({ where: { placeId }, select: { id: true } });
+      const currentIds = new Set(current.map(photo => photo.id));
+      if (photoIds.length !== currentIds.size || new Set(photoIds).size !== photoIds.length ||
+          !photoIds.every(id => currentIds.has(id))) {
+        throw new ValidationError('Invalid photo order: photoIds must list every photo of the place exactly once');
+      }
+
+      await writePositions(tx, photoIds);
+      return await tx.placePhoto.findMany({
+        where: { placeId },
+        select: photoSelect,
+        orderBy: { position: 'asc' }
+      });
+    });
+  } catch (error) {
+    console.error('Error reordering place photos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a photo, closing the gap in positions and promoting a new cover if needed
+ * The Cloudinary asset is left to the caller, once the transaction has committed.
+ * @param {number} placeId - Place ID
+ * @param {number} photoId - Photo ID
+ * @returns {Object} Deleted photo, including its Cloudinary `publicId`
+ */
+const deletePlacePhotoService = async (placeId, photoId) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockPlace(tx, placeId);
+      await findPhotoOrThrow(tx, placeId, photoId);
+
+      const deleted = await tx.placePhoto.delete({
+        where: { id: photoId },
+        select: { ...photoSelect, publicId: true }
+      });
+
+      const remaining = await tx.placePhoto.findMany({
+        where: { placeId },
+        select: { id: true },
+        orderBy: [{ position: 'asc' }, { id: 'asc' }]
+      });
+      await writePositions(tx, remaining.map(photo => photo.id));
+
+      if (deleted.isCover && remaining.length > 0) {
+        await tx.placePhoto.update({ where: { id: remaining[0].id }, data: { isCover: true } });
+      }
+
+      return deleted;
+    });
+  } catch (error) {
+    console.error('Error deleting place photo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cloudinary public IDs of every photo of a place, for cleanup when the place is deleted
+ * @param {number} placeId - Place ID
+ * @returns {Array<string>} Public IDs
+ */
+const getPlacePhotoPublicIdsService = async (placeId) => {
+  try {
+    const photos = await prisma.placePhoto.findMany({
+      where: { placeId },
+      select: { publicId: true }
+    });
+    return photos.map(photo => photo.publicId);
+  } catch (error) {
+    console.error('Error getting place photo IDs:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_PHOTOS_PER_PLACE,
+  getPlacePhotosService,
+  countPlacePhotosService,
+  addPlacePhotosService,
+  updatePlacePhotoService,
+  reorderPlacePhotosService,
+  deletePlacePhotoService,
+  getPlacePhotoPublicIdsService
+};
@@ -1,40 +1,344 @@
-const { PrismaClient } = require('../../generated/prisma');
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+const { geoColumnSql, formatGeoRow } = require('../utils/geo.js');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { lockUsers, refreshEngagementCounts } = require('./engagement.service.js');
+const { PLACES_WITHIN_MAX_RESULTS } = require('../schemas/place.schemas.js');
+const { ValidationError } = require('../utils/errors.js');
 const prisma = new PrismaClient();
 
-const createPlaceService = async ({ name, description, latitude, longitude }) => {
+// Padding (degrees) applied to the index pre-filter envelope, see withinEnvelopeSql
+const BBOX_INDEX_MARGIN = 0.01;
+
+// Full-text configuration used by the generated "searchVector" column
+const SEARCH_CONFIG = 'english';
+
+// Search proximity boost: worth up to PROXIMITY_WEIGHT, halved at PROXIMITY_SCALE_METERS
+const PROXIMITY_WEIGHT = 0.5;
+const PROXIMITY_SCALE_METERS = 5000;
+
+const MAX_TAGS_PER_PLACE = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Columns returned for every place row
+const placeColumnsSql = (format) => Prisma.sql`
+  id, name, description, ${geoColumnSql('location', format)}, "createdById",
+  (SELECT slug FROM "Category" WHERE "Category".id = "Place"."categoryId") AS category,
+  tags, "averageRating", "reviewCount",
+  (SELECT COUNT(*)::int FROM "Like" WHERE "Like"."placeId" = "Place".id) AS "likeCount",
+  (SELECT COUNT(*)::int FROM "Comment" WHERE "Comment"."placeId" = "Place".id) AS "commentCount",
+  (SELECT url FROM "PlacePhoto" WHERE "PlacePhoto"."placeId" = "Place".id AND "isCover" LIMIT 1) AS "coverPhotoUrl"
+`;
+
+const whereSql = (conditions) => (
+  conditions.length > 0 ? Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}` : Prisma.empty
+);
+
+// Lowercase, trim and de-duplicate free-form tags
+const normalizeTags = (tags) => [...new Set(
+  tags
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(tag => tag.length > 0)
+)];
+
+// `categories` match any of the given slugs, `tags` must all be present
+const placeFilterConditions = ({ categories = [], tags = [], minRating } = {}) => {
+  const conditions = [];
+  if (minRating !== undefined) {
+    conditions.push(Prisma.sql`"averageRating" >= ${minRating}`);
+  }
+  if (categories.length > 0) {
+    conditions.push(Prisma.sql`"categoryId" IN (SELECT id FROM "Category" WHERE slug = ANY(${categories}))`);
+  }
+  if (tags.length > 0) {
+    conditions.push(Prisma.sql`tags @> ${tags}::text[]`);
+  }
+  return conditions;
+};
+
+const resolveCategoryId = async (slug) => {
+  if (slug === null) {
+    return null;
+  }
+
+  const result = await prisma.$queryRaw`
+    SELECT id FROM "Category" WHERE slug = ${slug}
+  `;
+  if (result.length === 0) {
+    throw new ValidationError(`Unknown category: ${slug}`, 'UNKNOWN_CATEGORY');
+  }
+  return result[0].id;
+};
+
+const validateTags = (tags) => {
+  const normalized = normalizeTags(tags);
+  if (normalized.length > MAX_TAGS_PER_PLACE) {
+    throw new ValidationError(`Invalid tags: at most ${MAX_TAGS_PER_PLACE} tags are allowed`, 'INVALID_TAGS');
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new ValidationError(`Invalid tags: tags must be at most ${MAX_TAG_LENGTH} characters`, 'INVALID_TAGS');
+  }
+  return normalized;
+};
+
+const createPlaceService = async ({ name, description, latitude, longitude, category = null, tags = [], createdById }) => {
   const location = `SRID=4326;POINT(${longitude} ${latitude})`;
-  await prisma.$executeRaw`
-    INSERT INTO "Place" (name, description, location)
-    VALUES (${name}, ${description}, ST_GeographyFromText(${location}))
+  const categoryId = await resolveCategoryId(category);
+  const result = await prisma.$queryRaw`
+    INSERT INTO "Place" (name, description, location, "categoryId", tags, "createdById")
+    VALUES (${name}, ${description}, ST_GeographyFromText(${location}), ${categoryId}, ${validateTags(tags)}::text[], ${createdById})
+    RETURNING id
   `;
-  return { message: 'Place created successfully' };
+  return { message: 'Place created successfully', place: await getPlaceByIdService(result[0].id) };
 };
 
-const getAllPlacesService = async () => {
-  return await prisma.$queryRaw`
-    SELECT id, name, description, ST_AsText(location) AS location
+const getAllPlacesService = async ({ cursor, limit = 20, filters, format = 'json' } = {}) => {
+  const after = decodeCursor(cursor, ['id']);
+  const conditions = placeFilterConditions(filters);
+  if (after) conditions.push(Prisma.sql`id > ${after.id}`);
+
+  const places = await prisma.$queryRaw`
+    SELECT ${placeColumnsSql(format)}
     FROM "Place"
+    ${whereSql(conditions)}
+    ORDER BY id ASC
+    LIMIT ${limit + 1}
   `;
+
+  const page = toPage(places, limit, place => ({ id: place.id }));
+  return { ...page, items: page.items.map(place => formatGeoRow(place, 'location')) };
 };
 
-const getPlaceByIdService = async (id) => {
+const getPlaceByIdService = async (id, { format = 'json' } = {}) => {
   const result = await prisma.$queryRaw`
-    SELECT id, name, description, ST_AsText(location) AS location
+    SELECT ${placeColumnsSql(format)}
     FROM "Place"
     WHERE id = ${id}
   `;
-  return result[0];
+  return formatGeoRow(result[0], 'location');
 };
 
-const findNearbyPlacesService = async (lat, lng, radius) => {
-  return await prisma.$queryRaw`
-    SELECT id, name, description, ST_AsText(location) AS location
+const updatePlaceService = async (id, { name, description, latitude, longitude, category, tags }) => {
+  const assignments = [];
+
+  if (name !== undefined) assignments.push(Prisma.sql`name = ${name}`);
+  if (description !== undefined) assignments.push(Prisma.sql`description = ${description}`);
+  if (category !== undefined) assignments.push(Prisma.sql`"categoryId" = ${await resolveCategoryId(category)}`);
+  if (tags !== undefined) assignments.push(Prisma.sql`tags = ${validateTags(tags)}::text[]`);
+
+  // Moving a place requires both coordinates
+  if (latitude !== undefined && longitude !== undefined) {
+    const location = `SRID=4326;POINT(${longitude} ${latitude})`;
+    assignments.push(Prisma.sql`location = ST_GeographyFromText(${location})`);
+  }
+
+  if (assignments.length > 0) {
+    await prisma.$executeRaw`
+      UPDATE "Place"
+      SET ${Prisma.join(assignments)}
+      WHERE id = ${id}
+    `;
+  }
+
+  return await getPlaceByIdService(id);
+};
+
+// Likes, comments and reviews (with their own likes and comments) cascade with the place,
+// so the owner's and every reviewer's engagement counters are recomputed in the same transaction.
+const deletePlaceService = async (id) => prisma.$transaction(async (tx) => {
+  const affected = await tx.$queryRaw`
+    SELECT "createdById" AS "userId" FROM "Place" WHERE id = ${id}
+    UNION
+    SELECT "userId" FROM "Review" WHERE "placeId" = ${id}
+  `;
+  const userIds = affected.map(row => row.userId);
+  await lockUsers(tx, userIds);
+
+  const deleted = await tx.$executeRaw`
+    DELETE FROM "Place"
+    WHERE id = ${id}
+  `;
+  await refreshEngagementCounts(tx, userIds);
+  return deleted > 0;
+});
+
+// Pages are keyed on the raw (unrounded) distance plus id, so ties never skip rows.
+// Sorting by rating puts unrated places last and breaks ties by distance.
+const findNearbyPlacesService = async (lat, lng, radius, { cursor, limit = 50, sort = 'distance', filters, format = 'json' } = {}) => {
+  const byRating = sort === 'rating';
+  const after = decodeCursor(cursor, byRating ? ['rating', 'distance', 'id'] : ['distance', 'id']);
+  const distanceSql = Prisma.sql`ST_Distance(location, ST_MakePoint(${lng}, ${lat})::geography)`;
+  const ratingSql = Prisma.sql`COALESCE("averageRating", 0)::float8`;
+
+  const conditions = [
+    Prisma.sql`ST_DWithin(location, ST_MakePoint(${lng}, ${lat})::geography, ${radius})`,
+    ...placeFilterConditions(filters)
+  ];
+  if (after && byRating) {
+    conditions.push(Prisma.sql`(-${ratingSql}, ${distanceSql}, id) > (${-after.rating}::float8, ${after.distance}::float8, ${after.id}::int)`);
+  } else if (after) {
+    conditions.push(Prisma.sql`(${distanceSql}, id) > (${after.distance}::float8, ${after.id}::int)`);
+  }
+
+  const places = await prisma.$queryRaw`
+    SELECT
+      ${placeColumnsSql(format)},
+      ${distanceSql} AS distance,
+      ${ratingSql} AS "sortRating"
+    FROM "Place"
+    ${whereSql(conditions)}
+    ORDER BY ${byRating ? Prisma.sql`"sortRating" DESC, distance ASC, id ASC` : Prisma.sql`distance ASC, id ASC`}
+    LIMIT ${limit + 1}
+  `;
+
+  const page = toPage(places, limit, place => (byRating
+    ? { rating: place.sortRating, distance: place.distance, id: place.id }
+    : { distance: place.distance, id: place.id }));
+
+  return {
+    ...page,
+    items: page.items.map(({ sortRating, ...place }) => formatGeoRow(place, 'location'))
+  };
+};
+
+// K nearest places regardless of distance; `<->` on geography is served by "Place_location_idx"
+const findNearestPlacesService = async (lat, lng, k, { format = 'json' } = {}) => {
+  const places = await prisma.$queryRaw`
+    SELECT
+      ${placeColumnsSql(format)},
+      ST_Distance(
+        location,
+        ST_MakePoint(${lng}, ${lat})::geography
+      ) AS distance
     FROM "Place"
-    WHERE ST_DWithin(
-      location,
-      ST_MakePoint(${lng}, ${lat})::geography,
-      ${radius}
+    ORDER BY location <-> ST_MakePoint(${lng}, ${lat})::geography, id ASC
+    LIMIT ${k}
+  `;
+  return places.map(place => formatGeoRow(place, 'location'));
+};
+
+// Ranks full-text matches ("searchVector") together with pg_trgm similarity so
+// misspelled names still match. Snippets are only built for the rows on the page.
+const searchPlacesService = async (q, { lat, lng, cursor, limit = 20, format = 'json' } = {}) => {
+  const after = decodeCursor(cursor, ['score', 'id']);
+  const config = Prisma.raw(`'${SEARCH_CONFIG}'`);
+  const hasCenter = lat !== undefined && lng !== undefined;
+
+  const proximitySql = hasCenter
+    ? Prisma.sql`+ ${PROXIMITY_WEIGHT} / (1 + ST_Distance(location, ST_MakePoint(${lng}, ${lat})::geography) / ${PROXIMITY_SCALE_METERS})`
+    : Prisma.empty;
+
+  const places = await prisma.$queryRaw`
+    WITH query AS (
+      SELECT websearch_to_tsquery(${config}, ${q}) AS tsq
+    ),
+    ranked AS (
+      SELECT
+        "Place".id AS match_id,
+        (
+          ts_rank("searchVector", query.tsq)
+          + GREATEST(similarity(name, ${q}), 0.5 * word_similarity(${q}, COALESCE(description, '')))
+          ${proximitySql}
+        )::float8 AS score
+      FROM "Place", query
+      WHERE "searchVector" @@ query.tsq
+        OR name % ${q}
+        OR ${q} <% description
+    ),
+    page AS (
+      SELECT match_id, score
+      FROM ranked
+      ${after ? Prisma.sql`WHERE score < ${after.score}::float8 OR (score = ${after.score}::float8 AND match_id > ${after.id}::int)` : Prisma.empty}
+      ORDER BY score DESC, match_id ASC
+      LIMIT ${limit + 1}
     )
+    SELECT
+      ${placeColumnsSql(format)},
+      page.score,
+      ts_headline(${config}, name, query.tsq, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS "nameHighlight",
+      CASE WHEN description IS NULL THEN NULL
+        ELSE ts_headline(${config}, description, query.tsq, 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10')
+      END AS "descriptionHighlight"
+    FROM "Place"
+    JOIN page ON page.match_id = "Place".id
+    CROSS JOIN query
+    ORDER BY page.score DESC, page.match_id ASC
+  `;
+
+  const page = toPage(places, limit, place => ({ score: place.score, id: place.id }));
+  return {
+    ...page,
+    items: page.items.map(({ nameHighlight, descriptionHighlight, ...place }) => ({
+      ...formatGeoRow(place, 'location'),
+      highlights: { name: nameHighlight, description: descriptionHighlight }
+    }))
+  };
+};
+
+// A viewport whose west edge is east of its east edge crosses the antimeridian
+const splitBbox = ({ minLng, minLat, maxLng, maxLat }) => {
+  if (minLng <= maxLng) {
+    return [[minLng, minLat, maxLng, maxLat]];
+  }
+  return [
+    [minLng, minLat, 180, maxLat],
+    [-180, minLat, maxLng, maxLat]
+  ];
+};
+
+// Geography `&&` hits "Place_location_idx", but a geography envelope has great-circle
+// edges that bow away from the parallels. The index test therefore runs against a
+// padded, segmentized envelope and the exact lng/lat box is checked on geometry.
+const withinEnvelopeSql = ([minLng, minLat, maxLng, maxLat]) => {
+  const padded = [
+    Math.max(minLng - BBOX_INDEX_MARGIN, -180),
+    Math.max(minLat - BBOX_INDEX_MARGIN, -90),
+    Math.min(maxLng + BBOX_INDEX_MARGIN, 180),
+    Math.min(maxLat + BBOX_INDEX_MARGIN, 90)
+  ];
+  return Prisma.sql`(
+    location && ST_Segmentize(ST_MakeEnvelope(${padded[0]}, ${padded[1]}, ${padded[2]}, ${padded[3]}, 4326), 1)::geography
+    AND ST_Intersects(location::geometry, ST_MakeEnvelope(${minLng}, ${minLat}, ${maxLng}, ${maxLat}, 4326))
+  )`;
+};
+
+const findPlacesWithinBoundsService = async (bbox, { cursor, limit = PLACES_WITHIN_MAX_RESULTS, filters, format = 'json' } = {}) => {
+  const cappedLimit = Math.min(limit, PLACES_WITHIN_MAX_RESULTS);
+  const after = decodeCursor(cursor, ['id']);
+  const envelopes = splitBbox(bbox).map(withinEnvelopeSql);
+
+  const conditions = [
+    Prisma.sql`(${Prisma.join(envelopes, ' OR ')})`,
+    ...placeFilterConditions(filters)
+  ];
+  if (after) conditions.push(Prisma.sql`id > ${after.id}`);
+
+  const places = await prisma.$queryRaw`
+    SELECT ${placeColumnsSql(format)}
+    FROM "Place"
+    ${whereSql(conditions)}
+    ORDER BY id
+    LIMIT ${cappedLimit + 1}
+  `;
+
+  // A viewport with more places than fit in one page is truncated
+  const page = toPage(places, cappedLimit, place => ({ id: place.id }));
+  return {
+    places: page.items.map(place => formatGeoRow(place, 'location')),
+    truncated: page.nextCursor !== null,
+    nextCursor: page.nextCursor
+  };
+};
+
+// Every category with the number of places inside the radius (zero counts included)
+const getCategoryCountsService = async (lat, lng, radius) => {
+  return await prisma.$queryRaw`
+    SELECT c.slug, c.name, COUNT(p.id)::int AS count
+    FROM "Category" c
+    LEFT JOIN "Place" p
+      ON p."categoryId" = c.id
+      AND ST_DWithin(p.location, ST_MakePoint(${lng}, ${lat})::geography, ${radius})
+    GROUP BY c.id
+    ORDER BY count DESC, c.name ASC
   `;
 };
 
@@ -54,27 +358,39 @@ const seedTestPlaces = async () => {
       name: 'City Square',
       description: 'A center point',
       lat: 30.033333,
-      lng: 31.233334
+      lng: 31.233334,
+      category: 'landmark',
+      tags: ['outdoor', 'meeting-point']
     },
     {
       name: 'Library Park',
       description: 'Quiet place with trees',
       lat: 30.040000,
-      lng: 31.220000
+      lng: 31.220000,
+      category: 'park',
+      tags: ['outdoor', 'quiet']
     },
     {
       name: 'Food Plaza',
       description: 'Famous for street food',
       lat: 30.050000,
-      lng: 31.245000
+      lng: 31.245000,
+      category: 'restaurant',
+      tags: ['street-food', 'outdoor']
     }
   ];
 
   for (const p of testPlaces) {
     const loc = `SRID=4326;POINT(${p.lng} ${p.lat})`;
     await prisma.$executeRaw`
-      INSERT INTO "Place" (name, description, location)
-      VALUES (${p.name}, ${p.description}, ST_GeographyFromText(${loc}))
+      INSERT INTO "Place" (name, description, location, "categoryId", tags)
+      VALUES (
+        ${p.name},
+        ${p.description},
+        ST_GeographyFromText(${loc}),
+        (SELECT id FROM "Category" WHERE slug = ${p.category}),
+        ${p.tags}::text[]
+      )
     `;
   }
 };
@@ -83,7 +399,14 @@ module.exports = {
   createPlaceService,
   getAllPlacesService,
   getPlaceByIdService,
+  updatePlaceService,
+  deletePlaceService,
   findNearbyPlacesService,
+  findNearestPlacesService,
+  findPlacesWithinBoundsService,
+  searchPlacesService,
+  getCategoryCountsService,
+  normalizeTags,
   getDistanceService,
   seedTestPlaces
 };
\ No newline at end of file
@@ -0,0 +1,304 @@
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+
+/**
+ * Counters for rate limiting and login lockout
+ *
+ * Counts live in a store, an object with `increment(key, windowMs)`, `get(key)`
+ * and `delete(key)` for fixed windows, and `take(key, bucket)` for token buckets.
+ * A fixed window starts with its first hit, and the count starts over once
+ * `resetAt` has passed. A token bucket holds up to `capacity` tokens, refills at
+ * `refillPerSecond` and each request takes one. The `memory` store keeps the
+ * counts in this process; `postgres` shares them between instances through the
+ * RateLimitBucket and RateLimitTokenBucket tables. RATE_LIMIT_STORE picks one, or
+ * setRateLimitStore plugs in another (Redis, for example) at startup.
+ */
+
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = 60 * 60;
+
+// Codes a two-factor login challenge may be answered with before it has to be requested again
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 3;
+
+// Expired entries are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Token buckets untouched this long are full again and can be dropped; quotas must refill faster
+const TOKEN_BUCKET_IDLE_MS = 60 * 60 * 1000;
+
+/**
+ * Keep counts in a Map in this process
+ * @returns {Object} Store
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    lastSweep = now;
+    for (const [key, entry] of entries) {
+      if (entry.resetAt.getTime() <= now) {
+        entries.delete(key);
+      }
+    }
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt >= TOKEN_BUCKET_IDLE_MS) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt.getTime() <= now) {
+        entry = { count: 0, resetAt: new Date(now + windowMs) };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.resetAt.getTime() <= Date.now()) {
+        return null;
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    take: async (key, { capacity, refillPerSecond }) => {
+      const now = Date.now();
+      sweep(now);
+
+      const bucket = buckets.get(key);
+      const tokens = bucket
+        ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+        : capacity;
+      if (tokens < 1) {
+        return { allowed: false, tokens };
+      }
+      buckets.set(key, { tokens: tokens - 1, updatedAt: now });
+      return { allowed: true, tokens: tokens - 1 };
+    }
+  };
+};
+
+/**
+ * Keep counts in the RateLimitBucket and RateLimitTokenBucket tables, shared by every instance
+ * Increments and takes are a single upsert each, so concurrent requests never lose a hit.
+ * @param {Object} client - Prisma client, a new one by default
+ * @returns {Object} Store
+ */
+const createPostgresStore = (client = new PrismaClient()) => {
+  let lastSweep = 0;
+
+  const sweep = async () => {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    lastSweep = Date.now();
+    await client.$executeRaw`DELETE FROM "RateLimitBucket" WHERE "resetAt" <= NOW()`;
+    await client.$executeRaw`
+      DELETE FROM "RateLimitTokenBucket"
+      WHERE "updatedAt" <= NOW() - make_interval(secs => ${TOKEN_BUCKET_IDLE_MS / 1000}::float8)
+    `;
+  };
+
+  // Tokens in a bucket now, counting the refill since it was last taken from
+  const refilledSql = (capacity, refillPerSecond) => Prisma.sql`LEAST(
+    ${capacity}::float8,
+    bucket.tokens + EXTRACT(EPOCH FROM NOW() - bucket."updatedAt")::float8 * ${refillPerSecond}::float8
+  )`;
+
+  return {
+    increment: async (key, windowMs) => {
+      await sweep();
+
+      const [entry] = await client.$queryRaw`
+        INSERT INTO "RateLimitBucket" (key, count, "resetAt")
+        VALUES (${key}, 1, NOW() + make_interval(secs => ${windowMs / 1000}::float8))
+        ON CONFLICT (key) DO UPDATE SET
+          count = CASE WHEN "RateLimitBucket"."resetAt" <= NOW() THEN 1 ELSE "RateLimitBucket".count + 1 END,
+          "resetAt" = CASE
+            WHEN "RateLimitBucket"."resetAt" <= NOW() THEN EXCLUDED."resetAt"
+            ELSE "RateLimitBucket"."resetAt"
+          END
+        RETURNING count, "resetAt"
+      `;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async (key) => {
+      const [entry] = await client.$queryRaw`
+        SELECT count, "resetAt" FROM "RateLimitBucket" WHERE key = ${key} AND "resetAt" > NOW()
+      `;
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    delete: async (key) => {
+      await client.$executeRaw`DELETE FROM "RateLimitBucket" WHERE key = ${key}`;
+    },
+    take: async (key, { capacity, refillPerSecond }) => {
+      await sweep();
+
+      // The update only happens when a token is left, so no returned row means the request is denied
+      const refilled = refilledSql(capacity, refillPerSecond);
+      const [taken] = await client.$queryRaw`
+        INSERT INTO "RateLimitTokenBucket" AS bucket (key, tokens, "updatedAt")
+        VALUES (${key}, ${capacity - 1}::float8, NOW())
+        ON CONFLICT (key) DO UPDATE SET tokens = ${refilled} - 1, "updatedAt" = NOW()
+        WHERE ${refilled} >= 1
+        RETURNING tokens
+      `;
+      if (taken) {
+        return { allowed: true, tokens: taken.tokens };
+      }
+
+      const [bucket] = await client.$queryRaw`
+        SELECT ${refilled} AS tokens FROM "RateLimitTokenBucket" AS bucket WHERE key = ${key}
+      `;
+      return { allowed: false, tokens: bucket ? bucket.tokens : 0 };
+    }
+  };
+};
+
+let store = null;
+
+/**
+ * Replace the store chosen from RATE_LIMIT_STORE
+ * @param {Object|null} customStore - Store, or null to go back to RATE_LIMIT_STORE
+ */
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+// Created on first use, so a process that never rate limits never opens a connection for it
+const resolveStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'postgres' ? createPostgresStore() : createMemoryStore();
+  }
+  return store;
+};
+
+const secondsUntil = date => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Count one hit against a limit
+ * @param {string} key - What is limited, e.g. `login:ip:203.0.113.7`
+ * @param {Object} limit - `max` hits per `windowMs`
+ * @returns {Object} `{ allowed, limit, remaining, resetAt, retryAfter }`; `retryAfter` is in seconds
+ */
+const consumeRateLimit = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await resolveStore().increment(key, windowMs);
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt,
+    retryAfter: secondsUntil(resetAt)
+  };
+};
+
+/**
+ * Take a token from a bucket
+ * @param {string} key - What is limited, e.g. `api:user:42`
+ * @param {Object} bucket - `capacity` (the burst allowed) and `refillPerSecond`
+ * @returns {Object} `{ allowed, limit, remaining, resetAfter, retryAfter }`; `resetAfter` is the
+ *   seconds until the bucket is full again and `retryAfter` the seconds until the next token
+ */
+const consumeTokenBucket = async (key, { capacity, refillPerSecond }) => {
+  const { allowed, tokens } = await resolveStore().take(key, { capacity, refillPerSecond });
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(tokens),
+    resetAfter: Math.ceil((capacity - tokens) / refillPerSecond),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerSecond))
+  };
+};
+
+/**
+ * Seconds until an account may try to log in again
+ * @param {number} userId - User ID
+ * @returns {number} 0 when the account is not locked
+ */
+const getLoginLockoutService = async (userId) => {
+  const lock = await resolveStore().get(`login:lock:${userId}`);
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+/**
+ * Count a failed password and lock the account once there are too many
+ * From the LOGIN_LOCKOUT_THRESHOLD-th failure within an hour each one locks the
+ * account, for a minute at first and twice as long every time after, up to an hour.
+ * @param {number} userId - User ID
+ * @returns {number} Seconds the account is now locked for, or 0
+ */
+const recordLoginFailureService = async (userId) => {
+  const { count } = await resolveStore().increment(`login:failures:${userId}`, LOGIN_FAILURE_WINDOW_MS);
+  if (count < LOGIN_LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const seconds = Math.min(
+    LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (count - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_SECONDS
+  );
+  const lock = await resolveStore().increment(`login:lock:${userId}`, seconds * 1000);
+  return secondsUntil(lock.resetAt);
+};
+
+/**
+ * Forget failed passwords after a successful one
+ * @param {number} userId - User ID
+ */
+const clearLoginFailuresService = async (userId) => {
+  await resolveStore().delete(`login:failures:${userId}`);
+};
+
+/**
+ * Count an attempt at answering a two-factor login challenge
+ * @param {string} challengeId - Random id carried by the challenge token
+ * @param {number} ttlMs - Lifetime of the challenge; its counts are kept that long
+ * @returns {boolean} false once the challenge was answered correctly or has had
+ *   LOGIN_CHALLENGE_MAX_ATTEMPTS attempts
+ */
+const consumeLoginChallengeAttemptService = async (challengeId, ttlMs) => {
+  if (await resolveStore().get(`login-2fa:used:${challengeId}`)) {
+    return false;
+  }
+  const { count } = await resolveStore().increment(`login-2fa:attempts:${challengeId}`, ttlMs);
+  return count <= LOGIN_CHALLENGE_MAX_ATTEMPTS;
+};
+
+/**
+ * Mark a two-factor login challenge as answered, so it cannot be answered again
+ * @param {string} challengeId - Random id carried by the challenge token
+ * @param {number} ttlMs - Lifetime of the challenge
+ * @returns {boolean} false when a concurrent request already used it
+ */
+const spendLoginChallengeService = async (challengeId, ttlMs) => {
+  const { count } = await resolveStore().increment(`login-2fa:used:${challengeId}`, ttlMs);
+  return count === 1;
+};
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  setRateLimitStore,
+  consumeRateLimit,
+  consumeTokenBucket,
+  getLoginLockoutService,
+  recordLoginFailureService,
+  clearLoginFailuresService,
+  consumeLoginChallengeAttemptService,
+  spendLoginChallengeService
+};
@@ -0,0 +1,180 @@
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { lockUsers, lockPlace, refreshEngagementCounts } = require('./engagement.service.js');
+const { ConflictError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const reviewSelect = {
+  id: true,
+  placeId: true,
+  rating: true,
+  body: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: { likes: true, comments: true }
+  },
+  user: {
+    select: {
+      id: true,
+      username: true,
+      fullName: true,
+      avatarUrl: true
+    }
+  }
+};
+
+/**
+ * Recompute the rating aggregates stored on places
+ * Callers run this in the same transaction as the review write.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<number>} placeIds - Places whose reviews changed
+ */
+const refreshPlaceRatings = async (tx, placeIds) => {
+  for (const placeId of new Set(placeIds)) {
+    await tx.$executeRaw`
+      UPDATE "Place"
+      SET "averageRating" = (SELECT AVG(rating)::float8 FROM "Review" WHERE "placeId" = ${placeId}),
+          "reviewCount" = (SELECT COUNT(*)::int FROM "Review" WHERE "placeId" = ${placeId})
+      WHERE id = ${placeId}
+    `;
+  }
+};
+
+/**
+ * List reviews for a place, newest first
+ * @param {number} placeId - Place ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - Cursor from a previous page
+ * @returns {Object} Page of reviews with `nextCursor`
+ */
+const getPlaceReviewsService = async (placeId, { limit = 20, cursor } = {}) => {
+  try {
+    const after = decodeCursor(cursor, ['id']);
+    const reviews = await prisma.review.findMany({
+      where: {
+        placeId,
+        ...(after && { id: { lt: after.id } })
+      },
+      select: reviewSelect,
+      orderBy: { id: 'desc' },
+      take: limit + 1
+    });
+
+    return toPage(reviews, limit, review => ({ id: review.id }));
+  } catch (error) {
+    console.error('Error getting place reviews:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single review
+ * @param {number} reviewId - Review ID
+ * @returns {Object|null} Review or null when it does not exist
+ */
+const getReviewByIdService = async (reviewId) => {
+  try {
+    return await prisma.review.findUnique({
+      where: { id: reviewId },
+      select: { ...reviewSelect, userId: true }
+    });
+  } catch (error) {
+    console.error('Error getting review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a review, one per user per place
+ * @param {number} placeId - Place ID
+ * @param {number} userId - Author ID
+ * @param {Object} reviewData - `rating` (1-5) and optional `body`
+ * @returns {Object} Created review
+ */
+const createReviewService = async (placeId, userId, { rating, body }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockPlace(tx, placeId);
+
+      const review = await tx.review.create({
+        data: { placeId, userId, rating, body: body || null },
+        select: reviewSelect
+      });
+
+      await refreshPlaceRatings(tx, [placeId]);
+      return review;
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+      throw new ConflictError('You have already reviewed this place', 'ALREADY_REVIEWED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Update a review
+ * @param {number} reviewId - Review ID
+ * @param {Object} reviewData - `rating` and/or `body`
+ * @returns {Object} Updated review
+ */
+const updateReviewService = async (reviewId, { rating, body }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { placeId } = await tx.review.findUniqueOrThrow({ where: { id: reviewId } });
+      await lockPlace(tx, placeId);
+
+      const review = await tx.review.update({
+        where: { id: reviewId },
+        data: {
+          ...(rating !== undefined && { rating }),
+          ...(body !== undefined && { body })
+        },
+        select: reviewSelect
+      });
+
+      await refreshPlaceRatings(tx, [placeId]);
+      return review;
+    });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a review
+ * Likes and comments on the review cascade, so its author's engagement counters are recomputed too.
+ * @param {number} reviewId - Review ID
+ * @returns {boolean} Success status
+ */
+const deleteReviewService = async (reviewId) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const { placeId, userId } = await tx.review.findUniqueOrThrow({ where: { id: reviewId } });
+      // Users before the place, the order deletePlaceService and deleteUserService lock in
+      await lockUsers(tx, [userId]);
+      await lockPlace(tx, placeId);
+      await tx.review.delete({ where: { id: reviewId } });
+      await refreshPlaceRatings(tx, [placeId]);
+      await refreshEngagementCounts(tx, [userId]);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  refreshPlaceRatings,
+  getPlaceReviewsService,
+  getReviewByIdService,
+  createReviewService,
+  updateReviewService,
+  deleteReviewService
+};
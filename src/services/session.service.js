@@ -0,0 +1,217 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('../../generated/prisma');
+const { generateToken, hashToken } = require('../utils/token.js');
+const { UnauthorizedError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ * The role claim is informational for clients; authorization reads the current role from the database.
+ * @param {Object} user - User with `id`, `username` and `role`
+ * @param {number} sessionId - Session ID
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * Sign a token for one purpose other than API access (email verification, login challenges)
+ * The audience keeps purposes apart; such tokens carry no session, so they never authenticate requests.
+ * @param {Object} payload - Claims
+ * @param {string} audience - Purpose
+ * @param {string} expiresIn - Lifetime, e.g. '5m'
+ * @returns {string} JWT
+ */
+const signPurposeToken = (payload, audience, expiresIn) => jwt.sign(payload, JWT_SECRET, { audience, expiresIn });
+
+/**
+ * Verify a token signed by signPurposeToken for the same purpose
+ * @param {string} token - JWT
+ * @param {string} audience - Expected purpose
+ * @returns {Object} Decoded payload
+ */
+const verifyPurposeToken = (token, audience) => jwt.verify(token, JWT_SECRET, { audience });
+
+/**
+ * Build the token pair handed to clients
+ * The refresh token is `<sessionId>.<secret>`; only a hash of the secret is stored.
+ */
+const issueTokens = (user, sessionId, secret) => ({
+  token: signAccessToken(user, sessionId),
+  refreshToken: `${sessionId}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [id, secret, ...rest] = String(refreshToken || '').split('.');
+  const sessionId = Number(id);
+  if (!Number.isInteger(sessionId) || sessionId < 1 || !secret || rest.length > 0) {
+    throw new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just proved their identity
+ * @param {Object} user - User with `id`, `username` and `role`
+ * @param {Object} options - `userAgent` of the device
+ * @returns {Object} `{ token, refreshToken, expiresIn }`
+ */
+const createSessionService = async (user, { userAgent } = {}) => {
+  try {
+    const secret = generateToken();
+
+    // Expired sessions are only kept around until the user signs in again
+    await prisma.session.deleteMany({ where: { userId: user.id, expiresAt: { lt: new Date() } } });
+
+    const session = await prisma.session.create({
+      data: {
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: userAgent || null,
+        expiresAt: refreshExpiry()
+      },
+      select: { id: true }
+    });
+
+    return issueTokens(user, session.id, secret);
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ * Presenting the refresh token that was just rotated away means it was copied, so the
+ * whole session is revoked and both holders have to sign in again. Any other wrong
+ * secret is only rejected: session ids are guessable, so it must not end the session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Object} `{ token, refreshToken, expiresIn }`
+ */
+const refreshSessionService = async (refreshToken) => {
+  try {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const secretHash = hashToken(secret);
+    const nextSecret = generateToken();
+    const now = new Date();
+
+    // Conditional update, so two concurrent refreshes with the same token cannot both win
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        refreshTokenHash: secretHash,
+        revokedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousRefreshTokenHash: secretHash,
+        expiresAt: refreshExpiry(),
+        lastUsedAt: now
+      }
+    });
+
+    if (count === 0) {
+      await prisma.session.updateMany({
+        where: { id: sessionId, previousRefreshTokenHash: secretHash, revokedAt: null, expiresAt: { gt: now } },
+        data: { revokedAt: now }
+      });
+      throw new UnauthorizedError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { user: { select: { id: true, username: true, role: true } } }
+    });
+    return issueTokens(session.user, sessionId, nextSecret);
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load an active session and its user, for authenticating a request
+ * @param {number} sessionId - Session ID from the access token
+ * @param {Object} userSelect - Prisma select for the user
+ * @returns {Object|null} User, or null when the session is revoked, expired or gone
+ */
+const getSessionUserService = async (sessionId, userSelect) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true, user: { select: userSelect } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return session.user;
+};
+
+/**
+ * Revoke one session (logout)
+ * @param {number} sessionId - Session ID
+ */
+const revokeSessionService = async (sessionId) => {
+  try {
+    await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every session of a user (logout everywhere)
+ * @param {number} userId - User ID
+ * @param {Object} options - `exceptSessionId` keeps one session (the caller's) alive
+ * @returns {number} Number of sessions revoked
+ */
+const revokeAllSessionsService = async (userId, { exceptSessionId } = {}) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId !== undefined && { id: { not: exceptSessionId } })
+      },
+      data: { revokedAt: new Date() }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  verifyAccessToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  createSessionService,
+  refreshSessionService,
+  getSessionUserService,
+  revokeSessionService,
+  revokeAllSessionsService
+};
@@ -0,0 +1,207 @@
+const { PrismaClient, Prisma } = require('../../generated/prisma');
+const { geoColumnSql, formatGeoRow } = require('../utils/geo.js');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { lockUsers, refreshEngagementCounts } = require('./engagement.service.js');
+const { NotFoundError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+// Columns returned for every story row; callers join "User" AS author
+const storyColumnsSql = (format) => Prisma.sql`
+  s.id, s.text, s."mediaUrl", s."placeId",
+  (SELECT name FROM "Place" WHERE "Place".id = s."placeId") AS "placeName",
+  ${geoColumnSql('s.location', format)},
+  s."expiresAt", s."createdAt",
+  (SELECT COUNT(*)::int FROM "Like" WHERE "Like"."storyId" = s.id) AS "likeCount",
+  (SELECT COUNT(*)::int FROM "Comment" WHERE "Comment"."storyId" = s.id) AS "commentCount",
+  s."authorId", author.username AS "authorUsername",
+  author."fullName" AS "authorFullName", author."avatarUrl" AS "authorAvatarUrl"
+`;
+
+const activeStorySql = Prisma.sql`(s."expiresAt" IS NULL OR s."expiresAt" > NOW())`;
+
+// Nest the flat author/place columns of a story row
+const formatStoryRow = (row) => {
+  const {
+    placeId, placeName, authorId, authorUsername, authorFullName, authorAvatarUrl, ...story
+  } = formatGeoRow(row, 'location');
+
+  return {
+    ...story,
+    place: placeId === null ? null : { id: placeId, name: placeName },
+    author: {
+      id: authorId,
+      username: authorUsername,
+      fullName: authorFullName,
+      avatarUrl: authorAvatarUrl
+    }
+  };
+};
+
+/**
+ * Whether a story is past its expiry
+ * @param {Object} story - Story with `expiresAt`
+ * @returns {boolean}
+ */
+const isStoryExpired = (story) => story.expiresAt !== null && new Date(story.expiresAt) <= new Date();
+
+/**
+ * Get a single story, expired or not
+ * @param {number} storyId - Story ID
+ * @param {Object} options - `format` ('json' or 'geojson')
+ * @returns {Object|null} Story or null when it does not exist
+ */
+const getStoryByIdService = async (storyId, { format = 'json' } = {}) => {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT ${storyColumnsSql(format)}
+      FROM "Story" s
+      JOIN "User" author ON author.id = s."authorId"
+      WHERE s.id = ${storyId}
+    `;
+    return rows.length > 0 ? formatStoryRow(rows[0]) : null;
+  } catch (error) {
+    console.error('Error getting story:', error);
+    throw error;
+  }
+};
+
+/**
+ * List a user's stories, newest first
+ * @param {number} authorId - Author ID
+ * @param {Object} options - `limit`, `cursor`, `includeExpired` and `format`
+ * @returns {Object} Page of stories with `nextCursor`
+ */
+const getUserStoriesService = async (authorId, { limit = 20, cursor, includeExpired = false, format = 'json' } = {}) => {
+  try {
+    const after = decodeCursor(cursor, ['id']);
+    const conditions = [Prisma.sql`s."authorId" = ${authorId}`];
+    if (!includeExpired) conditions.push(activeStorySql);
+    if (after) conditions.push(Prisma.sql`s.id < ${after.id}`);
+
+    const rows = await prisma.$queryRaw`
+      SELECT ${storyColumnsSql(format)}
+      FROM "Story" s
+      JOIN "User" author ON author.id = s."authorId"
+      WHERE ${Prisma.join(conditions, ' AND ')}
+      ORDER BY s.id DESC
+      LIMIT ${limit + 1}
+    `;
+
+    const page = toPage(rows, limit, story => ({ id: story.id }));
+    return { ...page, items: page.items.map(formatStoryRow) };
+  } catch (error) {
+    console.error('Error getting user stories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a story and bump the author's storyCount in the same transaction
+ * A linked place's location is copied onto the story so geo queries never join places.
+ * @param {number} authorId - Author ID
+ * @param {Object} storyData - `text`, `mediaUrl`, `mediaPublicId`, `placeId` or `latitude`/`longitude`, `expiresAt`
+ * @returns {Object} Created story
+ */
+const createStoryService = async (authorId, { text, mediaUrl, mediaPublicId, placeId, latitude, longitude, expiresAt }) => {
+  try {
+    const storyId = await prisma.$transaction(async (tx) => {
+      let inserted;
+      if (placeId !== undefined) {
+        inserted = await tx.$queryRaw`
+          INSERT INTO "Story" ("authorId", text, "mediaUrl", "mediaPublicId", "placeId", location, "expiresAt")
+          SELECT ${authorId}, ${text}, ${mediaUrl}, ${mediaPublicId}, id, location, ${expiresAt}
+          FROM "Place"
+          WHERE id = ${placeId}
+          RETURNING id
+        `;
+        if (inserted.length === 0) {
+          throw new NotFoundError('Place not found');
+        }
+      } else {
+        const locationSql = latitude !== undefined
+          ? Prisma.sql`ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography`
+          : Prisma.sql`NULL`;
+        inserted = await tx.$queryRaw`
+          INSERT INTO "Story" ("authorId", text, "mediaUrl", "mediaPublicId", location, "expiresAt")
+          VALUES (${authorId}, ${text}, ${mediaUrl}, ${mediaPublicId}, ${locationSql}, ${expiresAt})
+          RETURNING id
+        `;
+      }
+
+      await tx.user.update({
+        where: { id: authorId },
+        data: { storyCount: { increment: 1 } }
+      });
+
+      return inserted[0].id;
+    });
+
+    return await getStoryByIdService(storyId);
+  } catch (error) {
+    console.error('Error creating story:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a story and decrement the author's storyCount in the same transaction
+ * Likes and comments on the story cascade, so the author's engagement counters are recomputed too.
+ * @param {number} storyId - Story ID
+ * @returns {Object} Deleted story's `authorId` and `mediaPublicId`, for media cleanup
+ */
+const deleteStoryService = async (storyId) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // The author's counters are locked before the delete cascades to the story's likes and comments
+      const story = await tx.story.findUnique({ where: { id: storyId }, select: { authorId: true } });
+      await lockUsers(tx, [story && story.authorId]);
+
+      const deleted = await tx.story.delete({
+        where: { id: storyId },
+        select: { authorId: true, mediaPublicId: true }
+      });
+
+      await tx.user.update({
+        where: { id: deleted.authorId },
+        data: { storyCount: { decrement: 1 } }
+      });
+      await refreshEngagementCounts(tx, [deleted.authorId]);
+
+      return deleted;
+    });
+  } catch (error) {
+    console.error('Error deleting story:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cloudinary public IDs of a user's story media, for cleanup when the account is deleted
+ * @param {number} authorId - Author ID
+ * @returns {Array<string>} Public IDs
+ */
+const getUserStoryMediaIdsService = async (authorId) => {
+  try {
+    const stories = await prisma.story.findMany({
+      where: { authorId, mediaPublicId: { not: null } },
+      select: { mediaPublicId: true }
+    });
+    return stories.map(story => story.mediaPublicId);
+  } catch (error) {
+    console.error('Error getting story media IDs:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  storyColumnsSql,
+  activeStorySql,
+  formatStoryRow,
+  isStoryExpired,
+  getStoryByIdService,
+  getUserStoriesService,
+  createStoryService,
+  deleteStoryService,
+  getUserStoryMediaIdsService
+};
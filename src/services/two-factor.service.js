@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { PrismaClient } = require('../../generated/prisma');
+const { hashToken } = require('../utils/token.js');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp.js');
+const { signPurposeToken, verifyPurposeToken } = require('./session.service.js');
+const {
+  getLoginLockoutService,
+  recordLoginFailureService,
+  clearLoginFailuresService,
+  consumeLoginChallengeAttemptService,
+  spendLoginChallengeService
+} = require('./rate-limit.service.js');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'GiggleMap';
+const LOGIN_CHALLENGE_AUDIENCE = 'login-challenge';
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are typed by hand: lowercase, unambiguous characters, e.g. `k3f9x-2mq7d`
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Array<string>} Plain codes, shown to the user once
+ */
+const issueRecoveryCodes = async (tx, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await tx.recoveryCode.deleteMany({ where: { userId } });
+  await tx.recoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+  });
+  return codes;
+};
+
+/**
+ * Accept a TOTP code once; a code replayed within its window is rejected
+ * @returns {boolean}
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = verifyTotp(user.totpSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+    },
+    data: { totpLastUsedStep: step }
+  });
+  return count === 1;
+};
+
+/**
+ * Accept a recovery code once
+ * @returns {boolean}
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+};
+
+/**
+ * Start TOTP enrollment with a new secret
+ * Calling it again before confirming replaces the pending secret.
+ * @param {number} userId - User ID
+ * @returns {Object} `{ secret, otpauthUri }`; the URI is the QR code payload
+ */
+const setupTwoFactorService = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, totpEnabled: true }
+    });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { totpSecret: secret, totpLastUsedStep: null }
+    });
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    };
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} `{ recoveryCodes }`, shown to the user once
+ */
+const confirmTwoFactorService = async (userId, code) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, totpSecret: true, totpEnabled: true, totpLastUsedStep: true }
+    });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.totpSecret) {
+      throw new ConflictError('Two-factor setup has not been started', 'TWO_FACTOR_SETUP_NOT_STARTED');
+    }
+    if (!(await consumeTotpCode(user, code))) {
+      throw new ValidationError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({ where: { id: userId }, data: { totpEnabled: true } });
+      return issueRecoveryCodes(tx, userId);
+    });
+
+    return { recoveryCodes };
+  } catch (error) {
+    console.error('Error confirming two-factor authentication:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the recovery codes; needs a current TOTP code
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} `{ recoveryCodes }`
+ */
+const regenerateRecoveryCodesService = async (userId, code) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, totpSecret: true, totpEnabled: true }
+    });
+    if (!user || !user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!(await consumeTotpCode(user, code))) {
+      throw new ValidationError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = await prisma.$transaction(tx => issueRecoveryCodes(tx, userId));
+    return { recoveryCodes };
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Turn two-factor authentication off; needs the account password
+ * @param {number} userId - User ID
+ * @param {string} password - Plain text password
+ */
+const disableTwoFactorService = async (userId, password) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { password: true } });
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      throw new ForbiddenError('Current password is incorrect', 'INVALID_PASSWORD');
+    }
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: { totpSecret: null, totpEnabled: false, totpLastUsedStep: null }
+      })
+    ]);
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    throw error;
+  }
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * Its random `challengeId` lets each challenge be answered once, with a few attempts.
+ * @param {Object} user - User with `id`
+ * @returns {string} Challenge token
+ */
+const createLoginChallenge = (user) => signPurposeToken(
+  { userId: user.id, challengeId: crypto.randomUUID() },
+  LOGIN_CHALLENGE_AUDIENCE,
+  LOGIN_CHALLENGE_TTL_SECONDS
+);
+
+const invalidChallengeError = () => new UnauthorizedError('Invalid or expired login challenge', 'INVALID_LOGIN_CHALLENGE');
+
+const accountLockedError = retryAfter => new TooManyRequestsError(
+  'Too many failed login attempts, try again later',
+  retryAfter,
+  'ACCOUNT_LOCKED'
+);
+
+/**
+ * Second login step: check the challenge and a TOTP or recovery code
+ * A challenge works once and takes a few attempts; wrong codes also count as failed
+ * logins of the account, so guessing from many IP addresses locks it like wrong passwords do.
+ * @param {string} challengeToken - Token from the password step
+ * @param {Object} proof - `code` (TOTP) or `recoveryCode`
+ * @returns {number} ID of the user who passed both steps
+ */
+const verifyLoginChallengeService = async (challengeToken, { code, recoveryCode }) => {
+  try {
+    let payload;
+    try {
+      payload = verifyPurposeToken(challengeToken, LOGIN_CHALLENGE_AUDIENCE);
+    } catch (error) {
+      throw invalidChallengeError();
+    }
+    if (typeof payload.challengeId !== 'string') {
+      throw invalidChallengeError();
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: { id: true, totpSecret: true, totpEnabled: true }
+    });
+    if (!user || !user.totpEnabled) {
+      throw invalidChallengeError();
+    }
+
+    const lockedFor = await getLoginLockoutService(user.id);
+    if (lockedFor > 0) {
+      throw accountLockedError(lockedFor);
+    }
+
+    const ttlMs = LOGIN_CHALLENGE_TTL_SECONDS * 1000;
+    if (!(await consumeLoginChallengeAttemptService(payload.challengeId, ttlMs))) {
+      throw invalidChallengeError();
+    }
+
+    const accepted = recoveryCode
+      ? await consumeRecoveryCode(user.id, recoveryCode)
+      : await consumeTotpCode(user, code);
+    if (!accepted) {
+      const lockedNowFor = await recordLoginFailureService(user.id);
+      if (lockedNowFor > 0) {
+        throw accountLockedError(lockedNowFor);
+      }
+      throw new UnauthorizedError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    if (!(await spendLoginChallengeService(payload.challengeId, ttlMs))) {
+      throw invalidChallengeError();
+    }
+    await clearLoginFailuresService(user.id);
+
+    return user.id;
+  } catch (error) {
+    console.error('Error verifying login challenge:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  setupTwoFactorService,
+  confirmTwoFactorService,
+  regenerateRecoveryCodesService,
+  disableTwoFactorService,
+  createLoginChallenge,
+  verifyLoginChallengeService
+};
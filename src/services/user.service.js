@@ -1,6 +1,17 @@
-const { PrismaClient } = require('../../generated/prisma');
+const { PrismaClient, Prisma } = require('../../generated/prisma');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const { geoColumnSql, formatGeoRow } = require('../utils/geo.js');
+const { decodeCursor, toPage } = require('../utils/pagination.js');
+const { refreshPlaceRatings } = require('./review.service.js');
+const { lockUsers, refreshEngagementCounts, getEngagedOwnerIds } = require('./engagement.service.js');
+const { createSessionService } = require('./session.service.js');
+const { createLoginChallenge, verifyLoginChallengeService } = require('./two-factor.service.js');
+const {
+  getLoginLockoutService,
+  recordLoginFailureService,
+  clearLoginFailuresService
+} = require('./rate-limit.service.js');
+const { UnauthorizedError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors.js');
 
 const prisma = new PrismaClient();
 
@@ -22,7 +33,7 @@ const createUserService = async ({ username, email, password, fullName }) => {
     });
 
     if (existingUser) {
-      throw new Error('User with this email or username already exists');
+      throw new ConflictError('User with this email or username already exists', 'USER_EXISTS');
     }
 
     // Hash password
@@ -41,6 +52,8 @@ const createUserService = async ({ username, email, password, fullName }) => {
         id: true,
         username: true,
         email: true,
+        emailVerified: true,
+        role: true,
         fullName: true,
         avatarUrl: true,
         bio: true,
@@ -65,13 +78,45 @@ const createUserService = async ({ username, email, password, fullName }) => {
   }
 };
 
+/**
+ * Start a session for a fully authenticated user
+ * @param {Object} user - Full user row
+ * @param {string} userAgent - Device of the login
+ * @returns {Object} User data (without credentials), access token and refresh token
+ */
+const signIn = async (user, userAgent) => {
+  const tokens = await createSessionService(user, { userAgent });
+
+  // Return user without password and other credentials
+  const {
+    password: _, totpSecret: __, totpLastUsedStep: ___, verificationEmailSentAt: ____,
+    ...userWithoutPassword
+  } = user;
+  return { user: userWithoutPassword, ...tokens };
+};
+
+const loginLockedError = retryAfter => new TooManyRequestsError(
+  'Too many failed login attempts, try again later',
+  retryAfter,
+  'ACCOUNT_LOCKED'
+);
+
+const invalidCredentialsError = () => new UnauthorizedError(
+  'Invalid email/username or password',
+  'INVALID_CREDENTIALS'
+);
+
 /**
  * Authenticate user login
+ * Users with two-factor authentication get a short-lived `challengeToken` instead of
+ * a session, to be completed with completeTwoFactorLoginService.
+ * Repeated wrong passwords lock the account for a growing time (see recordLoginFailureService).
  * @param {string} emailOrUsername - Email or username
  * @param {string} password - Plain text password
- * @returns {Object} User data and JWT token
+ * @param {Object} options - `userAgent` of the signing-in device
+ * @returns {Object} User data, access token and refresh token, or `{ twoFactorRequired, challengeToken }`
  */
-const loginUserService = async (emailOrUsername, password) => {
+const loginUserService = async (emailOrUsername, password, { userAgent } = {}) => {
   try {
     // Find user by email or username
     const user = await prisma.user.findFirst({
@@ -84,45 +129,80 @@ const loginUserService = async (emailOrUsername, password) => {
     });
 
     if (!user) {
-      throw new Error('Invalid credentials');
+      throw invalidCredentialsError();
+    }
+
+    // A locked account rejects even the right password, so guessing gains nothing until it unlocks
+    const lockedFor = await getLoginLockoutService(user.id);
+    if (lockedFor > 0) {
+      throw loginLockedError(lockedFor);
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
-      throw new Error('Invalid credentials');
+      const lockedNowFor = await recordLoginFailureService(user.id);
+      if (lockedNowFor > 0) {
+        throw loginLockedError(lockedNowFor);
+      }
+      throw invalidCredentialsError();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    await clearLoginFailuresService(user.id);
+
+    if (user.totpEnabled) {
+      return { twoFactorRequired: true, challengeToken: createLoginChallenge(user) };
+    }
 
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return { user: userWithoutPassword, token };
+    return await signIn(user, userAgent);
   } catch (error) {
     console.error('Error during login:', error);
     throw error;
   }
 };
 
+/**
+ * Second login step for users with two-factor authentication
+ * @param {string} challengeToken - Token from loginUserService
+ * @param {Object} proof - `code` (TOTP) or `recoveryCode`
+ * @param {Object} options - `userAgent` of the signing-in device
+ * @returns {Object} User data, access token and refresh token
+ */
+const completeTwoFactorLoginService = async (challengeToken, proof, { userAgent } = {}) => {
+  try {
+    const userId = await verifyLoginChallengeService(challengeToken, proof);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    return await signIn(user, userAgent);
+  } catch (error) {
+    console.error('Error completing two-factor login:', error);
+    throw error;
+  }
+};
+
 /**
  * Get user profile by ID (public view)
  * @param {number} userId - User ID
+ * @param {Object} options - `viewerId` of an authenticated caller, adds `isFollowedByMe`
  * @returns {Object} Public user profile
  */
-const getUserProfileService = async (userId) => {
+const getUserProfileService = async (userId, { viewerId } = {}) => {
   try {
+    const followedByViewerSql = viewerId === undefined
+      ? Prisma.empty
+      : Prisma.sql`, EXISTS (
+          SELECT 1 FROM "Follow" WHERE "followerId" = ${viewerId} AND "followingId" = "User".id
+        ) AS "isFollowedByMe"`;
+
     const user = await prisma.$queryRaw`
       SELECT 
         id, username, "fullName", "avatarUrl", bio, website,
         instagram, twitter, facebook, city, country,
         "storyCount", "likeCount", "commentCount",
+        (SELECT COUNT(*)::int FROM "Follow" WHERE "followingId" = "User".id) AS "followerCount",
+        (SELECT COUNT(*)::int FROM "Follow" WHERE "followerId" = "User".id) AS "followingCount",
         "createdAt", "updatedAt",
-        ST_AsText(coordinates) AS coordinates
+        ${geoColumnSql('coordinates', 'json')}
+        ${followedByViewerSql}
       FROM "User"
       WHERE id = ${userId}
     `;
@@ -131,7 +211,7 @@ const getUserProfileService = async (userId) => {
       return null;
     }
 
-    return user[0];
+    return formatGeoRow(user[0], 'coordinates');
   } catch (error) {
     console.error('Error getting user profile:', error);
     throw error;
@@ -194,36 +274,57 @@ const updateUserProfileService = async (userId, updateData) => {
 /**
  * Search users by username or full name
  * @param {string} query - Search query
- * @param {number} limit - Maximum results to return
- * @returns {Array} Array of matching users
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum results to return
+ * @param {string} options.cursor - Cursor from a previous page
+ * @returns {Object} Page of matching users with `nextCursor`
  */
-const searchUsersService = async (query, limit = 20) => {
+const searchUsersService = async (query, { limit = 20, cursor } = {}) => {
   try {
+    const after = decodeCursor(cursor, ['rank', 'storyCount', 'likeCount', 'id']);
     const searchTerm = `%${query.toLowerCase()}%`;
     
+    // Counts sort descending, so they are negated to compare the whole key as one row
     const users = await prisma.$queryRaw`
-      SELECT 
-        id, username, "fullName", "avatarUrl", bio,
-        city, country, "storyCount", "likeCount", "commentCount",
-        ST_AsText(coordinates) AS coordinates
-      FROM "User"
-      WHERE 
-        LOWER(username) LIKE ${searchTerm} OR 
-        LOWER("fullName") LIKE ${searchTerm}
+      SELECT * FROM (
+        SELECT 
+          id, username, "fullName", "avatarUrl", bio,
+          city, country, "storyCount", "likeCount", "commentCount",
+          ${geoColumnSql('coordinates', 'json')},
+          CASE 
+            WHEN LOWER(username) = ${query.toLowerCase()} THEN 1
+            WHEN LOWER("fullName") = ${query.toLowerCase()} THEN 2
+            WHEN LOWER(username) LIKE ${`${query.toLowerCase()}%`} THEN 3
+            WHEN LOWER("fullName") LIKE ${`${query.toLowerCase()}%`} THEN 4
+            ELSE 5
+          END AS rank
+        FROM "User"
+        WHERE 
+          LOWER(username) LIKE ${searchTerm} OR 
+          LOWER("fullName") LIKE ${searchTerm}
+      ) matches
+      ${after
+        ? Prisma.sql`WHERE (rank, -"storyCount", -"likeCount", id) > (${after.rank}, ${-after.storyCount}, ${-after.likeCount}, ${after.id})`
+        : Prisma.empty}
       ORDER BY 
-        CASE 
-          WHEN LOWER(username) = ${query.toLowerCase()} THEN 1
-          WHEN LOWER("fullName") = ${query.toLowerCase()} THEN 2
-          WHEN LOWER(username) LIKE ${`${query.toLowerCase()}%`} THEN 3
-          WHEN LOWER("fullName") LIKE ${`${query.toLowerCase()}%`} THEN 4
-          ELSE 5
-        END,
+        rank,
         "storyCount" DESC,
-        "likeCount" DESC
-      LIMIT ${limit}
+        "likeCount" DESC,
+        id ASC
+      LIMIT ${limit + 1}
     `;
 
-    return users;
+    const page = toPage(users, limit, user => ({
+      rank: user.rank,
+      storyCount: user.storyCount,
+      likeCount: user.likeCount,
+      id: user.id
+    }));
+
+    return {
+      ...page,
+      items: page.items.map(({ rank, ...user }) => formatGeoRow(user, 'coordinates'))
+    };
   } catch (error) {
     console.error('Error searching users:', error);
     throw error;
@@ -235,20 +336,23 @@ const searchUsersService = async (query, limit = 20) => {
  * @param {number} latitude - User's latitude
  * @param {number} longitude - User's longitude
  * @param {number} radius - Search radius in meters
- * @param {number} limit - Maximum results to return
- * @returns {Array} Array of nearby users
+ * @param {Object} options - Pagination and output options
+ * @param {number} options.limit - Maximum results to return
+ * @param {string} options.cursor - Cursor from a previous page
+ * @param {string} options.format - 'json' for `{ lat, lng }` coordinates, 'geojson' for GeoJSON geometry
+ * @returns {Object} Page of nearby users with `nextCursor`
  */
-const getNearbyUsersService = async (latitude, longitude, radius = 10000, limit = 50) => {
+const getNearbyUsersService = async (latitude, longitude, radius = 10000, { limit = 50, cursor, format = 'json' } = {}) => {
   try {
-    return await prisma.$queryRaw`
+    const after = decodeCursor(cursor, ['distance', 'id']);
+    const distanceSql = Prisma.sql`ST_Distance(coordinates, ST_MakePoint(${longitude}, ${latitude})::geography)`;
+
+    const users = await prisma.$queryRaw`
       SELECT 
         id, username, "fullName", "avatarUrl", bio,
         city, country, "storyCount", "likeCount", "commentCount",
-        ST_AsText(coordinates) AS coordinates,
-        ST_Distance(
-          coordinates,
-          ST_MakePoint(${longitude}, ${latitude})::geography
-        ) AS distance
+        ${geoColumnSql('coordinates', format)},
+        ${distanceSql} AS distance
       FROM "User"
       WHERE 
         coordinates IS NOT NULL AND
@@ -257,9 +361,13 @@ const getNearbyUsersService = async (latitude, longitude, radius = 10000, limit
           ST_MakePoint(${longitude}, ${latitude})::geography,
           ${radius}
         )
-      ORDER BY distance ASC
-      LIMIT ${limit}
+        ${after ? Prisma.sql`AND (${distanceSql}, id) > (${after.distance}::float8, ${after.id}::int)` : Prisma.empty}
+      ORDER BY distance ASC, id ASC
+      LIMIT ${limit + 1}
     `;
+
+    const page = toPage(users, limit, user => ({ distance: user.distance, id: user.id }));
+    return { ...page, items: page.items.map(user => formatGeoRow(user, 'coordinates')) };
   } catch (error) {
     console.error('Error finding nearby users:', error);
     throw error;
@@ -267,45 +375,48 @@ const getNearbyUsersService = async (latitude, longitude, radius = 10000, limit
 };
 
 /**
- * Update user engagement stats
+ * Change a user's role
  * @param {number} userId - User ID
- * @param {string} statType - Type of stat ('storyCount', 'likeCount', 'commentCount')
- * @param {number} increment - Amount to increment (can be negative)
- * @returns {Object} Updated user stats
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {Object|null} `{ id, username, role }`, or null when the user does not exist
  */
-const updateUserStatsService = async (userId, statType, increment = 1) => {
+const setUserRoleService = async (userId, role) => {
   try {
-    const validStats = ['storyCount', 'likeCount', 'commentCount'];
-    if (!validStats.includes(statType)) {
-      throw new Error(`Invalid stat type: ${statType}`);
+    const { count } = await prisma.user.updateMany({ where: { id: userId }, data: { role } });
+    if (count === 0) {
+      return null;
     }
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, role: true }
+    });
+  } catch (error) {
+    console.error('Error setting user role:', error);
+    throw error;
+  }
+};
 
-    if (statType === 'storyCount') {
-      await prisma.$executeRaw`
-        UPDATE "User" 
-        SET "storyCount" = GREATEST(0, "storyCount" + ${increment}),
-            "updatedAt" = NOW()
-        WHERE id = ${userId}
-      `;
-    } else if (statType === 'likeCount') {
-      await prisma.$executeRaw`
-        UPDATE "User" 
-        SET "likeCount" = GREATEST(0, "likeCount" + ${increment}),
-            "updatedAt" = NOW()
-        WHERE id = ${userId}
-      `;
-    } else if (statType === 'commentCount') {
-      await prisma.$executeRaw`
-        UPDATE "User" 
-        SET "commentCount" = GREATEST(0, "commentCount" + ${increment}),
-            "updatedAt" = NOW()
+/**
+ * Recompute a user's engagement stats from their stories, likes and comments
+ * The counters are kept up to date by every write; this repairs them after manual data changes.
+ * @param {number} userId - User ID
+ * @returns {Object} User profile with recomputed stats
+ */
+const recountUserStatsService = async (userId) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await lockUsers(tx, [userId]);
+      await tx.$executeRaw`
+        UPDATE "User"
+        SET "storyCount" = (SELECT COUNT(*)::int FROM "Story" WHERE "authorId" = ${userId})
         WHERE id = ${userId}
       `;
-    }
+      await refreshEngagementCounts(tx, [userId]);
+    });
 
     return await getUserProfileService(userId);
   } catch (error) {
-    console.error('Error updating user stats:', error);
+    console.error('Error recounting user stats:', error);
     throw error;
   }
 };
@@ -317,8 +428,24 @@ const updateUserStatsService = async (userId, statType, increment = 1) => {
  */
 const deleteUserService = async (userId) => {
   try {
-    await prisma.user.delete({
-      where: { id: userId }
+    await prisma.$transaction(async (tx) => {
+      // Reviews cascade with the user, so their places need fresh rating aggregates
+      const reviews = await tx.review.findMany({
+        where: { userId },
+        select: { placeId: true }
+      });
+
+      // So do the user's likes and comments, which fed other users' engagement counters.
+      // Every user row is locked, the deleted one included, before any place row is written.
+      const ownerIds = (await getEngagedOwnerIds(tx, userId)).filter(id => id !== userId);
+      await lockUsers(tx, [userId, ...ownerIds]);
+
+      await tx.user.delete({
+        where: { id: userId }
+      });
+
+      await refreshPlaceRatings(tx, reviews.map(review => review.placeId));
+      await refreshEngagementCounts(tx, ownerIds);
     });
     return true;
   } catch (error) {
@@ -347,7 +474,7 @@ const getUserEngagementService = async (userId) => {
     });
 
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found');
     }
 
     return user;
@@ -360,11 +487,13 @@ const getUserEngagementService = async (userId) => {
 module.exports = {
   createUserService,
   loginUserService,
+  completeTwoFactorLoginService,
   getUserProfileService,
   updateUserProfileService,
   searchUsersService,
   getNearbyUsersService,
-  updateUserStatsService,
+  recountUserStatsService,
+  setUserRoleService,
   deleteUserService,
   getUserEngagementService
 }; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { PrismaClient } = require('../../generated/prisma');
+const { sendMail, apiUrl } = require('./mailer.service.js');
+const { signPurposeToken, verifyPurposeToken } = require('./session.service.js');
+const { ValidationError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors.js');
+
+const prisma = new PrismaClient();
+
+const VERIFICATION_AUDIENCE = 'email-verification';
+const VERIFICATION_TOKEN_EXPIRES_IN = '24h';
+const RESEND_INTERVAL_SECONDS = 60;
+
+/**
+ * Actions unverified users may not perform, from UNVERIFIED_EMAIL_BLOCKS
+ * A comma-separated list such as `story:create,place:create`; empty allows everything.
+ * Read on every call so the policy can change without a restart in tests.
+ * @returns {Set<string>}
+ */
+const getUnverifiedEmailBlocks = () => new Set(
+  (process.env.UNVERIFIED_EMAIL_BLOCKS || '')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean)
+);
+
+/**
+ * Email a signed verification link
+ * The token is bound to the address, so it stops working if the address changes.
+ * @param {Object} user - User with `id`, `username` and `email`
+ */
+const sendVerificationEmailService = async (user) => {
+  try {
+    const token = signPurposeToken(
+      { userId: user.id, email: user.email },
+      VERIFICATION_AUDIENCE,
+      VERIFICATION_TOKEN_EXPIRES_IN
+    );
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { verificationEmailSentAt: new Date() }
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your GiggleMap email',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Confirm your email address by opening this link within 24 hours:',
+        apiUrl(`/users/verify-email?token=${encodeURIComponent(token)}`)
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark the email of a verification token as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Object} `{ id, email, emailVerified }`
+ */
+const verifyEmailService = async (token) => {
+  try {
+    let payload;
+    try {
+      payload = verifyPurposeToken(token, VERIFICATION_AUDIENCE);
+    } catch (error) {
+      throw new ValidationError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    const { count } = await prisma.user.updateMany({
+      where: { id: payload.userId, email: payload.email },
+      data: { emailVerified: true }
+    });
+    if (count === 0) {
+      throw new ValidationError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    return { id: payload.userId, email: payload.email, emailVerified: true };
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send another verification email, at most once per RESEND_INTERVAL_SECONDS
+ * The throttle is claimed with a conditional update, so parallel requests send one email.
+ * @param {number} userId - User ID
+ */
+const resendVerificationEmailService = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, email: true, emailVerified: true }
+    });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.emailVerified) {
+      throw new ConflictError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { verificationEmailSentAt: null },
+          { verificationEmailSentAt: { lt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) } }
+        ]
+      },
+      data: { verificationEmailSentAt: new Date() }
+    });
+    if (count === 0) {
+      throw new TooManyRequestsError('Verification email sent recently, try again later', RESEND_INTERVAL_SECONDS);
+    }
+
+    await sendVerificationEmailService(user);
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getUnverifiedEmailBlocks,
+  sendVerificationEmailService,
+  verifyEmailService,
+  resendVerificationEmailService
+};
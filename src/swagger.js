@@ -1,47 +1,124 @@
-const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { mounts } = require('./routes/index.js');
+const placeSchemas = require('./schemas/place.schemas.js');
+const userSchemas = require('./schemas/user.schemas.js');
+const storySchemas = require('./schemas/story.schemas.js');
+const feedSchemas = require('./schemas/feed.schemas.js');
+const { Review } = require('./schemas/review.schemas.js');
+const { Photo } = require('./schemas/photo.schemas.js');
+const { Comment } = require('./schemas/engagement.schemas.js');
+const { latLng } = require('./schemas/common.schemas.js');
+const { generateOpenApi } = require('./utils/openapi.js');
 
-const options = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'GiggleMap API',
-      version: '1.0.0',
-      description: 'A social mapping platform API with user profiles and location-based features',
-    },
-    servers: [
-      {
-        url: process.env.API_BASE_URL || 'http://localhost:3000',
-        description: 'Development server',
+// Every route is documented from its route schemas, under the path server.js mounts it at
+const generated = generateOpenApi(mounts, {
+  LatLng: latLng,
+  Place: placeSchemas.Place,
+  PlaceWithDistance: placeSchemas.PlaceWithDistance,
+  PlaceSearchResult: placeSchemas.PlaceSearchResult,
+  PlaceFeature: placeSchemas.PlaceFeature,
+  PlaceWithDistanceFeature: placeSchemas.PlaceWithDistanceFeature,
+  PlaceSearchResultFeature: placeSchemas.PlaceSearchResultFeature,
+  PublicUser: userSchemas.PublicUser,
+  CurrentUser: userSchemas.CurrentUser,
+  Account: userSchemas.Account,
+  UserSummary: userSchemas.UserSummary,
+  NearbyUser: userSchemas.NearbyUser,
+  NearbyUserFeature: userSchemas.NearbyUserFeature,
+  FollowUser: userSchemas.FollowUser,
+  Story: storySchemas.Story,
+  StoryFeature: storySchemas.StoryFeature,
+  FeedStory: feedSchemas.FeedStory,
+  FeedStoryFeature: feedSchemas.FeedStoryFeature,
+  Review,
+  Photo,
+  Comment
+});
+
+const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'GiggleMap API',
+    version: '1.0.0',
+    description: 'A social mapping platform API with user profiles and location-based features',
+  },
+  servers: [
+    {
+      url: process.env.API_BASE_URL || 'http://localhost:3000',
+      description: 'Development server',
+    },
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
       },
-    ],
-    components: {
-      securitySchemes: {
-        bearerAuth: {
-          type: 'http',
-          scheme: 'bearer',
-          bearerFormat: 'JWT',
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'code'],
+        properties: {
+          error: { type: 'string', description: 'Human-readable message' },
+          code: { type: 'string', description: 'Stable machine-readable code, e.g. NOT_FOUND or TOKEN_EXPIRED' },
+          details: {
+            type: 'array',
+            description: 'For VALIDATION_ERROR, every invalid field',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['params', 'query', 'body'] },
+                field: { type: 'string', description: 'Dotted path, e.g. `latitude` or `tags.0`' },
+                message: { type: 'string' },
+              },
+            },
+          },
         },
       },
+      ...generated.schemas,
     },
-    tags: [
-      {
-        name: 'Users',
-        description: 'User management and profile operations',
-      },
-      {
-        name: 'Places',
-        description: 'Place management and location operations',
-      },
-    ],
   },
-  apis: ['./src/routes/*.js'],
+  tags: [
+    {
+      name: 'Users',
+      description: 'User management and profile operations',
+    },
+    {
+      name: 'Places',
+      description: 'Place management and location operations',
+    },
+    {
+      name: 'Reviews',
+      description: 'Place reviews and star ratings',
+    },
+    {
+      name: 'Photos',
+      description: 'Place photo galleries',
+    },
+    {
+      name: 'Stories',
+      description: 'Geotagged user stories',
+    },
+    {
+      name: 'Engagement',
+      description: 'Likes and comments on stories, places and reviews',
+    },
+    {
+      name: 'Feed',
+      description: 'Personalized home feed',
+    },
+  ],
+  paths: generated.paths,
 };
 
-const specs = swaggerJsdoc(options);
-
 const setupSwagger = (app) => {
-  app.use('/docs', swaggerUi.serve, swaggerUi.setup(specs));
+  app.get('/openapi.json', (req, res) => res.json(openApiSpec));
+  app.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
 };
 
-module.exports = setupSwagger;
\ No newline at end of file
+module.exports = {
+  setupSwagger,
+  openApiSpec
+};
\ No newline at end of file
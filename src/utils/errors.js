@@ -0,0 +1,71 @@
+/**
+ * Errors with an HTTP meaning
+ *
+ * Services and controllers throw these, and the error middleware turns them into
+ * `{ error, code }` responses with the class's status. `error` is for people and
+ * may change; `code` is stable and meant for clients to branch on. Any other error
+ * is a bug and becomes a 500.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message, sent as `error`
+   * @param {Object} options - `status`, `code`, and `details` sent along with them
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Each subclass takes a message and an optional code that is more specific than the default
+class ValidationError extends AppError {
+  constructor(message, code = 'VALIDATION_ERROR', details) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { status: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 409, code });
+  }
+}
+
+// `retryAfter` in seconds becomes the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, code = 'RATE_LIMITED') {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,84 @@
+const { Prisma } = require('../../generated/prisma');
+
+const GEOJSON_MEDIA_TYPE = 'application/geo+json';
+
+/**
+ * Resolve the representation requested by the client
+ * `?format=geojson|json` wins over the Accept header; plain JSON is the default.
+ * @param {Object} req - Express request
+ * @returns {string} - 'geojson' or 'json'
+ */
+const resolveGeoFormat = (req) => {
+  const { format } = req.query;
+  if (format === 'geojson' || format === 'json') {
+    return format;
+  }
+
+  return req.accepts(['application/json', GEOJSON_MEDIA_TYPE]) === GEOJSON_MEDIA_TYPE ? 'geojson' : 'json';
+};
+
+/**
+ * Build the SELECT expression for a geography column
+ * @param {string} column - Trusted column reference (never user input)
+ * @param {string} format - 'geojson' or 'json'
+ * @returns {Prisma.Sql} - `geometry` for GeoJSON, `lat`/`lng` otherwise
+ */
+const geoColumnSql = (column, format) => {
+  const col = Prisma.raw(column);
+  if (format === 'geojson') {
+    return Prisma.sql`ST_AsGeoJSON(${col})::json AS geometry`;
+  }
+  return Prisma.sql`ST_Y(${col}::geometry) AS lat, ST_X(${col}::geometry) AS lng`;
+};
+
+/**
+ * Fold the `lat`/`lng` columns of a row into a single `{ lat, lng }` property
+ * Rows selected for GeoJSON are returned untouched.
+ * @param {Object} row - Raw query row
+ * @param {string} key - Property name for the point
+ * @returns {Object} - Shaped row
+ */
+const formatGeoRow = (row, key) => {
+  if (!row || !('lat' in row)) {
+    return row;
+  }
+
+  const { lat, lng, ...rest } = row;
+  return { ...rest, [key]: lat === null ? null : { lat, lng } };
+};
+
+/**
+ * Convert a row selected with `geometry` into a GeoJSON Feature
+ * @param {Object} row - Row with a `geometry` column
+ * @returns {Object} - GeoJSON Feature
+ */
+const toFeature = (row) => {
+  const { geometry, ...properties } = row;
+  return {
+    type: 'Feature',
+    id: row.id,
+    geometry: geometry || null,
+    properties
+  };
+};
+
+/**
+ * Wrap rows in a GeoJSON FeatureCollection
+ * @param {Array} rows - Rows with a `geometry` column
+ * @param {Object} members - Extra top-level members (e.g. search center)
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+const toFeatureCollection = (rows, members = {}) => ({
+  type: 'FeatureCollection',
+  ...members,
+  features: rows.map(toFeature)
+});
+
+module.exports = {
+  GEOJSON_MEDIA_TYPE,
+  resolveGeoFormat,
+  geoColumnSql,
+  formatGeoRow,
+  toFeature,
+  toFeatureCollection
+};
@@ -0,0 +1,190 @@
+const { authenticateToken, optionalAuthenticate } = require('../middleware/auth.middleware.js');
+
+/**
+ * OpenAPI paths generated from route schemas
+ *
+ * Routes that run `validate(schemas)` are documented from those schemas: `params`
+ * and `query` become parameters, `body` the request body (unless `requestBody`
+ * documents it instead), and `summary`, `description` and `responses` are copied
+ * over. Routers nested with mountRouter are documented under their mount path.
+ * A response is either an error description (answered with the shared Error
+ * schema) or `{ description, schema, geojson }`, where `geojson` is the
+ * `application/geo+json` representation.
+ */
+
+const ERROR_REF = { $ref: '#/components/schemas/Error' };
+
+// Keywords that only shape validation errors
+const VALIDATION_ONLY_KEYWORDS = ['errorMessage'];
+
+/**
+ * Copy a JSON Schema for the document
+ * Schemas registered as components are replaced by a `$ref` wherever they appear.
+ * @param {*} schema - Schema, or any value inside one
+ * @param {Map} refs - Component schema -> `$ref` object
+ * @param {Object} self - The component being written out, which is not replaced by its own `$ref`
+ * @returns {*} - Document schema
+ */
+const toDocumentSchema = (schema, refs, self) => {
+  if (schema !== self && refs.has(schema)) {
+    return refs.get(schema);
+  }
+  if (Array.isArray(schema)) {
+    return schema.map(item => toDocumentSchema(item, refs));
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !VALIDATION_ONLY_KEYWORDS.includes(key))
+    .map(([key, value]) => [key, toDocumentSchema(value, refs)]));
+};
+
+/**
+ * Turn the properties of a params or query schema into parameters
+ * @param {string} location - 'path' or 'query'
+ * @param {Object} schema - Object schema
+ * @param {Map} refs - Component refs
+ * @returns {Array} - OpenAPI parameters
+ */
+const toParameters = (location, schema, refs) => Object.entries(schema.properties || {})
+  .map(([name, { description, ...property }]) => ({
+    in: location,
+    name,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: toDocumentSchema(property, refs)
+  }));
+
+const toResponse = (response, refs) => {
+  if (typeof response === 'string') {
+    return { description: response, content: { 'application/json': { schema: ERROR_REF } } };
+  }
+
+  const content = { 'application/json': { schema: toDocumentSchema(response.schema, refs) } };
+  if (response.geojson) {
+    content['application/geo+json'] = { schema: toDocumentSchema(response.geojson, refs) };
+  }
+  return { description: response.description, content };
+};
+
+/**
+ * Build the operation of one route
+ * @param {Object} schemas - Route schemas passed to validate
+ * @param {Array} handlers - The route's middleware and controller
+ * @param {string} tag - Tag of the router
+ * @param {Map} refs - Component refs
+ * @returns {Object} - OpenAPI operation
+ */
+const toOperation = (schemas, handlers, tag, refs) => {
+  const authenticated = handlers.includes(authenticateToken);
+  const responses = {};
+  for (const [status, response] of Object.entries(schemas.responses || {})) {
+    responses[status] = toResponse(response, refs);
+  }
+  if ((schemas.params || schemas.query || schemas.body) && !responses[400]) {
+    responses[400] = toResponse('Invalid input; `details` lists every invalid field', refs);
+  }
+  if (authenticated && !responses[401]) {
+    responses[401] = toResponse('Missing, invalid or expired access token', refs);
+  }
+
+  const operation = { tags: [tag], summary: schemas.summary };
+  if (schemas.description) {
+    operation.description = schemas.description;
+  }
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (handlers.includes(optionalAuthenticate)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  const parameters = [
+    ...(schemas.params ? toParameters('path', schemas.params, refs) : []),
+    ...(schemas.query ? toParameters('query', schemas.query, refs) : [])
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (schemas.requestBody) {
+    operation.requestBody = schemas.requestBody;
+  } else if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toDocumentSchema(schemas.body, refs) } }
+    };
+  }
+
+  operation.responses = responses;
+  return operation;
+};
+
+// `/:id/follow` -> `/{id}/follow`, and a router's `/` is the mount path itself
+const toDocumentPath = (prefix, path) => `${prefix}${path === '/' ? '' : path}`.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Mount a router inside another, recording the path for the document
+ * Express keeps no record of the path a router is mounted at, so nested routers are
+ * mounted with this instead of `router.use`.
+ * @param {express.Router} parent - Router to mount into
+ * @param {string} path - Mount path, e.g. `/:id/reviews`
+ * @param {express.Router} router - Router to mount
+ * @param {string} tag - Tag of the mounted router's routes
+ */
+const mountRouter = (parent, path, router, tag) => {
+  parent.use(path, router);
+  parent.mounts = [...(parent.mounts || []), { path, router, tag }];
+};
+
+/**
+ * Add the operations of a router and of the routers mounted in it
+ * @param {Object} paths - Document paths, filled in place
+ * @param {Object} mount - `{ path, router, tag }`, with the full path of the router
+ * @param {Map} refs - Component refs
+ */
+const addOperations = (paths, { path: prefix, router, tag }, refs) => {
+  for (const layer of router.stack.filter(layer => layer.route)) {
+    const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+    const schemas = handlers.map(handler => handler.schemas).find(Boolean);
+    if (!schemas) {
+      continue;
+    }
+
+    const path = toDocumentPath(prefix, layer.route.path);
+    for (const method of Object.keys(layer.route.methods)) {
+      paths[path] = { ...paths[path], [method]: toOperation(schemas, handlers, tag, refs) };
+    }
+  }
+
+  for (const mount of router.mounts || []) {
+    addOperations(paths, { ...mount, path: toDocumentPath(prefix, mount.path) }, refs);
+  }
+};
+
+/**
+ * Document the routes of routers from their schemas
+ * Routes without schemas are left out.
+ * @param {Array} mounts - `{ path, router, tag }` for each router, as mounted on the app
+ * @param {Object} components - Component schemas by name, referenced wherever they are used
+ * @returns {Object} - `{ paths, schemas }` for the document
+ */
+const generateOpenApi = (mounts, components) => {
+  const refs = new Map(Object.entries(components)
+    .map(([name, schema]) => [schema, { $ref: `#/components/schemas/${name}` }]));
+
+  const paths = {};
+  for (const mount of mounts) {
+    addOperations(paths, mount, refs);
+  }
+
+  const schemas = Object.fromEntries(Object.entries(components)
+    .map(([name, schema]) => [name, toDocumentSchema(schema, refs, schema)]));
+
+  return { paths, schemas };
+};
+
+module.exports = {
+  mountRouter,
+  generateOpenApi
+};
@@ -0,0 +1,84 @@
+const { ValidationError } = require('./errors.js');
+
+/**
+ * Cursor pagination shared by list endpoints
+ *
+ * Every list is ordered by a unique key tuple (always ending in `id`), and the
+ * cursor is that tuple for the last row of a page. The next page continues with
+ * rows strictly after it (keyset pagination), so rows inserted or removed while a
+ * client scrolls never cause duplicates or gaps.
+ */
+
+/**
+ * Read `?limit=` from a query string
+ * @param {Object} query - Express `req.query`
+ * @param {Object} options - `defaultLimit` and `maxLimit`
+ * @returns {number} - Limit clamped to `maxLimit`
+ */
+const parseLimit = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  if (query.limit === undefined || query.limit === '') {
+    return defaultLimit;
+  }
+
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('Invalid limit', 'INVALID_LIMIT');
+  }
+  return Math.min(limit, maxLimit);
+};
+
+/**
+ * Encode the sort key of a row as an opaque cursor
+ * @param {Object} key - Sort key values, e.g. `{ distance, id }`
+ * @returns {string} - base64url cursor
+ */
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the client (may be empty)
+ * @param {Array<string>} keys - Sort key names the cursor must carry
+ * @returns {Object|null} - Decoded sort key, or null for the first page
+ */
+const decodeCursor = (cursor, keys) => {
+  if (!cursor) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+  }
+
+  if (!decoded || typeof decoded !== 'object' ||
+      !keys.every(key => typeof decoded[key] === 'number' && Number.isFinite(decoded[key]))) {
+    throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+  }
+
+  return decoded;
+};
+
+/**
+ * Turn `limit + 1` fetched rows into a page
+ * @param {Array} rows - Rows fetched with `LIMIT limit + 1`
+ * @param {number} limit - Page size
+ * @param {Function} keyOf - Maps a row to its sort key
+ * @returns {Object} - `{ items, nextCursor }`, nextCursor is null on the last page
+ */
+const toPage = (rows, limit, keyOf) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(keyOf(items[items.length - 1])) : null,
+  };
+};
+
+module.exports = {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  toPage,
+};
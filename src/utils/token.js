@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque secrets handed to clients (refresh, reset and verification tokens)
+ *
+ * Only the SHA-256 hash of a secret is stored, so a database leak does not leak
+ * usable tokens. The secrets are random enough that an unsalted hash is safe.
+ */
+
+/**
+ * Generate a random URL-safe secret
+ * @returns {string} - 256-bit base64url secret
+ */
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash a secret for storage and lookup
+ * @param {string} token - Secret from generateToken
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
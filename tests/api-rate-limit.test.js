@@ -0,0 +1,120 @@
+const request = require('supertest');
+const express = require('express');
+const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const { apiRateLimit } = require('../src/middleware/rate-limit.middleware.js');
+const { createMemoryStore, setRateLimitStore } = require('../src/services/rate-limit.service.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+const app = express();
+app.use(express.json());
+app.use(apiRateLimit({
+  default: { anonymous: 5, user: 10, apiKey: 20 },
+  routes: [
+    { name: 'spatial', match: ['GET /places/nearby/search', 'GET /users/nearby'], anonymous: 2, user: 4 }
+  ],
+  skip: ['POST /users/login', 'POST /users/register']
+}));
+app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Registered in beforeAll
+let testUser = null;
+
+describe('API rate limiting', () => {
+  let token = null;
+
+  beforeAll(async () => {
+    [testUser] = await createTestUsers(app, 'quota', ['user']);
+    token = testUser.token;
+  });
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_API_KEYS;
+  });
+
+  afterAll(async () => {
+    setRateLimitStore(null);
+    await cleanupTestUsers('quota');
+  });
+
+  it('should send RateLimit headers for the default quota', async () => {
+    const res = await request(app).get('/places/categories');
+    expect(res.headers['ratelimit-limit']).toBe('5');
+    expect(res.headers['ratelimit-remaining']).toBe('4');
+    expect(Number(res.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    expect(res.headers['ratelimit-policy']).toBe('5;w=60');
+  });
+
+  it('should apply route quotas on top of the default quota', async () => {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const res = await request(app).get('/places/nearby/search');
+      expect(res.statusCode).not.toBe(429);
+      expect(res.headers['ratelimit-limit']).toBe('2');
+    }
+
+    // Both spatial routes share the quota
+    const limited = await request(app).get('/users/nearby');
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other routes still have the default quota
+    const other = await request(app).get('/places/categories');
+    expect(other.statusCode).not.toBe(429);
+  });
+
+  it('should reject anonymous callers over the default quota', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await request(app).get('/places/categories');
+    }
+
+    const res = await request(app).get('/places/categories');
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toBe('Too many requests, try again later');
+  });
+
+  it('should give signed-in users their own, higher quota', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await request(app).get('/places/categories');
+    }
+
+    const res = await request(app)
+      .get('/places/categories')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).not.toBe(429);
+    expect(res.headers['ratelimit-limit']).toBe('10');
+  });
+
+  it('should give API keys a higher quota, and count unknown keys as anonymous', async () => {
+    process.env.RATE_LIMIT_API_KEYS = 'partner-key-1, partner-key-2';
+
+    const known = await request(app)
+      .get('/places/categories')
+      .set('X-API-Key', 'partner-key-2');
+    expect(known.headers['ratelimit-limit']).toBe('20');
+
+    const unknown = await request(app)
+      .get('/places/categories')
+      .set('X-API-Key', 'made-up-key');
+    expect(unknown.headers['ratelimit-limit']).toBe('5');
+  });
+
+  it('should not limit API keys on routes whose quota leaves them out', async () => {
+    process.env.RATE_LIMIT_API_KEYS = 'partner-key-1';
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const res = await request(app)
+        .get('/places/nearby/search')
+        .set('X-API-Key', 'partner-key-1');
+      expect(res.statusCode).not.toBe(429);
+      expect(res.headers['ratelimit-limit']).toBe('20');
+    }
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const storyRoutes = require('../src/routes/story.routes.js');
+const commentRoutes = require('../src/routes/comment.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+const { PrismaClient } = require('../generated/prisma');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const app = express();
+app.use(express.json());
+app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use('/stories', storyRoutes);
+app.use('/comments', commentRoutes);
+app.use(errorHandler);
+
+const getEngagement = async (userId) => (await request(app).get(`/users/${userId}/engagement`)).body;
+
+describe('Likes and Comments API', () => {
+  let authorToken = null;
+  let fanToken = null;
+  let authorId = null;
+  let fanId = null;
+  let storyId = null;
+  let placeId = null;
+  let reviewId = null;
+  let commentId = null;
+
+  beforeAll(async () => {
+    const users = await createTestUsers(app, 'like', ['author', 'fan']);
+    [authorToken, fanToken] = users.map(user => user.token);
+    [authorId, fanId] = users.map(user => user.id);
+
+    const story = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Engagement test story' });
+    storyId = story.body.story.id;
+
+    const place = await request(app)
+      .post('/places')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ name: 'Engagement Test Bar', latitude: 52.52, longitude: 13.405 });
+    placeId = place.body.place.id;
+
+    const review = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${fanToken}`)
+      .send({ rating: 5 });
+    reviewId = review.body.review.id;
+  });
+
+  afterAll(async () => {
+    if (placeId) {
+      await prisma.place.deleteMany({ where: { id: placeId } });
+    }
+    await cleanupTestUsers('like');
+    await prisma.$disconnect();
+  });
+
+  it('POST /stories/:id/like should require authentication', async () => {
+    const res = await request(app).post(`/stories/${storyId}/like`);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /stories/:id/like should like a story once', async () => {
+    const first = await request(app)
+      .post(`/stories/${storyId}/like`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(first.statusCode).toBe(200);
+    expect(first.body).toEqual({ liked: true, likeCount: 1 });
+
+    const second = await request(app)
+      .post(`/stories/${storyId}/like`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(second.body.likeCount).toBe(1);
+
+    expect((await getEngagement(authorId)).likeCount).toBe(1);
+  });
+
+  it('POST /stories/:id/like should return 404 for an unknown story', async () => {
+    const res = await request(app)
+      .post('/stories/999999999/like')
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('POST /places/:id/like should count towards the place owner', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/like`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(res.statusCode).toBe(200);
+    expect((await getEngagement(authorId)).likeCount).toBe(2);
+
+    const place = await request(app).get(`/places/${placeId}`);
+    expect(place.body.likeCount).toBe(1);
+  });
+
+  it('POST /places/:id/reviews/:reviewId/like should count towards the review author', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews/${reviewId}/like`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toBe(200);
+    expect((await getEngagement(fanId)).likeCount).toBe(1);
+  });
+
+  it('POST /places/:id/reviews/:reviewId/like should reject a review of another place', async () => {
+    const res = await request(app)
+      .post(`/places/999999999/reviews/${reviewId}/like`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('POST /places/:id/reviews/:reviewId/like should reject a malformed review ID', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews/latest/like`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([{ in: 'params', field: 'reviewId', message: 'Invalid review ID' }]);
+  });
+
+  it('DELETE /stories/:id/like should remove the like', async () => {
+    const res = await request(app)
+      .delete(`/stories/${storyId}/like`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ liked: false, likeCount: 0 });
+    expect((await getEngagement(authorId)).likeCount).toBe(1);
+  });
+
+  it('POST /stories/:id/comments should reject empty comments', async () => {
+    const res = await request(app)
+      .post(`/stories/${storyId}/comments`)
+      .set('Authorization', `Bearer ${fanToken}`)
+      .send({ body: '   ' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /stories/:id/comments should comment on a story', async () => {
+    const res = await request(app)
+      .post(`/stories/${storyId}/comments`)
+      .set('Authorization', `Bearer ${fanToken}`)
+      .send({ body: 'Loved it' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.comment.body).toBe('Loved it');
+    expect(res.body.comment.user.username).toBe('likefan');
+    commentId = res.body.comment.id;
+
+    expect((await getEngagement(authorId)).commentCount).toBe(1);
+  });
+
+  it('GET /stories/:id/comments should list comments', async () => {
+    const res = await request(app).get(`/stories/${storyId}/comments`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.comments.map(comment => comment.id)).toEqual([commentId]);
+    expect(res.body).toHaveProperty('nextCursor');
+
+    const story = await request(app).get(`/stories/${storyId}`);
+    expect(story.body.commentCount).toBe(1);
+  });
+
+  it('PATCH /comments/:commentId should only allow the author', async () => {
+    const res = await request(app)
+      .patch(`/comments/${commentId}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ body: 'Edited by someone else' });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('PATCH /comments/:commentId should edit the comment', async () => {
+    const res = await request(app)
+      .patch(`/comments/${commentId}`)
+      .set('Authorization', `Bearer ${fanToken}`)
+      .send({ body: 'Loved it, again' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.comment.body).toBe('Loved it, again');
+  });
+
+  it('DELETE /comments/:commentId should delete the comment and update commentCount', async () => {
+    const res = await request(app)
+      .delete(`/comments/${commentId}`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const comment = await request(app).get(`/comments/${commentId}`);
+    expect(comment.statusCode).toBe(404);
+    expect((await getEngagement(authorId)).commentCount).toBe(0);
+  });
+
+  it('PUT /users/:id/stats should agree with the maintained counters', async () => {
+    await prisma.user.update({ where: { id: authorId }, data: { role: 'admin' } });
+    const before = await getEngagement(authorId);
+    const res = await request(app)
+      .put(`/users/${authorId}/stats`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.storyCount).toBe(before.storyCount);
+    expect(res.body.user.likeCount).toBe(before.likeCount);
+    expect(res.body.user.commentCount).toBe(before.commentCount);
+  });
+
+  it('DELETE /users/:id should remove the user\'s likes from other counters', async () => {
+    const res = await request(app)
+      .delete(`/users/${fanId}`)
+      .set('Authorization', `Bearer ${fanToken}`);
+    expect(res.statusCode).toBe(200);
+    expect((await getEngagement(authorId)).likeCount).toBe(0);
+  });
+});
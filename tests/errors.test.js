@@ -0,0 +1,86 @@
+const request = require('supertest');
+const express = require('express');
+const { authenticateToken } = require('../src/middleware/auth.middleware.js');
+const { notFoundHandler, errorHandler } = require('../src/middleware/error.middleware.js');
+const { ConflictError, TooManyRequestsError, ValidationError } = require('../src/utils/errors.js');
+
+const app = express();
+app.use(express.json());
+app.get('/private', authenticateToken, (req, res) => res.json({ ok: true }));
+app.post('/echo', (req, res) => res.json(req.body));
+app.get('/conflict', async () => {
+  throw new ConflictError('Username already taken', 'USERNAME_TAKEN');
+});
+app.get('/invalid', () => {
+  throw new ValidationError('Invalid input', 'VALIDATION_ERROR', [{ field: 'name', message: 'is required' }]);
+});
+app.get('/limited', () => {
+  throw new TooManyRequestsError('Slow down', 30);
+});
+app.get('/crash', async () => {
+  throw new Error('connection string with a secret');
+});
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+describe('Error handling', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send typed errors with their status and code', async () => {
+    const res = await request(app).get('/conflict');
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({ error: 'Username already taken', code: 'USERNAME_TAKEN' });
+  });
+
+  it('should include validation details', async () => {
+    const res = await request(app).get('/invalid');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'name', message: 'is required' }]);
+  });
+
+  it('should set Retry-After for rate limit errors', async () => {
+    const res = await request(app).get('/limited');
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.body.code).toBe('RATE_LIMITED');
+  });
+
+  it('should hide unexpected errors behind a generic 500', async () => {
+    const res = await request(app).get('/crash');
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  });
+
+  it('should reject malformed JSON bodies', async () => {
+    const res = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"name":');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+
+  it('should send a JSON 404 for unknown routes', async () => {
+    const res = await request(app).get('/nowhere');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Route not found: GET /nowhere', code: 'ROUTE_NOT_FOUND' });
+  });
+
+  it('should give auth failures a code', async () => {
+    const missing = await request(app).get('/private');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.body.code).toBe('TOKEN_REQUIRED');
+
+    const invalid = await request(app)
+      .get('/private')
+      .set('Authorization', 'Bearer not-a-token');
+    expect(invalid.statusCode).toBe(401);
+    expect(invalid.body.code).toBe('INVALID_TOKEN');
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const userRoutes = require('../src/routes/user.routes.js');
+const storyRoutes = require('../src/routes/story.routes.js');
+const feedRoutes = require('../src/routes/feed.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use('/stories', storyRoutes);
+app.use('/feed', feedRoutes);
+app.use(errorHandler);
+
+// Viewer lives in Cairo; the neighbor posts nearby, the stranger posts in Alexandria
+const CAIRO = { latitude: 30.0444, longitude: 31.2357 };
+const NEARBY = { latitude: 30.0500, longitude: 31.2400 };
+const FAR_AWAY = { latitude: 31.2001, longitude: 29.9187 };
+
+describe('Feed API', () => {
+  let viewerToken = null;
+  let tokens = {};
+  let ids = {};
+  let stories = {};
+
+  const feedIds = async (query = {}) => {
+    const res = await request(app)
+      .get('/feed')
+      .query(query)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(res.statusCode).toBe(200);
+    return res.body.stories.map(story => story.id);
+  };
+
+  beforeAll(async () => {
+    for (const user of await createTestUsers(app, 'feed', ['viewer', 'friend', 'neighbor', 'stranger'])) {
+      tokens[user.username] = user.token;
+      ids[user.username] = user.id;
+    }
+    viewerToken = tokens.feedviewer;
+
+    await request(app)
+      .put(`/users/${ids.feedviewer}`)
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .send(CAIRO);
+    await request(app)
+      .post(`/users/${ids.feedfriend}/follow`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+
+    const post = async (username, body) => {
+      const res = await request(app)
+        .post('/stories')
+        .set('Authorization', `Bearer ${tokens[username]}`)
+        .send(body);
+      return res.body.story.id;
+    };
+    stories.friend = await post('feedfriend', { text: 'From a friend far away', ...FAR_AWAY });
+    stories.neighbor = await post('feedneighbor', { text: 'Around the corner', ...NEARBY });
+    stories.stranger = await post('feedstranger', { text: 'Too far to matter', ...FAR_AWAY });
+    stories.own = await post('feedviewer', { text: 'My own story' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('feed');
+  });
+
+  it('GET /feed should require authentication', async () => {
+    const res = await request(app).get('/feed');
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('GET /feed should merge followed and nearby stories', async () => {
+    const res = await request(app)
+      .get('/feed')
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const byId = Object.fromEntries(res.body.stories.map(story => [story.id, story]));
+    expect(byId[stories.friend].source).toBe('following');
+    expect(byId[stories.friend].distance).toBeNull();
+    expect(byId[stories.own].source).toBe('following');
+    expect(byId[stories.neighbor].source).toBe('nearby');
+    expect(byId[stories.neighbor].distance).toBeLessThan(2000);
+    expect(byId).not.toHaveProperty(String(stories.stranger));
+  });
+
+  it('GET /feed should page without duplicates', async () => {
+    const all = await feedIds();
+
+    const paged = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get('/feed')
+        .query({ limit: 1, ...(cursor && { cursor }) })
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(res.body.count).toBeLessThanOrEqual(1);
+      paged.push(...res.body.stories.map(story => story.id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(paged).toEqual(all);
+  });
+
+  it('GET /feed should reject an invalid cursor', async () => {
+    const res = await request(app)
+      .get('/feed')
+      .query({ cursor: 'not-a-cursor' })
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/:id/block should hide the user from the feed both ways and remove follows', async () => {
+    const res = await request(app)
+      .post(`/users/${ids.feedviewer}/block`)
+      .set('Authorization', `Bearer ${tokens.feedfriend}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ blocked: true });
+
+    const feed = await feedIds();
+    expect(feed).not.toContain(stories.friend);
+
+    const follow = await request(app)
+      .post(`/users/${ids.feedfriend}/follow`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(follow.statusCode).toBe(403);
+
+    const profile = await request(app).get(`/users/${ids.feedfriend}`);
+    expect(profile.body.followerCount).toBe(0);
+  });
+
+  it('POST /users/:id/block should hide nearby stories of blocked users', async () => {
+    await request(app)
+      .post(`/users/${ids.feedneighbor}/block`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(await feedIds()).not.toContain(stories.neighbor);
+
+    const res = await request(app)
+      .delete(`/users/${ids.feedneighbor}/block`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(res.body).toEqual({ blocked: false });
+    expect(await feedIds()).toContain(stories.neighbor);
+  });
+
+  it('POST /users/:id/block should reject blocking yourself', async () => {
+    const res = await request(app)
+      .post(`/users/${ids.feedviewer}/block`)
+      .set('Authorization', `Bearer ${viewerToken}`);
+    expect(res.statusCode).toBe(400);
+  });
+});
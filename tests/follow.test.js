@@ -0,0 +1,103 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+describe('Follow API', () => {
+  let tokens = [];
+  let ids = [];
+
+  beforeAll(async () => {
+    const users = await createTestUsers(app, 'follow', ['a', 'b', 'ee']);
+    tokens = users.map(user => user.token);
+    ids = users.map(user => user.id);
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('follow');
+  });
+
+  it('POST /users/:id/follow should require authentication', async () => {
+    const res = await request(app).post(`/users/${ids[2]}/follow`);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /users/:id/follow should reject following yourself', async () => {
+    const res = await request(app)
+      .post(`/users/${ids[0]}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/:id/follow should return 404 for an unknown user', async () => {
+    const res = await request(app)
+      .post('/users/999999999/follow')
+      .set('Authorization', `Bearer ${tokens[0]}`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('POST /users/:id/follow should follow a user once', async () => {
+    for (const token of [tokens[0], tokens[0], tokens[1]]) {
+      const res = await request(app)
+        .post(`/users/${ids[2]}/follow`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.following).toBe(true);
+    }
+
+    const res = await request(app).get(`/users/${ids[2]}`);
+    expect(res.body.followerCount).toBe(2);
+    expect(res.body.followingCount).toBe(0);
+    expect(res.body).not.toHaveProperty('isFollowedByMe');
+  });
+
+  it('GET /users/:id should report isFollowedByMe when authenticated', async () => {
+    const follower = await request(app)
+      .get(`/users/${ids[2]}`)
+      .set('Authorization', `Bearer ${tokens[0]}`);
+    expect(follower.body.isFollowedByMe).toBe(true);
+
+    const followee = await request(app)
+      .get(`/users/${ids[0]}`)
+      .set('Authorization', `Bearer ${tokens[2]}`);
+    expect(followee.body.isFollowedByMe).toBe(false);
+    expect(followee.body.followingCount).toBe(1);
+  });
+
+  it('GET /users/:id/followers should page through followers, most recent first', async () => {
+    const first = await request(app).get(`/users/${ids[2]}/followers`).query({ limit: 1 });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.followers.map(user => user.id)).toEqual([ids[1]]);
+    expect(first.body.followers[0]).toHaveProperty('followedAt');
+    expect(first.body.nextCursor).not.toBeNull();
+
+    const second = await request(app)
+      .get(`/users/${ids[2]}/followers`)
+      .query({ limit: 1, cursor: first.body.nextCursor });
+    expect(second.body.followers.map(user => user.id)).toEqual([ids[0]]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('GET /users/:id/following should list followed users', async () => {
+    const res = await request(app).get(`/users/${ids[0]}/following`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.following.map(user => user.username)).toEqual(['followee']);
+  });
+
+  it('DELETE /users/:id/follow should unfollow', async () => {
+    const res = await request(app)
+      .delete(`/users/${ids[2]}/follow`)
+      .set('Authorization', `Bearer ${tokens[0]}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ following: false, followerCount: 1 });
+  });
+});
@@ -0,0 +1,84 @@
+const supertest = require('supertest');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { openApiSpec } = require('../../src/swagger.js');
+
+/**
+ * supertest, with every response checked against the OpenAPI document
+ *
+ * Each request fails when its route is missing from the document, when the status
+ * is not one the route declares, or when the body does not match the schema
+ * declared for that status and content type. Drift between the API and its
+ * published document fails the test that made the request.
+ */
+
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// The whole document is registered so `$ref`s resolve against it, as they do for API clients.
+// Its top-level members are not schema keywords; everything under them is checked strictly.
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+ajv.addVocabulary(Object.keys(openApiSpec));
+ajv.addSchema(openApiSpec, SPEC_ID);
+
+// `/users/{id}/follow` -> /^\/users\/[^/]+\/follow$/
+const templates = Object.keys(openApiSpec.paths)
+  .map(template => ({
+    template,
+    params: (template.match(/\{/g) || []).length,
+    pattern: new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`)
+  }))
+  // Fixed segments win over parameters, as in the routers (`/places/search` before `/places/{id}`)
+  .sort((a, b) => a.params - b.params);
+
+const toPointer = segments => segments
+  .map(segment => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1')))
+  .join('/');
+
+/**
+ * Check one response against the document
+ * @param {string} method - HTTP method, lowercase
+ * @param {string} url - Request URL, with or without a query string
+ * @param {Object} res - supertest response
+ */
+const assertMatchesSpec = (method, url, res) => {
+  const path = url.split('?')[0];
+  const route = `${method.toUpperCase()} ${path}`;
+  const match = templates.find(({ template, pattern }) => pattern.test(path) && openApiSpec.paths[template][method]);
+  if (!match) {
+    throw new Error(`${route} is not in the OpenAPI document`);
+  }
+
+  const { responses } = openApiSpec.paths[match.template][method];
+  const status = String(res.status);
+  if (!responses[status]) {
+    throw new Error(`${route} answered ${status}, which ${method.toUpperCase()} ${match.template} does not declare`);
+  }
+
+  const content = responses[status].content || {};
+  if (!content[res.type]) {
+    throw new Error(`${route} answered ${status} with ${res.type || 'no body'}, which ${method.toUpperCase()} ${match.template} does not declare`);
+  }
+
+  const validate = ajv.getSchema(`${SPEC_ID}#/${toPointer(['paths', match.template, method, 'responses', status, 'content', res.type, 'schema'])}`);
+  if (!validate(res.body)) {
+    throw new Error(`${route} answered ${status} with a body that does not match ${method.toUpperCase()} ${match.template}:\n` +
+      ajv.errorsText(validate.errors, { dataVar: 'body', separator: '\n' }));
+  }
+};
+
+/**
+ * Drop-in for `require('supertest')`
+ * @param {Object} app - Express app
+ * @returns {Object} - `get`, `post`, `put`, `patch` and `delete`, returning supertest Tests
+ */
+const request = (app) => {
+  const agent = supertest(app);
+  return Object.fromEntries(METHODS.map(method => [
+    method,
+    url => agent[method](url).expect(res => assertMatchesSpec(method, url, res))
+  ]));
+};
+
+module.exports = request;
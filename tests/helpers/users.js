@@ -0,0 +1,54 @@
+const request = require('supertest');
+const { PrismaClient } = require('../../generated/prisma');
+
+/**
+ * Accounts for the API tests
+ *
+ * Each test file owns a username prefix, e.g. `place`, and its users are
+ * `<prefix><name>` (`placeowner`, `placeother`) with an example.com address and
+ * TEST_PASSWORD. Prefixes must not start another file's prefix: files run in
+ * parallel, and cleanup deletes every user whose name starts with the prefix.
+ */
+
+const TEST_PASSWORD = 'password123';
+
+const prisma = new PrismaClient();
+
+/**
+ * Delete a test file's users, with everything that cascades from them
+ * @param {string} prefix - Username prefix of the file
+ */
+const cleanupTestUsers = async (prefix) => {
+  await prisma.user.deleteMany({ where: { username: { startsWith: prefix } } });
+  // Reconnects on the next call; no connection is left open when the file ends
+  await prisma.$disconnect();
+};
+
+/**
+ * Register and log in fresh users, after removing those left over from an earlier run
+ * @param {Object} app - Express app serving /users
+ * @param {string} prefix - Username prefix of the file
+ * @param {Array<string>} names - One user per name, e.g. `['owner', 'other']`
+ * @returns {Array<Object>} In the order of `names`: `username`, `email` and `password`,
+ *   and `id`, `token` and `refreshToken` from the login
+ */
+const createTestUsers = async (app, prefix, names) => {
+  await cleanupTestUsers(prefix);
+
+  const users = [];
+  for (const name of names) {
+    const account = { username: `${prefix}${name}`, email: `${prefix}${name}@example.com`, password: TEST_PASSWORD };
+    await request(app).post('/users/register').send(account);
+    const res = await request(app)
+      .post('/users/login')
+      .send({ emailOrUsername: account.username, password: account.password });
+    users.push({ ...account, id: res.body.user.id, token: res.body.token, refreshToken: res.body.refreshToken });
+  }
+  return users;
+};
+
+module.exports = {
+  TEST_PASSWORD,
+  createTestUsers,
+  cleanupTestUsers
+};
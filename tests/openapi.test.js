@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+const { mounts } = require('../src/routes/index.js');
+const { setupSwagger, openApiSpec } = require('../src/swagger.js');
+const contractRequest = require('./helpers/contract.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// `/places` + `/:id` -> `/places/{id}`
+const joinPath = (prefix, path) => `${prefix}${path === '/' ? '' : path}`.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Every `METHOD /path` a router serves, including the routers mounted in it with mountRouter
+ */
+const listRoutes = (router, prefix) => [
+  ...router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .map(method => `${method.toUpperCase()} ${joinPath(prefix, layer.route.path)}`)),
+  ...(router.mounts || []).flatMap(mount => listRoutes(mount.router, joinPath(prefix, mount.path)))
+];
+
+/**
+ * Every router reachable from a router, itself included
+ */
+const listRouters = router => [router, ...(router.mounts || []).flatMap(mount => listRouters(mount.router))];
+
+const routes = mounts.flatMap(({ path, router }) => listRoutes(router, path));
+
+const operations = Object.entries(openApiSpec.paths).flatMap(([path, pathItem]) => METHODS
+  .filter(method => pathItem[method])
+  .map(method => ({ route: `${method.toUpperCase()} ${path}`, operation: pathItem[method] })));
+
+const app = express();
+setupSwagger(app);
+
+describe('OpenAPI document', () => {
+  it('should document every route', () => {
+    const documented = operations.map(({ route }) => route);
+    expect(routes.length).toBeGreaterThan(50);
+    expect(routes.filter(route => !documented.includes(route))).toEqual([]);
+  });
+
+  it('should only document routes that exist', () => {
+    expect(operations.map(({ route }) => route).filter(route => !routes.includes(route))).toEqual([]);
+  });
+
+  it('should know the mount path of every nested router', () => {
+    const unrecorded = mounts.flatMap(({ router }) => listRouters(router)).flatMap(router => router.stack
+      .filter(layer => !layer.route && layer.handle.stack)
+      .filter(layer => !(router.mounts || []).some(mount => mount.router === layer.handle)));
+    expect(unrecorded).toHaveLength(0);
+  });
+
+  it('should describe the success response of every route', () => {
+    const undescribed = operations
+      .filter(({ operation }) => !Object.entries(operation.responses)
+        .some(([status, response]) => status.startsWith('2') && response.content && response.content['application/json'].schema))
+      .map(({ route }) => route);
+    expect(undescribed).toEqual([]);
+  });
+
+  it('should build parameters and request bodies from the route schemas', () => {
+    const nearby = openApiSpec.paths['/places/nearby/search'].get;
+    expect(nearby.parameters.find(parameter => parameter.name === 'lat')).toEqual({
+      in: 'query',
+      name: 'lat',
+      required: true,
+      schema: { type: 'number', minimum: -90, maximum: 90 }
+    });
+    expect(nearby.responses[200].content['application/geo+json']).toBeDefined();
+
+    const update = openApiSpec.paths['/places/{id}'].patch;
+    expect(update.security).toEqual([{ bearerAuth: [] }]);
+    expect(update.parameters[0]).toMatchObject({ in: 'path', name: 'id', required: true });
+    expect(update.requestBody.content['application/json'].schema.properties.latitude).toBeDefined();
+    expect(update.responses[200].content['application/json'].schema.properties.place)
+      .toEqual({ $ref: '#/components/schemas/Place' });
+    expect(Object.keys(update.responses)).toEqual(expect.arrayContaining(['400', '401', '403', '404']));
+  });
+
+  it('should document what seeding does', () => {
+    const seed = openApiSpec.paths['/places/seed'].post;
+    expect(seed.description).toMatch(/not idempotent/);
+    expect(seed.responses[403].description).toBe('Requires the admin role');
+  });
+
+  it('should serve the document as JSON', async () => {
+    const res = await request(app).get('/openapi.json');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/places/{id}'].get.responses[200].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/Place' });
+  });
+});
+
+describe('Contract harness', () => {
+  // Answers like the real routes would if they drifted from the document
+  const drifted = express();
+  drifted.get('/places/route/distance', (req, res) => res.json({ distance: 'far' }));
+  drifted.post('/places/seed', (req, res) => res.status(418).json({ error: 'Teapot' }));
+  drifted.get('/places/:id', (req, res) => res.json({ id: 1, name: 'Cafe' }));
+  drifted.get('/unknown', (req, res) => res.json({}));
+
+  it('should reject a body that does not match the response schema', async () => {
+    await expect(contractRequest(drifted).get('/places/route/distance?fromLat=30&fromLng=31&toLat=30.1&toLng=31.1'))
+      .rejects.toThrow(/body\/distance must be number/);
+    await expect(contractRequest(drifted).get('/places/1')).rejects.toThrow(/must have required property/);
+  });
+
+  it('should reject a status the route does not declare', async () => {
+    await expect(contractRequest(drifted).post('/places/seed')).rejects.toThrow(/answered 418/);
+  });
+
+  it('should reject a route missing from the document', async () => {
+    await expect(contractRequest(drifted).get('/unknown')).rejects.toThrow(/not in the OpenAPI document/);
+  });
+
+  it('should accept a response that matches the document', async () => {
+    const conforming = express();
+    conforming.get('/places/route/distance', (req, res) => res.json({ distance: 15732.4 }));
+    const res = await contractRequest(conforming).get('/places/route/distance?fromLat=30&fromLng=31&toLat=30.1&toLng=31.1');
+    expect(res.statusCode).toBe(200);
+  });
+});
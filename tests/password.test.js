@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { sendMail } = require('../src/services/mailer.service.js');
+const { createTestUsers, cleanupTestUsers, TEST_PASSWORD } = require('./helpers/users.js');
+
+dotenv.config();
+
+// Capture outgoing mail in a private outbox
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'gigglemap-password-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = outbox;
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Registered in beforeAll
+let testUser = null;
+
+const lastMailTo = (to) => fs.readdirSync(outbox)
+  .sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+  .filter(mail => mail.to === to)
+  .pop();
+
+// The token is the only line of the mail body made of base64url characters
+const resetTokenFrom = (mail) => mail.text.split('\n').find(line => /^[A-Za-z0-9_-]{43}$/.test(line));
+
+const login = password => request(app)
+  .post('/users/login')
+  .send({ emailOrUsername: testUser.username, password });
+
+describe('Password API', () => {
+  let password = TEST_PASSWORD;
+
+  beforeAll(async () => {
+    [testUser] = await createTestUsers(app, 'reset', ['user']);
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('reset');
+    fs.rmSync(outbox, { recursive: true, force: true });
+  });
+
+  it('POST /users/password/forgot should not reveal unknown emails', async () => {
+    const res = await request(app).post('/users/password/forgot').send({ email: 'nobody@example.com' });
+    expect(res.statusCode).toBe(200);
+    expect(lastMailTo('nobody@example.com')).toBeUndefined();
+  });
+
+  it('POST /users/password/reset should reject an unknown token', async () => {
+    const res = await request(app)
+      .post('/users/password/reset')
+      .send({ token: 'not-a-real-token', password: 'newpassword123' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/password/reset should reset once and end all sessions', async () => {
+    const { body: session } = await login(password);
+
+    await request(app).post('/users/password/forgot').send({ email: testUser.email });
+    const mail = lastMailTo(testUser.email);
+    expect(mail).toBeDefined();
+    const token = resetTokenFrom(mail);
+
+    const tooShort = await request(app).post('/users/password/reset').send({ token, password: '123' });
+    expect(tooShort.statusCode).toBe(400);
+
+    const res = await request(app).post('/users/password/reset').send({ token, password: 'resetpass456' });
+    expect(res.statusCode).toBe(200);
+
+    const reused = await request(app).post('/users/password/reset').send({ token, password: 'otherpass789' });
+    expect(reused.statusCode).toBe(400);
+
+    const me = await request(app).get('/users/me').set('Authorization', `Bearer ${session.token}`);
+    expect(me.statusCode).toBe(401);
+    expect((await login(password)).statusCode).toBe(401);
+    expect((await login('resetpass456')).statusCode).toBe(200);
+    password = 'resetpass456';
+  });
+
+  it('POST /users/password/forgot should invalidate earlier tokens', async () => {
+    await request(app).post('/users/password/forgot').send({ email: testUser.email });
+    const first = resetTokenFrom(lastMailTo(testUser.email));
+    await request(app).post('/users/password/forgot').send({ email: testUser.email });
+
+    const res = await request(app).post('/users/password/reset').send({ token: first, password: 'stalepass123' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('PUT /users/me/password should require the current password', async () => {
+    const { body: session } = await login(password);
+    const res = await request(app)
+      .put('/users/me/password')
+      .set('Authorization', `Bearer ${session.token}`)
+      .send({ currentPassword: 'wrongpassword', newPassword: 'changed123' });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('PUT /users/me/password should keep the current session and end the others', async () => {
+    const { body: other } = await login(password);
+    const { body: current } = await login(password);
+
+    const res = await request(app)
+      .put('/users/me/password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ currentPassword: password, newPassword: 'changed123' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revokedSessions).toBeGreaterThanOrEqual(1);
+
+    const stillIn = await request(app).get('/users/me').set('Authorization', `Bearer ${current.token}`);
+    expect(stillIn.statusCode).toBe(200);
+    const signedOut = await request(app).get('/users/me').set('Authorization', `Bearer ${other.token}`);
+    expect(signedOut.statusCode).toBe(401);
+    expect((await login('changed123')).statusCode).toBe(200);
+  });
+
+  it('POST /users/password/forgot should throttle emails to one address', async () => {
+    const send = () => request(app).post('/users/password/forgot').send({ email: 'Flooded@example.com' });
+    for (let i = 0; i < 3; i++) {
+      expect((await send()).statusCode).toBe(200);
+    }
+    const res = await send();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+});
+
+describe('Mail transports', () => {
+  const env = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, NODE_ENV: process.env.NODE_ENV };
+  const message = { to: 'someone@example.com', subject: 'Hello', text: 'Hi' };
+
+  afterEach(() => {
+    process.env.MAIL_TRANSPORT = env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = env.NODE_ENV;
+  });
+
+  it('should refuse to send without a configured transport', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    await expect(sendMail(message)).rejects.toThrow(/No mail transport configured/);
+  });
+
+  it('should refuse the console and file transports in production', async () => {
+    process.env.NODE_ENV = 'production';
+    for (const transport of ['console', 'file']) {
+      process.env.MAIL_TRANSPORT = transport;
+      await expect(sendMail(message)).rejects.toThrow(/in production/);
+    }
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+const { PrismaClient } = require('../generated/prisma');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const app = express();
+app.use(express.json());
+app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Gallery rows are inserted directly so these tests never talk to Cloudinary
+const insertPhoto = (placeId, position, isCover = false) => prisma.placePhoto.create({
+  data: {
+    placeId,
+    position,
+    isCover,
+    url: `https://res.cloudinary.com/demo/image/upload/v1/gigglemap/places/${placeId}/photo_${position}.jpg`,
+    publicId: `gigglemap/places/${placeId}/test_photo_${Date.now()}_${position}`
+  }
+});
+
+describe('Place Photos API', () => {
+  let ownerToken = null;
+  let otherToken = null;
+  let placeId = null;
+  let photoIds = [];
+
+  beforeAll(async () => {
+    [ownerToken, otherToken] = (await createTestUsers(app, 'photo', ['owner', 'other'])).map(user => user.token);
+
+    const res = await request(app)
+      .post('/places')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Photo Test Theater', latitude: 51.5074, longitude: -0.1278 });
+    placeId = res.body.place.id;
+  });
+
+  afterAll(async () => {
+    if (placeId) {
+      await prisma.place.deleteMany({ where: { id: placeId } });
+    }
+    await cleanupTestUsers('photo');
+    await prisma.$disconnect();
+  });
+
+  it('GET /places/:id/photos should return an empty gallery', async () => {
+    const res = await request(app).get(`/places/${placeId}/photos`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(0);
+    expect(res.body.photos).toEqual([]);
+  });
+
+  it('GET /places/:id/photos should return 404 for an unknown place', async () => {
+    const res = await request(app).get('/places/999999999/photos');
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('POST /places/:id/photos should reject unauthorized access', async () => {
+    const res = await request(app).post(`/places/${placeId}/photos`);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /places/:id/photos should only allow the place owner', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/photos`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('POST /places/:id/photos should reject missing files', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/photos`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('No image files provided');
+  });
+
+  it('POST /places/:id/photos should reject files that are not images', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/photos`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .attach('photos', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_FILE_TYPE');
+  });
+
+  it('POST /places/:id/photos should reject files over the size limit', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/photos`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .attach('photos', Buffer.alloc(10 * 1024 * 1024 + 1), { filename: 'huge.jpg', contentType: 'image/jpeg' });
+    expect(res.statusCode).toBe(413);
+    expect(res.body).toEqual({ error: 'File is too large', code: 'FILE_TOO_LARGE' });
+  });
+
+  it('POST /places/:id/photos should reject more than 10 files at once', async () => {
+    let req = request(app)
+      .post(`/places/${placeId}/photos`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    for (let index = 0; index <= 10; index++) {
+      req = req.attach('photos', Buffer.from('jpeg'), { filename: `photo-${index}.jpg`, contentType: 'image/jpeg' });
+    }
+    const res = await req;
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('TOO_MANY_FILES');
+  });
+
+  it('GET /places/:id/photos should list photos in order with responsive URLs', async () => {
+    const photos = [await insertPhoto(placeId, 0, true), await insertPhoto(placeId, 1), await insertPhoto(placeId, 2)];
+    photoIds = photos.map(photo => photo.id);
+
+    const res = await request(app).get(`/places/${placeId}/photos`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.photos.map(photo => photo.id)).toEqual(photoIds);
+    expect(res.body.photos[0].isCover).toBe(true);
+    expect(res.body.photos[0]).not.toHaveProperty('publicId');
+    expect(Object.keys(res.body.photos[0].urls)).toEqual(['thumbnail', 'small', 'medium', 'large']);
+    expect(res.body.photos[0].urls.small).toContain('/upload/w_400,c_limit,q_auto,f_auto/');
+  });
+
+  it('GET /places/:id should include the cover photo', async () => {
+    const res = await request(app).get(`/places/${placeId}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.coverPhotoUrl).toContain(`/places/${placeId}/photo_0.jpg`);
+  });
+
+  it('PUT /places/:id/photos/order should reject an incomplete order', async () => {
+    const res = await request(app)
+      .put(`/places/${placeId}/photos/order`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ photoIds: photoIds.slice(1) });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('PATCH /places/:id/photos/:photoId should not unset the cover', async () => {
+    const res = await request(app)
+      .patch(`/places/${placeId}/photos/${photoIds[0]}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ isCover: false });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([{ in: 'body', field: 'isCover', message: 'isCover can only be set to true' }]);
+  });
+
+  it('PUT /places/:id/photos/order should reorder the gallery', async () => {
+    const reversed = [...photoIds].reverse();
+    const res = await request(app)
+      .put(`/places/${placeId}/photos/order`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ photoIds: reversed });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.photos.map(photo => photo.id)).toEqual(reversed);
+    expect(res.body.photos.map(photo => photo.position)).toEqual([0, 1, 2]);
+    photoIds = reversed;
+  });
+
+  it('PATCH /places/:id/photos/:photoId should set the caption and cover', async () => {
+    const res = await request(app)
+      .patch(`/places/${placeId}/photos/${photoIds[0]}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ caption: 'Main stage', isCover: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.photo.caption).toBe('Main stage');
+    expect(res.body.photo.isCover).toBe(true);
+
+    const list = await request(app).get(`/places/${placeId}/photos`);
+    expect(list.body.photos.filter(photo => photo.isCover).map(photo => photo.id)).toEqual([photoIds[0]]);
+  });
+
+  it('PATCH /places/:id/photos/:photoId should return 404 for a photo of another place', async () => {
+    const res = await request(app)
+      .patch(`/places/${placeId}/photos/999999999`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ caption: 'Nope' });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('DELETE /places/:id/photos/:photoId should promote a new cover', async () => {
+    const res = await request(app)
+      .delete(`/places/${placeId}/photos/${photoIds[0]}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const list = await request(app).get(`/places/${placeId}/photos`);
+    expect(list.body.count).toBe(2);
+    expect(list.body.photos.map(photo => photo.position)).toEqual([0, 1]);
+    expect(list.body.photos[0].id).toBe(photoIds[1]);
+    expect(list.body.photos[0].isCover).toBe(true);
+  });
+});
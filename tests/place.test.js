@@ -1,29 +1,90 @@
-const request = require('supertest');
+// supertest, with every response checked against the OpenAPI document
+const request = require('./helpers/contract.js');
 const express = require('express');
 const dotenv = require('dotenv');
 const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+const { PrismaClient } = require('../generated/prisma');
 
 dotenv.config();
 
+const prisma = new PrismaClient();
+
 const app = express();
 app.use(express.json());
 app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use(errorHandler);
 
 describe('Places API', () => {
   let testPlaceId = null;
+  let ownerToken = null;
+  let otherToken = null;
+  let ownedPlaceId = null;
+
+  beforeAll(async () => {
+    [ownerToken, otherToken] = (await createTestUsers(app, 'place', ['owner', 'other'])).map(user => user.token);
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('place');
+    await prisma.$disconnect();
+  });
+
+  it('POST /places/seed should require the admin role', async () => {
+    const anonymous = await request(app).post('/places/seed');
+    expect(anonymous.statusCode).toBe(401);
+
+    const res = await request(app)
+      .post('/places/seed')
+      .set('Authorization', `Bearer ${otherToken}`);
+    expect(res.statusCode).toBe(403);
+  });
 
   it('POST /places/seed should seed data', async () => {
-    const res = await request(app).post('/places/seed');
+    await prisma.user.update({ where: { username: 'placeowner' }, data: { role: 'admin' } });
+
+    const res = await request(app)
+      .post('/places/seed')
+      .set('Authorization', `Bearer ${ownerToken}`);
     expect(res.statusCode).toBe(201);
     expect(res.body.message).toBe('Test data seeded successfully');
   });
 
-  it('GET /places should return array', async () => {
+  it('GET /places should return a page of places', async () => {
     const res = await request(app).get('/places');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
-    expect(res.body.length).toBeGreaterThan(0);
-    testPlaceId = res.body[0].id;
+    expect(Array.isArray(res.body.places)).toBe(true);
+    expect(res.body.places.length).toBeGreaterThan(0);
+    expect(res.body).toHaveProperty('nextCursor');
+    testPlaceId = res.body.places[0].id;
+  });
+
+  it('GET /places should walk every page without duplicates', async () => {
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const res = await request(app)
+        .get('/places')
+        .query(cursor ? { limit: 2, cursor } : { limit: 2 });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.places.length).toBeLessThanOrEqual(2);
+      seen.push(...res.body.places.map(place => place.id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(new Set(seen).size).toBe(seen.length);
+    expect(seen).toEqual([...seen].sort((a, b) => a - b));
+  });
+
+  it('GET /places should reject an invalid cursor', async () => {
+    const res = await request(app).get('/places?cursor=not-a-cursor');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+    expect(res.body.code).toBe('INVALID_CURSOR');
   });
 
   it('GET /places/:id should return single place', async () => {
@@ -32,10 +93,162 @@ describe('Places API', () => {
     expect(res.body).toHaveProperty('id');
   });
 
+  it('GET /places/:id should return 404 for an unknown place', async () => {
+    const res = await request(app).get('/places/999999999');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Place not found', code: 'NOT_FOUND' });
+  });
+
+  it('GET /places/:id should reject an invalid id', async () => {
+    const res = await request(app).get('/places/not-a-number');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
   it('GET /places/nearby/search should return nearby places', async () => {
     const res = await request(app).get('/places/nearby/search?lat=30.04&lng=31.23&radius=3000');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body.center).toEqual({ latitude: 30.04, longitude: 31.23 });
+    expect(res.body.radius).toBe(3000);
+    expect(Array.isArray(res.body.places)).toBe(true);
+  });
+
+  it('GET /places/nearby/search should order places by distance', async () => {
+    const res = await request(app).get('/places/nearby/search?lat=30.04&lng=31.23&radius=5000&limit=2');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places.length).toBeLessThanOrEqual(2);
+    expect(typeof res.body.places[0].distance).toBe('number');
+
+    const distances = res.body.places.map(place => place.distance);
+    expect(distances).toEqual([...distances].sort((a, b) => a - b));
+  });
+
+  it('GET /places/nearby/search should page by distance without gaps', async () => {
+    const url = '/places/nearby/search?lat=30.04&lng=31.23&radius=5000';
+    const all = await request(app).get(`${url}&limit=100`);
+    const first = await request(app).get(`${url}&limit=1`);
+    const second = await request(app).get(`${url}&limit=1&cursor=${first.body.nextCursor}`);
+
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+    expect(first.body.places[0].id).toBe(all.body.places[0].id);
+    expect(second.body.places[0].id).toBe(all.body.places[1].id);
+  });
+
+  it('GET /places/nearest should return the k closest places however far away', async () => {
+    const res = await request(app).get('/places/nearest?lat=0&lng=0&k=2');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.k).toBe(2);
+    expect(res.body.places).toHaveLength(2);
+    expect(res.body.places[0].distance).toBeGreaterThan(1000000);
+    expect(res.body.places[0].distance).toBeLessThanOrEqual(res.body.places[1].distance);
+  });
+
+  it('GET /places/nearest should reject invalid coordinates', async () => {
+    const res = await request(app).get('/places/nearest?lat=abc&lng=0');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Invalid latitude or longitude');
+  });
+
+  it('GET /places should return structured coordinates by default', async () => {
+    const res = await request(app).get('/places');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places[0].location).toEqual({
+      lat: expect.any(Number),
+      lng: expect.any(Number)
+    });
+  });
+
+  it('GET /places?format=geojson should return a FeatureCollection', async () => {
+    const res = await request(app).get('/places?format=geojson');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('application/geo+json');
+    expect(res.body.type).toBe('FeatureCollection');
+    expect(res.body.features[0].type).toBe('Feature');
+    expect(res.body.features[0].geometry.type).toBe('Point');
+    expect(res.body.features[0].properties).toHaveProperty('name');
+  });
+
+  it('GET /places/nearby/search should honour Accept: application/geo+json', async () => {
+    const res = await request(app)
+      .get('/places/nearby/search?lat=30.04&lng=31.23&radius=3000')
+      .set('Accept', 'application/geo+json');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.type).toBe('FeatureCollection');
+    expect(Array.isArray(res.body.features)).toBe(true);
+  });
+
+  it('GET /places/:id?format=geojson should return a Feature', async () => {
+    const res = await request(app).get(`/places/${testPlaceId}?format=geojson`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.type).toBe('Feature');
+    expect(res.body.id).toBe(testPlaceId);
+    expect(res.body.geometry.coordinates).toHaveLength(2);
+  });
+
+  it('GET /places/within should return places inside the viewport', async () => {
+    const res = await request(app).get('/places/within?bbox=31.2,30.0,31.3,30.1');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.truncated).toBe(false);
+    expect(res.body.count).toBe(res.body.places.length);
+    expect(res.body.places.some(place => place.name === 'City Square')).toBe(true);
+    res.body.places.forEach(place => {
+      expect(place.location.lng).toBeGreaterThanOrEqual(31.2);
+      expect(place.location.lng).toBeLessThanOrEqual(31.3);
+    });
+  });
+
+  it('GET /places/within should flag truncated results', async () => {
+    const res = await request(app).get('/places/within?bbox=31.2,30.0,31.3,30.1&limit=1');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places.length).toBe(1);
+    expect(res.body.truncated).toBe(true);
+  });
+
+  it('GET /places/within should support viewports crossing the antimeridian', async () => {
+    const res = await request(app).get('/places/within?bbox=170,-10,-170,10&format=geojson');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.type).toBe('FeatureCollection');
+    expect(res.body.bbox).toEqual([170, -10, -170, 10]);
+    expect(res.body.features.some(feature => feature.properties.name === 'City Square')).toBe(false);
+  });
+
+  it('GET /places/within should reject a malformed bbox', async () => {
+    const res = await request(app).get('/places/within?bbox=31.2,30.0,31.3');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('bbox');
+  });
+
+  it('GET /places/search should find places by name with highlights', async () => {
+    const res = await request(app).get('/places/search?q=library');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.query).toBe('library');
+
+    const match = res.body.places.find(place => place.name === 'Library Park');
+    expect(match).toBeDefined();
+    expect(typeof match.score).toBe('number');
+    expect(match.highlights.name).toContain('<mark>Library</mark>');
+  });
+
+  it('GET /places/search should tolerate typos', async () => {
+    const res = await request(app).get('/places/search?q=Libary Prk');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places.some(place => place.name === 'Library Park')).toBe(true);
+  });
+
+  it('GET /places/search should search descriptions and accept a proximity boost', async () => {
+    const res = await request(app).get('/places/search?q=street food&lat=30.05&lng=31.245');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places[0].name).toBe('Food Plaza');
+    expect(res.body.places[0].highlights.description).toContain('<mark>');
+  });
+
+  it('GET /places/search should reject short queries and half a location', async () => {
+    const short = await request(app).get('/places/search?q=a');
+    expect(short.statusCode).toBe(400);
+    expect(short.body.error).toContain('2 characters');
+
+    const partial = await request(app).get('/places/search?q=library&lat=30.05');
+    expect(partial.statusCode).toBe(400);
   });
 
   it('GET /places/route/distance should return a number', async () => {
@@ -47,4 +260,157 @@ describe('Places API', () => {
     expect(typeof res.body.distance).toBe('number');
     expect(res.body.distance).toBeGreaterThan(0);
   });
+
+  describe('Place ownership', () => {
+    it('POST /places should reject unauthenticated requests', async () => {
+      const res = await request(app)
+        .post('/places')
+        .send({ name: 'Anonymous Spot', latitude: 30.04, longitude: 31.23 });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error).toContain('token required');
+    });
+
+    it('POST /places should record the creator as owner', async () => {
+      const res = await request(app)
+        .post('/places')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          name: 'Owner Cafe',
+          description: 'Owned place',
+          latitude: 30.04,
+          longitude: 31.23,
+          category: 'cafe',
+          tags: ['WiFi', ' quiet ', 'wifi']
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.place).toHaveProperty('id');
+      expect(res.body.place.createdById).toEqual(expect.any(Number));
+      expect(res.body.place.category).toBe('cafe');
+      expect(res.body.place.tags).toEqual(['wifi', 'quiet']);
+      ownedPlaceId = res.body.place.id;
+    });
+
+    it('POST /places should reject an unknown category', async () => {
+      const res = await request(app)
+        .post('/places')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Mystery', latitude: 30.04, longitude: 31.23, category: 'spaceport' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('Unknown category');
+    });
+
+    it('POST /places should reject missing and out-of-range coordinates', async () => {
+      const res = await request(app)
+        .post('/places')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Nowhere', latitude: 123 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details).toEqual([
+        { in: 'body', field: 'longitude', message: 'longitude is required' },
+        { in: 'body', field: 'latitude', message: 'Invalid latitude or longitude' }
+      ]);
+    });
+
+    it('GET /places/nearby/search should coerce query parameters', async () => {
+      const res = await request(app).get('/places/nearby/search?lat=30.04&lng=31.23');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.center).toEqual({ latitude: 30.04, longitude: 31.23 });
+      expect(res.body.radius).toBe(5000);
+    });
+
+    it('GET /places should filter by category and tags', async () => {
+      const byCategory = await request(app).get('/places?category=cafe&limit=100');
+      expect(byCategory.statusCode).toBe(200);
+      expect(byCategory.body.places.some(place => place.id === ownedPlaceId)).toBe(true);
+      byCategory.body.places.forEach(place => expect(place.category).toBe('cafe'));
+
+      const byTags = await request(app).get('/places?tags=wifi,quiet&limit=100');
+      expect(byTags.statusCode).toBe(200);
+      byTags.body.places.forEach(place => expect(place.tags).toEqual(expect.arrayContaining(['wifi', 'quiet'])));
+    });
+
+    it('GET /places/nearby/search and /places/within should apply filters', async () => {
+      const nearby = await request(app)
+        .get('/places/nearby/search?lat=30.04&lng=31.23&radius=5000&category=cafe');
+      expect(nearby.statusCode).toBe(200);
+      expect(nearby.body.places.map(place => place.id)).toContain(ownedPlaceId);
+      nearby.body.places.forEach(place => expect(place.category).toBe('cafe'));
+
+      const within = await request(app)
+        .get('/places/within?bbox=31.2,30.0,31.3,30.1&tags=wifi');
+      expect(within.statusCode).toBe(200);
+      expect(within.body.places.map(place => place.id)).toContain(ownedPlaceId);
+    });
+
+    it('GET /places/categories should count places per category inside a radius', async () => {
+      const res = await request(app).get('/places/categories?lat=30.04&lng=31.23&radius=5000');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.radius).toBe(5000);
+
+      const cafe = res.body.categories.find(category => category.slug === 'cafe');
+      expect(cafe.name).toBe('Café');
+      expect(cafe.count).toBeGreaterThanOrEqual(1);
+    });
+
+    it('PATCH /places/:id should reject non-owners', async () => {
+      const res = await request(app)
+        .patch(`/places/${ownedPlaceId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Hijacked' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toContain('Access denied');
+    });
+
+    it('PATCH /places/:id should reject a partial location', async () => {
+      const res = await request(app)
+        .patch(`/places/${ownedPlaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ latitude: 30.05 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('together');
+    });
+
+    it('PATCH /places/:id should update and move an owned place', async () => {
+      const res = await request(app)
+        .patch(`/places/${ownedPlaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Owner Cafe Moved', latitude: 30.05, longitude: 31.245 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.place.name).toBe('Owner Cafe Moved');
+      expect(res.body.place.location).toEqual({ lat: 30.05, lng: 31.245 });
+    });
+
+    it('PATCH /places/:id should return 404 for non-existent place', async () => {
+      const res = await request(app)
+        .patch('/places/999999')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Ghost' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('DELETE /places/:id should reject non-owners', async () => {
+      const res = await request(app)
+        .delete(`/places/${ownedPlaceId}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('DELETE /places/:id should delete an owned place', async () => {
+      const res = await request(app)
+        .delete(`/places/${ownedPlaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toBe('Place deleted successfully');
+    });
+  });
 });
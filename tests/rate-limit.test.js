@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+const userRoutes = require('../src/routes/user.routes.js');
+const { createMemoryStore, setRateLimitStore } = require('../src/services/rate-limit.service.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Registered in beforeAll
+let testUser = null;
+
+const login = (password, emailOrUsername = testUser.username) => request(app)
+  .post('/users/login')
+  .send({ emailOrUsername, password });
+
+describe('Auth rate limiting', () => {
+  beforeAll(async () => {
+    [testUser] = await createTestUsers(app, 'limit', ['user']);
+  });
+
+  // Every test starts with empty counters
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    setRateLimitStore(null);
+    await cleanupTestUsers('limit');
+  });
+
+  it('should lock an account after repeated wrong passwords', async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const res = await login('wrongpassword');
+      expect(res.statusCode).toBe(401);
+    }
+
+    const locked = await login('wrongpassword');
+    expect(locked.statusCode).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(locked.headers['retry-after'])).toBeLessThanOrEqual(60);
+
+    // The right password does not get through while locked
+    const correct = await login(testUser.password);
+    expect(correct.statusCode).toBe(429);
+  });
+
+  it('should lock for longer after each further failure', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await login('wrongpassword');
+    }
+
+    const start = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(start + 61 * 1000);
+    const again = await login('wrongpassword');
+    expect(again.statusCode).toBe(429);
+    expect(Number(again.headers['retry-after'])).toBeGreaterThan(60);
+    expect(Number(again.headers['retry-after'])).toBeLessThanOrEqual(120);
+  });
+
+  it('should unlock after the lockout and reset the failures on success', async () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await login('wrongpassword');
+    }
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+    const res = await login(testUser.password);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('token');
+
+    const wrong = await login('wrongpassword');
+    expect(wrong.statusCode).toBe(401);
+  });
+
+  it('POST /users/login should limit attempts per account', async () => {
+    // An unknown account is never locked, so only the per-account limit applies
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      const res = await login('password123', 'NoSuchLimitUser');
+      expect(res.statusCode).toBe(401);
+    }
+
+    const res = await login('password123', 'nosuchlimituser');
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('POST /users/register should limit registrations per IP', async () => {
+    for (let attempt = 1; attempt <= 20; attempt++) {
+      const res = await request(app).post('/users/register').send({});
+      expect(res.statusCode).toBe(400);
+    }
+
+    const res = await request(app).post('/users/register').send({});
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+const { PrismaClient } = require('../generated/prisma');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const app = express();
+app.use(express.json());
+app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+describe('Reviews API', () => {
+  let tokenA = null;
+  let tokenB = null;
+  let placeId = null;
+  let reviewId = null;
+
+  beforeAll(async () => {
+    [tokenA, tokenB] = (await createTestUsers(app, 'reviewer', ['a', 'b'])).map(user => user.token);
+
+    const res = await request(app)
+      .post('/places')
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ name: 'Review Test Cafe', latitude: 48.8566, longitude: 2.3522, category: 'cafe' });
+    placeId = res.body.place.id;
+  });
+
+  afterAll(async () => {
+    if (placeId) {
+      await prisma.place.deleteMany({ where: { id: placeId } });
+    }
+    await cleanupTestUsers('reviewer');
+    await prisma.$disconnect();
+  });
+
+  it('POST /places/:id/reviews should require authentication', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .send({ rating: 5 });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /places/:id/reviews should reject ratings outside 1-5', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ rating: 6 });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /places/:id/reviews should list every invalid field', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ rating: 'great', body: 'x'.repeat(2001) });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details).toEqual([
+      { in: 'body', field: 'rating', message: 'Rating must be an integer between 1 and 5' },
+      { in: 'body', field: 'body', message: 'Review text must be at most 2000 characters' }
+    ]);
+  });
+
+  it('POST /places/:id/reviews should create a review', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ rating: 4, body: 'Great coffee' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.review.rating).toBe(4);
+    expect(res.body.review.user.username).toBe('reviewera');
+    reviewId = res.body.review.id;
+  });
+
+  it('POST /places/:id/reviews should allow one review per user', async () => {
+    const res = await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ rating: 1 });
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('POST /places/:id/reviews should return 404 for an unknown place', async () => {
+    const res = await request(app)
+      .post('/places/999999999/reviews')
+      .set('Authorization', `Bearer ${tokenB}`)
+      .send({ rating: 3 });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('GET /places/:id/reviews should list reviews with aggregates', async () => {
+    await request(app)
+      .post(`/places/${placeId}/reviews`)
+      .set('Authorization', `Bearer ${tokenB}`)
+      .send({ rating: 2 });
+
+    const res = await request(app).get(`/places/${placeId}/reviews`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reviewCount).toBe(2);
+    expect(res.body.averageRating).toBe(3);
+    expect(res.body.reviews.length).toBe(2);
+    expect(res.body).toHaveProperty('nextCursor');
+  });
+
+  it('GET /places/:id should include the rating aggregates', async () => {
+    const res = await request(app).get(`/places/${placeId}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.averageRating).toBe(3);
+    expect(res.body.reviewCount).toBe(2);
+  });
+
+  it('PATCH /places/:id/reviews/:reviewId should only allow the author', async () => {
+    const res = await request(app)
+      .patch(`/places/${placeId}/reviews/${reviewId}`)
+      .set('Authorization', `Bearer ${tokenB}`)
+      .send({ rating: 1 });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('PATCH /places/:id/reviews/:reviewId should update the review and aggregates', async () => {
+    const res = await request(app)
+      .patch(`/places/${placeId}/reviews/${reviewId}`)
+      .set('Authorization', `Bearer ${tokenA}`)
+      .send({ rating: 5 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.review.rating).toBe(5);
+
+    const place = await request(app).get(`/places/${placeId}`);
+    expect(place.body.averageRating).toBe(3.5);
+  });
+
+  it('GET /places/nearby/search should filter and sort by rating', async () => {
+    const res = await request(app)
+      .get('/places/nearby/search')
+      .query({ lat: 48.8566, lng: 2.3522, radius: 1000, minRating: 3.5, sort: 'rating' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.places.map(place => place.id)).toContain(placeId);
+    expect(res.body.places.every(place => place.averageRating >= 3.5)).toBe(true);
+
+    const ratings = res.body.places.map(place => place.averageRating);
+    expect(ratings).toEqual([...ratings].sort((a, b) => b - a));
+  });
+
+  it('GET /places/nearby/search should reject an invalid minRating', async () => {
+    const res = await request(app)
+      .get('/places/nearby/search')
+      .query({ lat: 48.8566, lng: 2.3522, minRating: 9 });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('DELETE /places/:id/reviews/:reviewId should delete the review', async () => {
+    const res = await request(app)
+      .delete(`/places/${placeId}/reviews/${reviewId}`)
+      .set('Authorization', `Bearer ${tokenA}`);
+    expect(res.statusCode).toBe(200);
+
+    const list = await request(app).get(`/places/${placeId}/reviews`);
+    expect(list.body.reviewCount).toBe(1);
+    expect(list.body.averageRating).toBe(2);
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const jwt = require('jsonwebtoken');
+const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Registered in beforeAll
+let testUser = null;
+
+const login = () => request(app)
+  .post('/users/login')
+  .send({ emailOrUsername: testUser.username, password: testUser.password });
+
+const getMe = token => request(app).get('/users/me').set('Authorization', `Bearer ${token}`);
+
+describe('Sessions API', () => {
+  beforeAll(async () => {
+    [testUser] = await createTestUsers(app, 'session', ['user']);
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('session');
+  });
+
+  it('POST /users/login should return an access token and a refresh token', async () => {
+    const res = await login();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body).toHaveProperty('expiresIn');
+    expect((await getMe(res.body.token)).statusCode).toBe(200);
+  });
+
+  it('should reject a token signed without a session', async () => {
+    const { body } = await login();
+    const { userId, username } = jwt.decode(body.token);
+    const legacyToken = jwt.sign({ userId, username }, process.env.JWT_SECRET || 'your-secret-key');
+
+    const res = await getMe(legacyToken);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /users/refresh should require a refresh token', async () => {
+    const res = await request(app).post('/users/refresh').send({});
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/refresh should reject a malformed refresh token', async () => {
+    const res = await request(app).post('/users/refresh').send({ refreshToken: 'garbage' });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /users/refresh should rotate the refresh token', async () => {
+    const { body: session } = await login();
+
+    const res = await request(app).post('/users/refresh').send({ refreshToken: session.refreshToken });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+    expect((await getMe(res.body.token)).statusCode).toBe(200);
+
+    const next = await request(app).post('/users/refresh').send({ refreshToken: res.body.refreshToken });
+    expect(next.statusCode).toBe(200);
+  });
+
+  it('POST /users/refresh should revoke the session when a rotated token is reused', async () => {
+    const { body: session } = await login();
+    const rotated = await request(app).post('/users/refresh').send({ refreshToken: session.refreshToken });
+
+    const reused = await request(app).post('/users/refresh').send({ refreshToken: session.refreshToken });
+    expect(reused.statusCode).toBe(401);
+
+    expect((await getMe(rotated.body.token)).statusCode).toBe(401);
+    const legitimate = await request(app).post('/users/refresh').send({ refreshToken: rotated.body.refreshToken });
+    expect(legitimate.statusCode).toBe(401);
+  });
+
+  it('POST /users/refresh should leave the session alone for a wrong secret', async () => {
+    const { body: session } = await login();
+    const [sessionId] = session.refreshToken.split('.');
+
+    const guessed = await request(app).post('/users/refresh').send({ refreshToken: `${sessionId}.garbage` });
+    expect(guessed.statusCode).toBe(401);
+
+    expect((await getMe(session.token)).statusCode).toBe(200);
+    const legitimate = await request(app).post('/users/refresh').send({ refreshToken: session.refreshToken });
+    expect(legitimate.statusCode).toBe(200);
+  });
+
+  it('POST /users/logout should end only the current session', async () => {
+    const { body: first } = await login();
+    const { body: second } = await login();
+
+    const res = await request(app)
+      .post('/users/logout')
+      .set('Authorization', `Bearer ${first.token}`);
+    expect(res.statusCode).toBe(200);
+
+    expect((await getMe(first.token)).statusCode).toBe(401);
+    const refresh = await request(app).post('/users/refresh').send({ refreshToken: first.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+
+    expect((await getMe(second.token)).statusCode).toBe(200);
+  });
+
+  it('POST /users/logout-all should end every session', async () => {
+    const { body: first } = await login();
+    const { body: second } = await login();
+
+    const res = await request(app)
+      .post('/users/logout-all')
+      .set('Authorization', `Bearer ${first.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revokedSessions).toBeGreaterThanOrEqual(2);
+
+    expect((await getMe(first.token)).statusCode).toBe(401);
+    expect((await getMe(second.token)).statusCode).toBe(401);
+    const refresh = await request(app).post('/users/refresh').send({ refreshToken: second.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+});
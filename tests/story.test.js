@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const placeRoutes = require('../src/routes/place.routes.js');
+const userRoutes = require('../src/routes/user.routes.js');
+const storyRoutes = require('../src/routes/story.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+const { PrismaClient } = require('../generated/prisma');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const app = express();
+app.use(express.json());
+app.use('/places', placeRoutes);
+app.use('/users', userRoutes);
+app.use('/stories', storyRoutes);
+app.use(errorHandler);
+
+describe('Stories API', () => {
+  let authorToken = null;
+  let readerToken = null;
+  let authorId = null;
+  let placeId = null;
+  let storyId = null;
+  let expiredStoryId = null;
+
+  beforeAll(async () => {
+    const [author, reader] = await createTestUsers(app, 'story', ['author', 'reader']);
+    [authorToken, readerToken, authorId] = [author.token, reader.token, author.id];
+
+    const res = await request(app)
+      .post('/places')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ name: 'Story Test Club', latitude: 40.7128, longitude: -74.006, category: 'comedy-club' });
+    placeId = res.body.place.id;
+  });
+
+  afterAll(async () => {
+    if (placeId) {
+      await prisma.place.deleteMany({ where: { id: placeId } });
+    }
+    await cleanupTestUsers('story');
+    await prisma.$disconnect();
+  });
+
+  it('POST /stories should require authentication', async () => {
+    const res = await request(app).post('/stories').send({ text: 'Hello' });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /stories should reject a story without text or media', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('A story needs text or media');
+  });
+
+  it('POST /stories should reject both a place and coordinates', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Hello', placeId, latitude: 40.7, longitude: -74 });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /stories should tag a place and take its location', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Great set tonight', placeId });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.story.place).toEqual({ id: placeId, name: 'Story Test Club' });
+    expect(res.body.story.location.lat).toBeCloseTo(40.7128, 4);
+    expect(res.body.story.author.username).toBe('storyauthor');
+    storyId = res.body.story.id;
+  });
+
+  it('POST /stories should return 404 for an unknown place', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Nowhere', placeId: 999999999 });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('POST /stories should accept a raw point', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Street show', latitude: 40.73, longitude: -73.99 });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.story.place).toBeNull();
+    expect(res.body.story.location).toEqual({ lat: 40.73, lng: -73.99 });
+  });
+
+  it('POST /stories should reject an expiry in the past', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Old news', expiresAt: '2000-01-01T00:00:00Z' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('GET /users/:id/engagement should count stories automatically', async () => {
+    const res = await request(app).get(`/users/${authorId}/engagement`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.storyCount).toBe(2);
+  });
+
+  it('GET /stories/:id should return a story', async () => {
+    const res = await request(app).get(`/stories/${storyId}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.text).toBe('Great set tonight');
+  });
+
+  it('GET /stories/:id should hide expired stories from everyone but the author', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ text: 'Fleeting', expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    expiredStoryId = res.body.story.id;
+    await prisma.story.update({ where: { id: expiredStoryId }, data: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const anonymous = await request(app).get(`/stories/${expiredStoryId}`);
+    expect(anonymous.statusCode).toBe(404);
+
+    const author = await request(app)
+      .get(`/stories/${expiredStoryId}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(author.statusCode).toBe(200);
+  });
+
+  it('GET /users/:id/stories should list active stories newest first', async () => {
+    const res = await request(app).get(`/users/${authorId}/stories`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.stories.map(story => story.id)).not.toContain(expiredStoryId);
+
+    const ids = res.body.stories.map(story => story.id);
+    expect(ids).toEqual([...ids].sort((a, b) => b - a));
+
+    const own = await request(app)
+      .get(`/users/${authorId}/stories`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(own.body.stories.map(story => story.id)).toContain(expiredStoryId);
+  });
+
+  it('DELETE /stories/:id should only allow the author', async () => {
+    const res = await request(app)
+      .delete(`/stories/${storyId}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('DELETE /stories/:id should delete the story and decrement storyCount', async () => {
+    const res = await request(app)
+      .delete(`/stories/${storyId}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const story = await request(app).get(`/stories/${storyId}`);
+    expect(story.statusCode).toBe(404);
+
+    const engagement = await request(app).get(`/users/${authorId}/engagement`);
+    expect(engagement.body.storyCount).toBe(2);
+  });
+});
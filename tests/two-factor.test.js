@@ -0,0 +1,196 @@
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const userRoutes = require('../src/routes/user.routes.js');
+const { generateTotp } = require('../src/utils/totp.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { createMemoryStore, setRateLimitStore } = require('../src/services/rate-limit.service.js');
+const { createTestUsers, cleanupTestUsers } = require('./helpers/users.js');
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use(errorHandler);
+
+// Registered in beforeAll
+let testUser = null;
+
+const login = () => request(app)
+  .post('/users/login')
+  .send({ emailOrUsername: testUser.username, password: testUser.password });
+
+// Codes for the next 30-second step, which the server accepts as clock drift
+const nextCode = secret => generateTotp(secret, Date.now() + 30 * 1000);
+
+describe('Two-factor authentication API', () => {
+  let token = null;
+  let secret = null;
+  let recoveryCodes = [];
+
+  beforeAll(async () => {
+    [testUser] = await createTestUsers(app, 'totp', ['user']);
+    token = testUser.token;
+  });
+
+  afterAll(async () => {
+    await cleanupTestUsers('totp');
+  });
+
+  it('POST /users/me/2fa/setup should return a secret and an otpauth URI', async () => {
+    const res = await request(app)
+      .post('/users/me/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(res.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/GiggleMap:/);
+    expect(res.body.otpauthUri).toContain(`secret=${res.body.secret}`);
+    secret = res.body.secret;
+  });
+
+  it('should keep the password-only login until enrollment is confirmed', async () => {
+    const res = await login();
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.twoFactorRequired).toBeUndefined();
+  });
+
+  it('POST /users/me/2fa/confirm should reject a wrong code', async () => {
+    const res = await request(app)
+      .post('/users/me/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret) === '000000' ? '111111' : '000000' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/me/2fa/confirm should enable 2FA and return recovery codes', async () => {
+    const res = await request(app)
+      .post('/users/me/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    recoveryCodes = res.body.recoveryCodes;
+  });
+
+  it('POST /users/login should return a challenge instead of tokens', async () => {
+    const res = await login();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body).toHaveProperty('challengeToken');
+    expect(res.body).not.toHaveProperty('token');
+    expect(res.body).not.toHaveProperty('user');
+  });
+
+  it('should not accept a challenge token as an access token', async () => {
+    const { body } = await login();
+    const res = await request(app).get('/users/me').set('Authorization', `Bearer ${body.challengeToken}`);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('POST /users/login/2fa should issue tokens for a valid code once', async () => {
+    const { body } = await login();
+    const code = nextCode(secret);
+
+    const res = await request(app)
+      .post('/users/login/2fa')
+      .send({ challengeToken: body.challengeToken, code });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.user).not.toHaveProperty('totpSecret');
+    expect((await request(app).get('/users/me').set('Authorization', `Bearer ${res.body.token}`)).statusCode).toBe(200);
+
+    const { body: again } = await login();
+    const replay = await request(app)
+      .post('/users/login/2fa')
+      .send({ challengeToken: again.challengeToken, code });
+    expect(replay.statusCode).toBe(401);
+  });
+
+  it('POST /users/login/2fa should accept each recovery code once', async () => {
+    const { body } = await login();
+    const res = await request(app)
+      .post('/users/login/2fa')
+      .send({ challengeToken: body.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(res.statusCode).toBe(200);
+
+    const { body: again } = await login();
+    const reused = await request(app)
+      .post('/users/login/2fa')
+      .send({ challengeToken: again.challengeToken, recoveryCode: recoveryCodes[0] });
+    expect(reused.statusCode).toBe(401);
+  });
+
+  it('POST /users/login/2fa should reject an invalid challenge', async () => {
+    const res = await request(app)
+      .post('/users/login/2fa')
+      .send({ challengeToken: 'garbage', code: generateTotp(secret) });
+    expect(res.statusCode).toBe(401);
+  });
+
+  describe('guessing codes', () => {
+    // Fresh counters, so these failures do not lock the account for the other tests
+    beforeEach(() => {
+      setRateLimitStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+      setRateLimitStore(null);
+    });
+
+    const wrongCode = () => (nextCode(secret) === '000000' ? '111111' : '000000');
+    const answer = (challengeToken, proof) => request(app).post('/users/login/2fa').send({ challengeToken, ...proof });
+
+    it('POST /users/login/2fa should accept a challenge once', async () => {
+      const { body } = await login();
+      expect((await answer(body.challengeToken, { recoveryCode: recoveryCodes[1] })).statusCode).toBe(200);
+
+      const reused = await answer(body.challengeToken, { recoveryCode: recoveryCodes[2] });
+      expect(reused.statusCode).toBe(401);
+      expect(reused.body.code).toBe('INVALID_LOGIN_CHALLENGE');
+    });
+
+    it('POST /users/login/2fa should give up on a challenge after 3 attempts', async () => {
+      const { body } = await login();
+      for (let i = 0; i < 3; i++) {
+        expect((await answer(body.challengeToken, { code: wrongCode() })).statusCode).toBe(401);
+      }
+
+      const res = await answer(body.challengeToken, { recoveryCode: recoveryCodes[2] });
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('INVALID_LOGIN_CHALLENGE');
+    });
+
+    it('POST /users/login/2fa should lock the account after wrong codes on several challenges', async () => {
+      for (let i = 0; i < 2; i++) {
+        const { body } = await login();
+        await answer(body.challengeToken, { code: wrongCode() });
+        await answer(body.challengeToken, { code: wrongCode() });
+      }
+
+      const { body } = await login();
+      const res = await answer(body.challengeToken, { code: wrongCode() });
+      expect(res.statusCode).toBe(429);
+      expect(res.body.code).toBe('ACCOUNT_LOCKED');
+      expect((await login()).statusCode).toBe(429);
+    });
+  });
+
+  it('DELETE /users/me/2fa should require the password', async () => {
+    const wrong = await request(app)
+      .delete('/users/me/2fa')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrongpassword' });
+    expect(wrong.statusCode).toBe(403);
+
+    const res = await request(app)
+      .delete('/users/me/2fa')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: testUser.password });
+    expect(res.statusCode).toBe(200);
+
+    const { body } = await login();
+    expect(body).toHaveProperty('token');
+  });
+});
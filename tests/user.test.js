@@ -1,6 +1,8 @@
-const request = require('supertest');
+// supertest, with every response checked against the OpenAPI document
+const request = require('./helpers/contract.js');
 const express = require('express');
 const userRoutes = require('../src/routes/user.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
 const { PrismaClient } = require('../generated/prisma');
 
 const prisma = new PrismaClient();
@@ -9,6 +11,7 @@ const prisma = new PrismaClient();
 const app = express();
 app.use(express.json());
 app.use('/users', userRoutes);
+app.use(errorHandler);
 
 // Test data
 let testUser = null;
@@ -335,6 +338,27 @@ describe('Users API', () => {
       expect(res.statusCode).toBe(403);
       expect(res.body.error).toContain('Access denied');
     });
+
+    it('PUT /users/:id should reject an invalid website and out-of-range coordinates', async () => {
+      const res = await request(app)
+        .put(`/users/${testUserId}`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ website: 'javascript:alert(1)', latitude: 123, longitude: 31.2357 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(res.body.details.map(detail => detail.field)).toEqual(['website', 'latitude']);
+    });
+
+    it('PUT /users/:id should reject half a location', async () => {
+      const res = await request(app)
+        .put(`/users/${testUserId}`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ latitude: 30.05 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('together');
+    });
   });
 
   describe('User Search', () => {
@@ -367,6 +391,30 @@ describe('Users API', () => {
       expect(res.body.users.length).toBeLessThanOrEqual(1);
     });
 
+    it('GET /users/search should paginate with a cursor', async () => {
+      const first = await request(app)
+        .get('/users/search?q=testuser&limit=1');
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body.users.length).toBe(1);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/users/search?q=testuser&limit=1&cursor=${first.body.nextCursor}`);
+
+      expect(second.statusCode).toBe(200);
+      expect(second.body.users.length).toBe(1);
+      expect(second.body.users[0].id).not.toBe(first.body.users[0].id);
+    });
+
+    it('GET /users/search should reject an invalid cursor', async () => {
+      const res = await request(app)
+        .get('/users/search?q=testuser&cursor=garbage');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid cursor');
+    });
+
     it('GET /users/search should reject short query', async () => {
       const res = await request(app)
         .get('/users/search?q=a');
@@ -400,6 +448,17 @@ describe('Users API', () => {
       }
     });
 
+    it('GET /users/nearby?format=geojson should return a FeatureCollection', async () => {
+      const res = await request(app)
+        .get('/users/nearby?lat=30.044&lng=31.235&radius=5000&format=geojson');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('application/geo+json');
+      expect(res.body.type).toBe('FeatureCollection');
+      expect(res.body.center).toEqual({ latitude: 30.044, longitude: 31.235 });
+      expect(res.body.features.some(feature => feature.properties.username === 'testuser')).toBe(true);
+    });
+
     it('GET /users/nearby should reject missing coordinates', async () => {
       const res = await request(app)
         .get('/users/nearby?lat=30.044');
@@ -433,35 +492,36 @@ describe('Users API', () => {
       expect(typeof res.body.commentCount).toBe('number');
     });
 
-    it('PUT /users/:id/stats should update engagement stats', async () => {
-      const updateData = {
-        statType: 'storyCount',
-        increment: 5
-      };
+    it('PUT /users/:id/stats should require the admin role', async () => {
+      const res = await request(app)
+        .put(`/users/${testUserId}/stats`)
+        .set('Authorization', `Bearer ${testToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('PUT /users/:id/stats should recalculate engagement stats', async () => {
+      await prisma.user.update({ where: { id: testUserId }, data: { role: 'admin' } });
 
       const res = await request(app)
         .put(`/users/${testUserId}/stats`)
-        .set('Authorization', `Bearer ${testToken}`)
-        .send(updateData);
+        .set('Authorization', `Bearer ${testToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(res.body.message).toBe('User stats updated successfully');
-      expect(res.body.user.storyCount).toBe(5);
+      expect(res.body.message).toBe('User stats recalculated successfully');
+      expect(res.body.user.storyCount).toBe(0);
+      expect(res.body.user.likeCount).toBe(0);
+      expect(res.body.user.commentCount).toBe(0);
     });
 
-    it('PUT /users/:id/stats should reject invalid stat type', async () => {
-      const updateData = {
-        statType: 'invalidStat',
-        increment: 1
-      };
-
+    it('PUT /users/:id/stats should not set counters arbitrarily', async () => {
       const res = await request(app)
         .put(`/users/${testUserId}/stats`)
         .set('Authorization', `Bearer ${testToken}`)
-        .send(updateData);
+        .send({ statType: 'likeCount', increment: 5 });
 
-      expect(res.statusCode).toBe(400);
-      expect(res.body.error).toContain('Invalid stat type');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user.likeCount).toBe(0);
     });
 
     it('PUT /users/:id/stats should reject unauthorized access', async () => {
@@ -479,6 +539,61 @@ describe('Users API', () => {
     });
   });
 
+  describe('User Roles', () => {
+    // testuser was promoted to admin by the stats tests above
+    it('PUT /users/:id/role should reject non-admins', async () => {
+      const res = await request(app)
+        .put(`/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${secondToken}`)
+        .send({ role: 'admin' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toContain('requires role');
+    });
+
+    it('PUT /users/:id/role should reject unknown roles', async () => {
+      const res = await request(app)
+        .put(`/users/${secondUserId}/role`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ role: 'superuser' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('PUT /users/:id/role should not change own role', async () => {
+      const res = await request(app)
+        .put(`/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ role: 'user' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('PUT /users/:id/role should let an admin promote a user', async () => {
+      const res = await request(app)
+        .put(`/users/${secondUserId}/role`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ role: 'moderator' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user).toEqual({ id: secondUserId, username: 'testuser2', role: 'moderator' });
+
+      const profile = await request(app)
+        .get('/users/me')
+        .set('Authorization', `Bearer ${secondToken}`);
+      expect(profile.body.role).toBe('moderator');
+    });
+
+    it('PUT /users/:id/role should return 404 for a missing user', async () => {
+      const res = await request(app)
+        .put('/users/999999999/role')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ role: 'user' });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
   describe('Avatar Upload', () => {
     it('POST /users/:id/avatar should reject unauthorized access', async () => {
       const res = await request(app)
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const express = require('express');
+const { validate } = require('../src/middleware/validate.middleware.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+
+const app = express();
+app.use(express.json());
+
+const echo = (req, res) => res.json({ params: req.params, query: req.query, body: req.body });
+
+app.get('/items/:id', validate({
+  params: {
+    type: 'object',
+    properties: { id: { type: 'integer', minimum: 1, errorMessage: 'Invalid item ID' } }
+  },
+  query: {
+    type: 'object',
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      sort: { type: 'string', enum: ['name', 'date'], default: 'name' }
+    }
+  }
+}), echo);
+
+app.post('/items', validate({
+  body: {
+    type: 'object',
+    required: ['name', 'tags'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    additionalProperties: false
+  }
+}), echo);
+
+app.use(errorHandler);
+
+describe('Request validation', () => {
+  it('should coerce params and query and fill in defaults', async () => {
+    const res = await request(app).get('/items/42?lat=30.5');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.params).toEqual({ id: 42 });
+    expect(res.body.query).toEqual({ lat: 30.5, sort: 'name' });
+  });
+
+  it('should list every invalid field', async () => {
+    const res = await request(app).get('/items/0?lat=91&sort=size');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error).toBe('Invalid item ID');
+    expect(res.body.details).toEqual([
+      { in: 'params', field: 'id', message: 'Invalid item ID' },
+      { in: 'query', field: 'lat', message: 'lat must be <= 90' },
+      { in: 'query', field: 'sort', message: 'sort must be equal to one of the allowed values' }
+    ]);
+  });
+
+  it('should report missing body fields', async () => {
+    const res = await request(app).post('/items').send({ tags: ['a', 'b'] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toEqual([{ in: 'body', field: 'name', message: 'name is required' }]);
+  });
+
+  it('should report nested fields by path', async () => {
+    const res = await request(app).post('/items').send({ name: 'Lamp', tags: ['a', ['b']] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0].field).toBe('tags.1');
+  });
+
+  it('should drop body fields the schema does not declare', async () => {
+    const res = await request(app).post('/items').send({ name: 'Lamp', tags: [], role: 'admin' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.body).toEqual({ name: 'Lamp', tags: [] });
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const dotenv = require('dotenv');
+const userRoutes = require('../src/routes/user.routes.js');
+const storyRoutes = require('../src/routes/story.routes.js');
+const { errorHandler } = require('../src/middleware/error.middleware.js');
+const { PrismaClient } = require('../generated/prisma');
+
+dotenv.config();
+
+// Capture outgoing mail in a private outbox
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'gigglemap-verification-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = outbox;
+
+const prisma = new PrismaClient();
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRoutes);
+app.use('/stories', storyRoutes);
+app.use(errorHandler);
+
+const testUser = { username: 'verifyuser', email: 'verifyuser@example.com', password: 'password123' };
+
+const cleanupTestUser = () => prisma.user.deleteMany({ where: { username: testUser.username } });
+
+const lastMailTo = (to) => fs.readdirSync(outbox)
+  .sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+  .filter(mail => mail.to === to)
+  .pop();
+
+const verificationPathFrom = (mail) => {
+  const link = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+  return link.pathname + link.search;
+};
+
+describe('Email verification API', () => {
+  const originalPolicy = process.env.UNVERIFIED_EMAIL_BLOCKS;
+  let token = null;
+
+  beforeAll(async () => {
+    await cleanupTestUser();
+    process.env.UNVERIFIED_EMAIL_BLOCKS = 'story:create';
+  });
+
+  afterAll(async () => {
+    process.env.UNVERIFIED_EMAIL_BLOCKS = originalPolicy;
+    if (originalPolicy === undefined) delete process.env.UNVERIFIED_EMAIL_BLOCKS;
+    await cleanupTestUser();
+    await prisma.$disconnect();
+    fs.rmSync(outbox, { recursive: true, force: true });
+  });
+
+  it('POST /users/register should reject an invalid email', async () => {
+    const res = await request(app)
+      .post('/users/register')
+      .send({ ...testUser, email: 'not-an-email' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('POST /users/register should send a verification email', async () => {
+    const res = await request(app).post('/users/register').send(testUser);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(lastMailTo(testUser.email)).toBeDefined();
+
+    const login = await request(app)
+      .post('/users/login')
+      .send({ emailOrUsername: testUser.username, password: testUser.password });
+    token = login.body.token;
+  });
+
+  it('should block unverified users from actions in the policy', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'Not yet' });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Email verification required');
+  });
+
+  it('POST /users/verify-email/resend should be throttled', async () => {
+    const res = await request(app)
+      .post('/users/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('POST /users/verify-email/resend should send again once the interval passed', async () => {
+    await prisma.user.update({
+      where: { username: testUser.username },
+      data: { verificationEmailSentAt: new Date(Date.now() - 5 * 60 * 1000) }
+    });
+
+    const res = await request(app)
+      .post('/users/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('GET /users/verify-email should reject an invalid token', async () => {
+    const res = await request(app).get('/users/verify-email').query({ token: 'garbage' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('GET /users/verify-email should reject an access token', async () => {
+    const res = await request(app).get('/users/verify-email').query({ token });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('GET /users/verify-email should verify the emailed link', async () => {
+    const res = await request(app).get(verificationPathFrom(lastMailTo(testUser.email)));
+    expect(res.statusCode).toBe(200);
+
+    const me = await request(app).get('/users/me').set('Authorization', `Bearer ${token}`);
+    expect(me.body.emailVerified).toBe(true);
+  });
+
+  it('should allow verified users to perform restricted actions', async () => {
+    const res = await request(app)
+      .post('/stories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'Verified now' });
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('POST /users/verify-email/resend should reject verified users', async () => {
+    const res = await request(app)
+      .post('/users/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(409);
+  });
+});